@@ -0,0 +1,80 @@
+/**
+ * A record of every change made to replies, of who did what and when,
+ * so changes can be looked into and undone.
+ *
+ * %AuditEntry{
+ *   id: Number, counting up from 1.
+ *   action: The action of the revision the change was written as (see
+ *           replies.js), or "lock" or "unlock".
+ *   key: Key of the reply changed.
+ *   namespace: Namespace of the reply.
+ *   editor: Full hostmask of who made the change.
+ *   time: Time the change was made.
+ *   revision: Number of the revision the change wrote. ^1
+ *   before: Number of the revision the reply was at before the change,
+ *           or 0 if it didn't exist. ^1
+ *   undoes: Id of the entry this change undid, if it was an undo. ^2
+ * }
+ *
+ * 1: Missing for locking and unlocking, which don't write revisions.
+ * 2: Optional.
+ *
+ * The log is kept in a storage adapter (see storage/index.js) of its
+ * own, keyed by id, so that it survives restarts. Entries are only ever
+ * added to it.
+ **/
+
+module.exports = function (storage) {
+    // [%AuditEntry{}], oldest first.
+    var entries = [];
+    var nextId = 1;
+
+    storage.onLoad(function () {
+        entries = [];
+
+        storage.forEach(function (id, value) {
+            nextId = Math.max(nextId, Number(id) + 1);
+
+            if (value) {
+                entries.push(value);
+            }
+        });
+
+        entries.sort(function (lhs, rhs) {
+            return lhs.id - rhs.id;
+        });
+    });
+
+    return {
+        // %AuditEntry{} without id -> Number
+        add: function (entry) {
+            const id = nextId;
+            nextId += 1;
+
+            entry.id = id;
+            storage.set(String(id), entry);
+            entries.push(entry);
+
+            return id;
+        },
+
+        // Number -> %AuditEntry{} | undefined
+        get: function (id) {
+            return storage.get(String(id));
+        },
+
+        // (%AuditEntry{} -> Boolean) -> [%AuditEntry{}]
+        // The entries the predicate is true of, newest first.
+        find: function (predicate) {
+            const found = [];
+
+            for (var ix = entries.length - 1; ix >= 0; ix--) {
+                if (predicate(entries[ix])) {
+                    found.push(entries[ix]);
+                }
+            }
+
+            return found;
+        }
+    };
+};
@@ -0,0 +1,372 @@
+/**
+ * Reading and writing replies in other formats, for importing and exporting.
+ *
+ * Every format is a list of entries:
+ *
+ * %Entry{
+ *   key: String
+ *   namespace: "" for global, or the channel.
+ *   ...%Reply{} without `editor` and `time` being required.
+ * }
+ *
+ * The formats are:
+ *
+ *   json:    A JSON array of entries.
+ *   csv:     A header row of `key,namespace,intent,frozen,selection,message`,
+ *            then one row per message. Rows after the first with the same
+ *            key and namespace are alternatives of that reply.
+ *            Weights are not kept.
+ *   factoid: Infobot style lines of `key is value`. Channel replies are
+ *            written as `key@#channel is value`. The value is either
+ *            `<reply>message`, `<action>message`, `<alias>other key`,
+ *            `<notice>message`, `<pm>message`, `<multiline>message`,
+ *            `<ctcp>message`, or for messages starting with `key is `,
+ *            the rest of the message.
+ *            Alternatives are separated by `|`. A `|` in a message is
+ *            written as `\|`, and backslashes before a `|` or at the end
+ *            of a message are doubled. Frozen state is not kept.
+ **/
+
+const Result = require('r-result');
+const Ok = Result.Ok;
+const Fail = Result.Fail;
+
+const CSV_COLUMNS = ["key", "namespace", "intent", "frozen", "selection", "message"];
+
+// String -> String
+const csvField = function (field) {
+    field = field === undefined || field === null ? "" : String(field);
+
+    if (/[",\r\n]/.test(field)) {
+        return '"' + field.replace(/"/g, '""') + '"';
+    }
+
+    return field;
+};
+
+// String -> Result<[[String]], "bad-import-csv">
+const parseCsvRows = function (text) {
+    const rows = [];
+    var row = [];
+    var field = "";
+    var inQuotes = false;
+
+    for (var ix = 0; ix < text.length; ix++) {
+        const char = text[ix];
+
+        if (inQuotes) {
+            if (char === '"' && text[ix + 1] === '"') {
+                field += '"';
+                ix += 1;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+
+            continue;
+        }
+
+        switch (char) {
+            case '"':
+                if (field !== "") {
+                    return Fail("bad-import-csv");
+                }
+                inQuotes = true;
+                break;
+            case ",":
+                row.push(field);
+                field = "";
+                break;
+            case "\r":
+                break;
+            case "\n":
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = "";
+                break;
+            default:
+                field += char;
+        }
+    }
+
+    if (inQuotes) {
+        return Fail("bad-import-csv");
+    }
+
+    if (field !== "" || row.length !== 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return Ok(rows);
+};
+
+// Whether a JSON entry has the types an entry needs.
+// Any -> Boolean
+const isJsonEntry = function (entry) {
+    const isOptional = function (value, type) {
+        return value === undefined || value === null || typeof value === type;
+    };
+
+    const isOptionalArrayOf = function (value, type) {
+        return value === undefined || value === null || (Array.isArray(value) && value.every(function (element) {
+            return typeof element === type;
+        }));
+    };
+
+    return Boolean(entry) && typeof entry === "object" &&
+        typeof entry.key === "string" &&
+        isOptional(entry.namespace, "string") &&
+        isOptional(entry.intent, "string") &&
+        isOptional(entry.message, "string") &&
+        isOptional(entry.selection, "string") &&
+        isOptionalArrayOf(entry.alternatives, "string") &&
+        isOptionalArrayOf(entry.weights, "number");
+};
+
+// Escapes a message for the factoid format. See above.
+// String -> String
+const escapeFactoid = function (message) {
+    return message.replace(/(\\*)(\||$)/g, function (match, backslashes, end) {
+        return backslashes + backslashes + (end === "|" ? "\\|" : "");
+    });
+};
+
+// Splits a factoid value into its alternatives, unescaping them.
+// String -> [String]
+const splitFactoid = function (value) {
+    const messages = [];
+    const regexp = /(\\*)(\||$)/g;
+    var message = "";
+    var lastIx = 0;
+    var match;
+
+    while ((match = regexp.exec(value)) !== null) {
+        const backslashes = match[1].length;
+
+        message += value.slice(lastIx, match.index) + match[1].slice(0, Math.floor(backslashes / 2));
+        lastIx = match.index + match[0].length;
+
+        if (match[2] === "|" && backslashes % 2 === 1) {
+            message += "|";
+            continue;
+        }
+
+        messages.push(message);
+        message = "";
+
+        if (match[2] === "") {
+            break;
+        }
+    }
+
+    return messages;
+};
+
+// %Entry{} -> [String]
+const messagesOf = function (entry) {
+    return entry.message ? [entry.message].concat(entry.alternatives || []) : [];
+};
+
+const serializers = {
+    json: function (entries) {
+        return JSON.stringify(entries, null, 2);
+    },
+
+    csv: function (entries) {
+        const lines = [CSV_COLUMNS.join(",")];
+
+        entries.forEach(function (entry) {
+            const messages = messagesOf(entry);
+
+            (messages.length === 0 ? [undefined] : messages).forEach(function (message) {
+                lines.push([
+                    entry.key,
+                    entry.namespace,
+                    entry.intent,
+                    entry.frozen ? "true" : "false",
+                    entry.selection,
+                    message
+                ].map(csvField).join(","));
+            });
+        });
+
+        return lines.join("\n") + "\n";
+    },
+
+    factoid: function (entries) {
+        return entries.filter(function (entry) {
+            return entry.message;
+        })
+        .map(function (entry) {
+            const key = entry.namespace ? entry.key + "@" + entry.namespace : entry.key;
+            const prefix = entry.key + " is ";
+
+            const value = messagesOf(entry).map(function (message) {
+                message = escapeFactoid(message);
+
+                switch (entry.intent) {
+                    case "act": return "<action>" + message;
+                    case "alias": return "<alias>" + message;
+                    case "notice": case "pm": case "multiline": case "ctcp":
+                        return "<" + entry.intent + ">" + message;
+                    default:
+                        return message.toLowerCase().indexOf(prefix) === 0
+                            ? message.slice(prefix.length)
+                            : "<reply>" + message;
+                }
+            }).join("|");
+
+            return key + " is " + value;
+        })
+        .join("\n") + "\n";
+    }
+};
+
+const parsers = {
+    json: function (text) {
+        var entries;
+
+        try {
+            entries = JSON.parse(text);
+        } catch (e) {
+            return Fail("bad-import-json");
+        }
+
+        if (!Array.isArray(entries) || !entries.every(isJsonEntry)) {
+            return Fail("bad-import-json");
+        }
+
+        return Ok(entries.map(function (entry) {
+            entry.namespace = entry.namespace || "";
+            return entry;
+        }));
+    },
+
+    csv: function (text) {
+        return parseCsvRows(text).andThen(function (rows) {
+            const header = rows.shift();
+
+            if (!header || header.join(",") !== CSV_COLUMNS.join(",")) {
+                return Fail("bad-import-csv");
+            }
+
+            const entries = [];
+            // Map<String, %Entry{}>
+            const byKey = Object.create(null);
+
+            for (var ix = 0; ix < rows.length; ix++) {
+                const row = rows[ix];
+
+                if (row.length === 1 && row[0] === "") {
+                    continue;
+                }
+
+                if (row.length !== CSV_COLUMNS.length) {
+                    return Fail("bad-import-csv");
+                }
+
+                const id = row[1] + "@" + row[0];
+                const previous = byKey[id];
+
+                if (previous) {
+                    previous.alternatives = (previous.alternatives || []).concat([row[5]]);
+                    continue;
+                }
+
+                const entry = {
+                    key: row[0],
+                    namespace: row[1],
+                    frozen: row[3] === "true"
+                };
+
+                if (row[5]) {
+                    entry.intent = row[2] || "say";
+                    entry.message = row[5];
+                }
+
+                if (row[4]) {
+                    entry.selection = row[4];
+                }
+
+                byKey[id] = entry;
+                entries.push(entry);
+            }
+
+            return Ok(entries);
+        });
+    },
+
+    factoid: function (text) {
+        const entries = [];
+        const lines = text.split(/\r?\n/);
+
+        for (var ix = 0; ix < lines.length; ix++) {
+            const line = lines[ix].trim();
+
+            if (line === "" || line[0] === "#") {
+                continue;
+            }
+
+            const isIx = line.indexOf(" is ");
+
+            if (isIx === -1) {
+                return Fail("bad-import-factoid");
+            }
+
+            const fullKey = line.slice(0, isIx).trim();
+            const atIx = fullKey.indexOf("@");
+            const key = atIx === -1 ? fullKey : fullKey.slice(0, atIx);
+            var intent = "say";
+
+            const messages = splitFactoid(line.slice(isIx + 4)).map(function (value) {
+                value = value.trim();
+
+                const tag = /^<(reply|action|alias|notice|pm|multiline|ctcp)>\s*/i.exec(value);
+
+                if (!tag) {
+                    return key + " is " + value;
+                }
+
+                intent = { reply: "say", action: "act" }[tag[1].toLowerCase()] || tag[1].toLowerCase();
+                return value.slice(tag[0].length);
+            });
+
+            entries.push({
+                key: key,
+                namespace: atIx === -1 ? "" : fullKey.slice(atIx + 1),
+                intent: intent,
+                message: messages[0],
+                alternatives: messages.length > 1 ? messages.slice(1) : undefined
+            });
+        }
+
+        return Ok(entries);
+    }
+};
+
+// (String, [%Entry{}]) -> Result<String, "bad-format-type">
+const serialize = function (format, entries) {
+    if (!Object.prototype.hasOwnProperty.call(serializers, format)) {
+        return Fail("bad-format-type");
+    }
+
+    return Ok(serializers[format](entries));
+};
+
+// (String, String) -> Result<[%Entry{}], String>
+const parse = function (format, text) {
+    if (!Object.prototype.hasOwnProperty.call(parsers, format)) {
+        return Fail("bad-format-type");
+    }
+
+    return parsers[format](text);
+};
+
+module.exports = {
+    types: Object.keys(parsers),
+    serialize: serialize,
+    parse: parse
+};
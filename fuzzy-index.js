@@ -0,0 +1,210 @@
+/**
+ * An index over the keys of the replies database, used to suggest
+ * learned keys that are close to a key that doesn't exist, such as
+ * `install` for `instal`.
+ *
+ * Keys are indexed by the pairs of letters in them, with the start and
+ * end of the key counting as letters. Suggesting keys only compares the
+ * key given to the keys sharing the most of its rarer pairs with it, so
+ * that it stays fast with tens of thousands of keys.
+ *
+ * How similar two keys are is a number from 0 to 1, the best of:
+ *
+ *   edits:  How few letters would have to be added, removed, changed,
+ *           or swapped to turn one into the other, for the key length.
+ *   prefix: How much of one key the other starts with, if it does.
+ *   words:  How many of their words are the same, for keys of many words.
+ *
+ * Every key belongs to a namespace (see replies.js), and suggesting keys
+ * only considers the namespaces that are asked for.
+ **/
+
+// Keys less similar than this are never suggested.
+const MIN_SIMILARITY = 0.6;
+// How many of the keys sharing the most pairs are compared.
+const MAX_CANDIDATES = 100;
+// Pairs are counted rarest first, and stop being counted once this many
+// keys were counted, since pairs in most keys say little about any of them.
+const MAX_COUNTED_KEYS = 20000;
+// Prefixes shorter than this don't count as similar.
+const MIN_PREFIX_LENGTH = 3;
+
+// String -> [String]
+const words = function (string) {
+    return string.toLowerCase().split(/\s+/).filter(function (word) {
+        return word !== "";
+    });
+};
+
+// String -> [String]
+// Without repeats, so a key shares a pair at most once.
+const pairs = function (key) {
+    const padded = "^" + words(key).join(" ") + "$";
+    const seen = Object.create(null);
+
+    for (var ix = 0; ix < padded.length - 1; ix++) {
+        seen[padded.slice(ix, ix + 2)] = true;
+    }
+
+    return Object.keys(seen);
+};
+
+// Optimal string alignment distance, where swapping two letters next
+// to each other counts as one edit.
+// (String, String) -> Number
+const editDistance = function (lhs, rhs) {
+    var previousRow = [];
+    var row = [];
+
+    for (var jx = 0; jx <= rhs.length; jx++) {
+        row.push(jx);
+    }
+
+    for (var ix = 1; ix <= lhs.length; ix++) {
+        const beforePrevious = previousRow;
+        previousRow = row;
+        row = [ix];
+
+        for (jx = 1; jx <= rhs.length; jx++) {
+            const cost = lhs[ix - 1] === rhs[jx - 1] ? 0 : 1;
+            var distance = Math.min(previousRow[jx] + 1, row[jx - 1] + 1, previousRow[jx - 1] + cost);
+
+            if (ix > 1 && jx > 1 && lhs[ix - 1] === rhs[jx - 2] && lhs[ix - 2] === rhs[jx - 1]) {
+                distance = Math.min(distance, beforePrevious[jx - 2] + 1);
+            }
+
+            row.push(distance);
+        }
+    }
+
+    return row[rhs.length];
+};
+
+// (String, String) -> Number
+const similarity = function (lhs, rhs) {
+    const longest = Math.max(lhs.length, rhs.length);
+    const shortest = Math.min(lhs.length, rhs.length);
+    const edits = 1 - editDistance(lhs, rhs) / longest;
+
+    const isPrefix = shortest >= MIN_PREFIX_LENGTH && (lhs.indexOf(rhs) === 0 || rhs.indexOf(lhs) === 0);
+    const prefix = isPrefix ? 0.5 + 0.5 * shortest / longest : 0;
+
+    const lhsWords = words(lhs);
+    const rhsWords = words(rhs);
+    const shared = lhsWords.filter(function (word) { return rhsWords.indexOf(word) !== -1; }).length;
+    const wordCount = lhsWords.length + rhsWords.length - shared;
+    const sharedWords = wordCount > 2 ? shared / wordCount : 0;
+
+    return Math.max(edits, prefix, sharedWords);
+};
+
+module.exports = function () {
+    // Map<Key, Map<Namespace, Boolean>>
+    var namespacesOf = Object.create(null);
+    // Map<Pair, Map<Key, Boolean>>
+    var keysWith = Object.create(null);
+    // Map<Pair, Number> of how many keys have each pair.
+    var pairCounts = Object.create(null);
+
+    return {
+        // (String, Namespace) -> ()
+        add: function (key, namespace) {
+            key = words(key).join(" ");
+
+            if (key === "") {
+                return;
+            }
+
+            if (!namespacesOf[key]) {
+                namespacesOf[key] = Object.create(null);
+
+                pairs(key).forEach(function (pair) {
+                    if (!keysWith[pair]) {
+                        keysWith[pair] = Object.create(null);
+                        pairCounts[pair] = 0;
+                    }
+
+                    keysWith[pair][key] = true;
+                    pairCounts[pair] += 1;
+                });
+            }
+
+            namespacesOf[key][namespace] = true;
+        },
+
+        // (String, Namespace) -> ()
+        remove: function (key, namespace) {
+            key = words(key).join(" ");
+
+            if (!namespacesOf[key]) {
+                return;
+            }
+
+            delete namespacesOf[key][namespace];
+
+            if (Object.keys(namespacesOf[key]).length !== 0) {
+                return;
+            }
+
+            delete namespacesOf[key];
+
+            pairs(key).forEach(function (pair) {
+                delete keysWith[pair][key];
+                pairCounts[pair] -= 1;
+
+                if (pairCounts[pair] === 0) {
+                    delete keysWith[pair];
+                    delete pairCounts[pair];
+                }
+            });
+        },
+
+        // (String, [Namespace], Number) -> [{key: String, similarity: Number}]
+        // The keys in the namespaces most similar to the key, most similar
+        // first, leaving out the key itself.
+        suggest: function (key, namespaces, limit) {
+            key = words(key).join(" ");
+
+            // Map<Key, Number> of how many pairs each key shares with it.
+            const sharedPairs = Object.create(null);
+            var counted = 0;
+
+            pairs(key).filter(function (pair) {
+                return keysWith[pair];
+            }).sort(function (lhs, rhs) {
+                return pairCounts[lhs] - pairCounts[rhs];
+            }).forEach(function (pair) {
+                if (counted >= MAX_COUNTED_KEYS) {
+                    return;
+                }
+
+                counted += pairCounts[pair];
+
+                for (var candidate in keysWith[pair]) {
+                    sharedPairs[candidate] = (sharedPairs[candidate] || 0) + 1;
+                }
+            });
+
+            return Object.keys(sharedPairs).filter(function (candidate) {
+                return candidate !== key && namespaces.some(function (namespace) {
+                    return namespacesOf[candidate][namespace];
+                });
+            }).sort(function (lhs, rhs) {
+                return sharedPairs[rhs] - sharedPairs[lhs];
+            }).slice(0, MAX_CANDIDATES).map(function (candidate) {
+                return { key: candidate, similarity: similarity(key, candidate) };
+            }).filter(function (suggestion) {
+                return suggestion.similarity >= MIN_SIMILARITY;
+            }).sort(function (lhs, rhs) {
+                return rhs.similarity - lhs.similarity || (lhs.key < rhs.key ? -1 : 1);
+            }).slice(0, limit);
+        },
+
+        // () -> ()
+        clear: function () {
+            namespacesOf = Object.create(null);
+            keysWith = Object.create(null);
+            pairCounts = Object.create(null);
+        }
+    };
+};
@@ -0,0 +1,294 @@
+/**
+ * A JSON API over HTTP for managing replies, for when doing it on IRC
+ * would be painful.
+ *
+ * Every request needs an `Authorization: Bearer <token>` header with one
+ * of the configured tokens. Each token is given the full hostmask its
+ * changes are made as, so that changes go through the same permissions
+ * and validation as changes made on IRC, and are recorded as that editor.
+ *
+ * Replies are global unless a `scope` query parameter names a channel,
+ * such as `%23channel`.
+ * Keys in paths are URL encoded.
+ *
+ *   GET    /replies                  Keys, optionally with a `prefix`.
+ *   GET    /replies?search=text      Replies whose key or messages contain the text.
+ *   GET    /replies/:key             The reply and its history.
+ *   POST   /replies                  Learns a reply that doesn't exist yet.
+ *                                    Body: {key, message, intent}
+ *   PUT    /replies/:key             Changes a reply that exists.
+ *                                    Body: {message, intent}
+ *   DELETE /replies/:key             Forgets a reply.
+ *   PUT    /replies/:key/lock        Locks a reply.
+ *   DELETE /replies/:key/lock        Unlocks a reply.
+ *
+ * Intents are those of replies.js, defaulting to "say". Failures are answered with
+ * {error: reason, message: what it means, if known}.
+ **/
+
+const http = require('http');
+const url = require('url');
+const crypto = require('crypto');
+const Promise = require('bluebird');
+const Result = require('r-result');
+const Ok = Result.Ok;
+const Fail = Result.Fail;
+const INTENTS = require('./replies').INTENTS;
+
+// Request bodies bigger than this are refused.
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Failure reasons that aren't about what the reply says.
+const STATUS_CODES = {
+    "unauthorized": 401,
+    "not-found": 404,
+    "method-not-allowed": 405,
+    "bad-json": 400,
+    "bad-request": 400,
+    "body-too-large": 413,
+    "dne": 404,
+    "no-reply": 404,
+    "exists": 409,
+    "banned": 403,
+    "locked": 403,
+    "account-required": 403
+};
+
+// Reason -> Number
+const statusOf = function (reason) {
+    if (/-not-permitted$/.test(reason)) {
+        return 403;
+    }
+
+    // Anything else is something wrong with the reply, like breaking
+    // a validation rule.
+    return STATUS_CODES[reason] || 422;
+};
+
+// Channel names start with `#` or `&`, and can't have spaces, commas, or ^G.
+const CHANNEL_NAME = /^[#&][^\s,\x07]+$/;
+
+// (String, String) -> Boolean
+const sameToken = function (lhs, rhs) {
+    const lhsBuffer = Buffer.from(lhs);
+    const rhsBuffer = Buffer.from(rhs);
+    return lhsBuffer.length === rhsBuffer.length && crypto.timingSafeEqual(lhsBuffer, rhsBuffer);
+};
+
+// Binds the last `n` arguments of a function where `n` is the length of `args`.
+const bindr = function (fn, args) {
+    return function () {
+        return fn.apply(null, Array.prototype.slice.call(arguments).concat(args));
+    };
+};
+
+// Options:
+//   replies:  Replies, from replies.js.
+//   tokens:   Map<String, Hostmask> of each token to who its changes are made as.
+//   describe: Reason -> String | undefined, of what failure reasons mean.
+//   error:    (String) -> (), for logging internal errors.
+//
+// Object -> http.Server
+module.exports = function (options) {
+    const replies = options.replies;
+    const tokens = options.tokens || {};
+    const describe = options.describe || function () { return undefined; };
+    const logError = options.error || function () {};
+
+    if (Object.keys(tokens).length === 0) {
+        throw new Error("The replies HTTP API needs at least one token.");
+    }
+
+    // IncomingMessage -> Result<Hostmask, "unauthorized">
+    const editorOf = function (request) {
+        const match = /^Bearer (.+)$/.exec(request.headers.authorization || "");
+        const token = match && Object.keys(tokens).filter(function (token) {
+            return sameToken(token, match[1]);
+        })[0];
+
+        return token ? Ok(tokens[token]) : Fail("unauthorized");
+    };
+
+    // IncomingMessage -> Promise<Result<Object, "bad-json" | "body-too-large">>
+    const readBody = function (request) {
+        return new Promise(function (resolve, reject) {
+            var chunks = [];
+            var length = 0;
+
+            request.on("data", function (chunk) {
+                length += chunk.length;
+
+                if (length > MAX_BODY_BYTES) {
+                    chunks = undefined;
+                    return resolve(Fail("body-too-large"));
+                }
+
+                if (chunks) {
+                    chunks.push(chunk);
+                }
+            });
+
+            request.on("end", function () {
+                if (!chunks) {
+                    return;
+                }
+
+                try {
+                    const body = JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}");
+                    resolve(body && typeof body === "object" ? Ok(body) : Fail("bad-json"));
+                } catch (err) {
+                    resolve(Fail("bad-json"));
+                }
+            });
+
+            request.on("error", reject);
+        });
+    };
+
+    // Object -> Result<%Reply{} without editor, "bad-request">
+    const replyOf = function (body) {
+        if (typeof body.message !== "string" || body.message.trim() === "") {
+            return Fail("bad-request");
+        }
+
+        if (body.intent !== undefined && INTENTS.indexOf(body.intent) === -1) {
+            return Fail("bad-request");
+        }
+
+        return Ok({ intent: body.intent || "say", message: body.message.trim() });
+    };
+
+    // (Replies, String, Hostmask, Object, Boolean) -> Promise<Result<Object, String>>
+    const setReply = function (scope, key, editor, body, isNew) {
+        return Promise.try(function () {
+            if (typeof key !== "string" || key.trim() === "") {
+                return Fail("bad-request");
+            }
+
+            // Learning a reply that exists, or changing one that doesn't,
+            // is probably a mistake. Global replies found from a channel
+            // don't count, since setting the key there makes a new reply.
+            const exists = scope.info(key).map(function (info) {
+                return info.namespace === scope.namespace;
+            }).unwrapOrElse(function () { return false; });
+            return isNew === exists ? Fail(isNew ? "exists" : "dne") : replyOf(body);
+        })
+        .then(bindr(Result.andThen, function (reply) {
+            reply.editor = editor;
+            return scope.set(key, reply);
+        }))
+        .then(bindr(Result.map, function (reply) {
+            return reply.pending ? { pending: reply.pending } : { reply: reply };
+        }));
+    };
+
+    // (String, Replies, [String], Object, Hostmask, IncomingMessage) -> Promise<Result<Object, String>>
+    const route = function (method, scope, path, query, editor, request) {
+        const key = path[1];
+
+        if (path[0] !== "replies" || path.length > 3 || (path.length === 3 && path[2] !== "lock")) {
+            return Promise.resolve(Fail("not-found"));
+        }
+
+        if (path.length === 1) {
+            switch (method) {
+                case "GET":
+                return Promise.resolve(Ok(query.search !== undefined
+                    ? { replies: scope.search(String(query.search)) }
+                    : { keys: scope.list(query.prefix ? String(query.prefix) : undefined) }));
+                case "POST":
+                return readBody(request)
+                .then(bindr(Result.andThen, function (body) {
+                    return setReply(scope, body.key, editor, body, true);
+                }));
+                default:
+                return Promise.resolve(Fail("method-not-allowed"));
+            }
+        }
+
+        if (path.length === 3) {
+            switch (method) {
+                case "PUT": return scope.freeze(key, editor).then(bindr(Result.map, function () { return { locked: true }; }));
+                case "DELETE": return scope.unfreeze(key, editor).then(bindr(Result.map, function () { return { locked: false }; }));
+                default: return Promise.resolve(Fail("method-not-allowed"));
+            }
+        }
+
+        switch (method) {
+            case "GET":
+            return Promise.resolve(scope.info(key).map(function (info) {
+                // Global replies found from a channel keep their history globally.
+                return { reply: info, history: replies.scope(info.namespace).history(key) };
+            }));
+            case "PUT":
+            return readBody(request)
+            .then(bindr(Result.andThen, function (body) {
+                return setReply(scope, key, editor, body, false);
+            }));
+            case "DELETE":
+            return scope.delete(key, editor).then(bindr(Result.map, function () { return { deleted: true }; }));
+            default:
+            return Promise.resolve(Fail("method-not-allowed"));
+        }
+    };
+
+    // (ServerResponse, Number, Object) -> ()
+    const respond = function (response, status, body) {
+        const json = JSON.stringify(body);
+
+        response.writeHead(status, {
+            "Content-Type": "application/json; charset=utf-8",
+            "Content-Length": Buffer.byteLength(json)
+        });
+        response.end(json);
+    };
+
+    // Object -> Result<Replies, "bad-request">
+    const scopeOf = function (query) {
+        if (query.scope === undefined) {
+            return Ok(replies);
+        }
+
+        return CHANNEL_NAME.test(query.scope) ? Ok(replies.scope(query.scope)) : Fail("bad-request");
+    };
+
+    return http.createServer(function (request, response) {
+        const parsed = url.parse(request.url, true);
+
+        Promise.try(function () {
+            return editorOf(request);
+        })
+        .then(bindr(Result.andThen, function (editor) {
+            return scopeOf(parsed.query).map(function (scope) {
+                return { editor: editor, scope: scope };
+            });
+        }))
+        .then(bindr(Result.andThen, function (requester) {
+            const path = parsed.pathname.split("/").filter(function (part) {
+                return part !== "";
+            });
+
+            try {
+                return route(request.method, requester.scope, path.map(decodeURIComponent), parsed.query, requester.editor, request);
+            } catch (err) {
+                if (err instanceof URIError) {
+                    return Fail("bad-request");
+                }
+
+                throw err;
+            }
+        }))
+        .then(function (result) {
+            if (result.isOk()) {
+                return respond(response, "pending" in result.ok() ? 202 : 200, result.ok());
+            }
+
+            const reason = result.fail();
+            respond(response, statusOf(reason), { error: reason, message: describe(reason) });
+        })
+        .catch(function internalError (err) {
+            logError(err.stack);
+            respond(response, 500, { error: "internal-error" });
+        });
+    });
+};
@@ -0,0 +1,146 @@
+/**
+ * An index over the keys of the replies database, used to find
+ * learned keys inside arbitrary text without doing a database
+ * lookup for every possible run of words.
+ *
+ * Keys are stored in a trie keyed by words. Finding keys in a
+ * message walks the trie once from each word position, preferring
+ * the longest key that starts at that position. Matches never overlap.
+ *
+ * Every key belongs to a namespace (see replies.js), and finding keys
+ * only considers the namespaces that are asked for.
+ **/
+
+// String -> [String]
+const words = function (string) {
+    return string.toLowerCase().split(/\s+/).filter(function (word) {
+        return word !== "";
+    });
+};
+
+const Node = function () {
+    return {
+        children: Object.create(null),
+        // Map<Namespace, String>
+        keys: Object.create(null)
+    };
+};
+
+// (Node, [Namespace]) -> String | undefined
+const keyIn = function (node, namespaces) {
+    for (var ix = 0; ix < namespaces.length; ix++) {
+        if (node.keys[namespaces[ix]] !== undefined) {
+            return node.keys[namespaces[ix]];
+        }
+    }
+
+    return undefined;
+};
+
+module.exports = function () {
+    var root = Node();
+
+    return {
+        // (String, Namespace) -> ()
+        add: function (key, namespace) {
+            const path = words(key);
+
+            if (path.length === 0) {
+                return;
+            }
+
+            const node = path.reduce(function (node, word) {
+                if (!node.children[word]) {
+                    node.children[word] = Node();
+                }
+
+                return node.children[word];
+            }, root);
+
+            node.keys[namespace] = key.toLowerCase();
+        },
+
+        // (String, Namespace) -> ()
+        remove: function (key, namespace) {
+            const path = words(key);
+
+            // Walk down, remembering the nodes so that branches left
+            // empty by the removal can be pruned on the way back up.
+            const nodes = [root];
+            for (var i = 0; i < path.length; i++) {
+                const next = nodes[i].children[path[i]];
+
+                if (!next) {
+                    return;
+                }
+
+                nodes.push(next);
+            }
+
+            delete nodes[path.length].keys[namespace];
+
+            for (var j = path.length; j > 0; j--) {
+                const node = nodes[j];
+
+                if (Object.keys(node.keys).length !== 0 || Object.keys(node.children).length !== 0) {
+                    break;
+                }
+
+                delete nodes[j - 1].children[path[j - 1]];
+            }
+        },
+
+        // (String, Namespace) -> Boolean
+        has: function (key, namespace) {
+            const node = words(key).reduce(function (node, word) {
+                return node && node.children[word];
+            }, root);
+
+            return Boolean(node && node.keys[namespace] !== undefined);
+        },
+
+        // (String, [Namespace]) -> [String]
+        // Returns the keys found in the text, in the order they appear.
+        // When a key is in multiple namespaces, the earliest namespace wins.
+        find: function (text, namespaces) {
+            const tokens = words(text);
+            const found = [];
+            var ix = 0;
+
+            while (ix < tokens.length) {
+                var node = root;
+                var longest = undefined;
+                var longestLength = 0;
+
+                for (var jx = ix; jx < tokens.length; jx++) {
+                    node = node.children[tokens[jx]];
+
+                    if (!node) {
+                        break;
+                    }
+
+                    const key = keyIn(node, namespaces);
+
+                    if (key !== undefined) {
+                        longest = key;
+                        longestLength = jx - ix + 1;
+                    }
+                }
+
+                if (longest === undefined) {
+                    ix += 1;
+                } else {
+                    found.push(longest);
+                    ix += longestLength;
+                }
+            }
+
+            return found;
+        },
+
+        // () -> ()
+        clear: function () {
+            root = Node();
+        }
+    };
+};
@@ -0,0 +1,214 @@
+/**
+ * Keeps the bot from replying to itself, or to other bots, in a loop.
+ *
+ * Messages are ignored when:
+ *
+ *   ignored:     They're from a nickname or hostmask pattern on the
+ *                ignore list, such as other bots.
+ *   own-message: They're from the bot, or relayed from it by a bridge.
+ *   echo:        They're something the bot said recently, such as a
+ *                reply relayed back into the channel.
+ *
+ * Bridges relay messages with a prefix naming who said them, such as
+ * `<nick> message`. The relay prefixes are regexps that match the prefix
+ * and capture the nickname. Messages from the relays, and only from them,
+ * are ignored the same as if that nickname had said them, and are
+ * compared without the prefix. Anyone else can start a message with
+ * `<nick>` without it counting.
+ *
+ * As a last resort, a circuit breaker mutes passive replies in a channel
+ * once `burstLimit` of them are said within `burstWindow` milliseconds.
+ * Passive replies stay muted for `muteDuration` milliseconds, or until
+ * an admin unmutes the channel.
+ *
+ * Any limit that is 0 or missing is not enforced, so without a
+ * `muteDuration`, the circuit breaker never mutes a channel.
+ **/
+
+const Result = require('r-result');
+const Ok = Result.Ok;
+const Fail = Result.Fail;
+const Permissions = require('./permissions');
+
+// How many recent lines the bot said are kept for each channel.
+const MAX_RECENT_LINES = 20;
+
+// String -> String
+const normalize = function (text) {
+    return text.replace(/\s+/g, " ").trim().toLowerCase();
+};
+
+// Options:
+//   now:           () -> Number of milliseconds since the epoch.
+//   nickname:      () -> String of the bot's nickname.
+//   ignore:        [Nickname | HostmaskPattern]
+//   relays:        [Nickname] of the bridges that relay messages.
+//   relayPrefixes: [RegExp] with the nickname as the first capture.
+//   echoWindow:    Milliseconds that what the bot said counts as an echo.
+//   burstLimit, burstWindow, muteDuration: See above.
+module.exports = function (options) {
+    const now = options.now || Date.now;
+    const nickname = options.nickname;
+    const ignore = options.ignore || [];
+    const relays = (options.relays || []).map(function (relay) {
+        return relay.toLowerCase();
+    });
+    const relayPrefixes = options.relayPrefixes || [];
+    const echoWindow = options.echoWindow || 0;
+    const burstLimit = options.burstLimit || 0;
+    const burstWindow = options.burstWindow || 0;
+    const muteDuration = options.muteDuration || 0;
+
+    // Map<Channel, [{text: String, time: Time}]>
+    const recentLines = Object.create(null);
+    // Map<Channel, [Time]>
+    const recentReplies = Object.create(null);
+    // Map<Channel, Time> of when passive replies are unmuted, or Infinity.
+    const mutedUntil = Object.create(null);
+
+    // (Nickname, Hostmask?) -> Boolean
+    const isIgnored = function (nick, hostmask) {
+        return ignore.some(function (pattern) {
+            if (pattern.indexOf("!") === -1 || pattern.indexOf("@") === -1) {
+                return pattern.toLowerCase() === nick.toLowerCase();
+            }
+
+            return Boolean(hostmask) && Permissions.hostmaskMatches(pattern, hostmask);
+        });
+    };
+
+    // Who really said a message, and what they said, without the
+    // prefix of a bridge that relayed it.
+    // Privmsg -> {nickname: Nickname, message: String} | undefined
+    const unrelay = function (privmsg) {
+        if (relays.indexOf(privmsg.nickname.toLowerCase()) === -1) {
+            return;
+        }
+
+        for (var ix = 0; ix < relayPrefixes.length; ix++) {
+            const match = relayPrefixes[ix].exec(privmsg.message);
+
+            if (match && match[1]) {
+                return { nickname: match[1], message: privmsg.message.slice(match[0].length) };
+            }
+        }
+    };
+
+    // (Channel, Time) -> [{text: String, time: Time}]
+    const linesFor = function (channel, time) {
+        const lines = (recentLines[channel] || []).filter(function (line) {
+            return time - line.time < echoWindow;
+        });
+
+        if (lines.length === 0) {
+            delete recentLines[channel];
+        } else {
+            recentLines[channel] = lines;
+        }
+
+        return lines;
+    };
+
+    // Channel -> Boolean
+    const isMuted = function (channel) {
+        channel = channel.toLowerCase();
+
+        if (mutedUntil[channel] !== undefined && now() >= mutedUntil[channel]) {
+            delete mutedUntil[channel];
+        }
+
+        return mutedUntil[channel] !== undefined;
+    };
+
+    // (Channel, Number?) -> ()
+    // Without a duration, until unmuted.
+    const mute = function (channel, duration) {
+        mutedUntil[channel.toLowerCase()] = duration ? now() + duration : Infinity;
+        delete recentReplies[channel.toLowerCase()];
+    };
+
+    return {
+        // Privmsg -> Result<(), "ignored" | "own-message" | "echo">
+        check: function (privmsg) {
+            const relayed = unrelay(privmsg);
+            const ownNickname = nickname().toLowerCase();
+
+            if (isIgnored(privmsg.nickname, privmsg.hostmask) || (relayed && isIgnored(relayed.nickname))) {
+                return Fail("ignored");
+            }
+
+            if (privmsg.nickname.toLowerCase() === ownNickname || (relayed && relayed.nickname.toLowerCase() === ownNickname)) {
+                return Fail("own-message");
+            }
+
+            if (echoWindow && !privmsg.isQuery) {
+                const message = normalize(relayed ? relayed.message : privmsg.message);
+                const isEcho = linesFor(privmsg.channel.toLowerCase(), now()).some(function (line) {
+                    return line.text === message;
+                });
+
+                if (isEcho) {
+                    return Fail("echo");
+                }
+            }
+
+            return Ok();
+        },
+
+        // Remembers a line the bot said in a channel, so that it isn't
+        // replied to if it's said back.
+        // (Channel, String) -> ()
+        said: function (channel, text) {
+            if (!echoWindow) {
+                return;
+            }
+
+            channel = channel.toLowerCase();
+            recentLines[channel] = linesFor(channel, now())
+            .concat([{ text: normalize(text), time: now() }])
+            .slice(-MAX_RECENT_LINES);
+        },
+
+        // Counts a passive reply said in a channel, muting the channel
+        // if it's too many.
+        // Channel -> Result<(), "burst">
+        replied: function (channel) {
+            if (!burstLimit || !burstWindow || !muteDuration) {
+                return Ok();
+            }
+
+            const time = now();
+            channel = channel.toLowerCase();
+
+            const replies = (recentReplies[channel] || []).filter(function (then) {
+                return time - then < burstWindow;
+            }).concat([time]);
+
+            if (replies.length < burstLimit) {
+                recentReplies[channel] = replies;
+                return Ok();
+            }
+
+            mute(channel, muteDuration);
+            return Fail("burst");
+        },
+
+        isMuted: isMuted,
+        mute: mute,
+
+        // Channel -> Boolean of whether it was muted.
+        unmute: function (channel) {
+            const wasMuted = isMuted(channel);
+            delete mutedUntil[channel.toLowerCase()];
+            return wasMuted;
+        },
+
+        // () -> [{channel: Channel, until: Time}]
+        // Until is Infinity when the channel is muted until unmuted.
+        muted: function () {
+            return Object.keys(mutedUntil).filter(isMuted).map(function (channel) {
+                return { channel: channel, until: mutedUntil[channel] };
+            });
+        }
+    };
+};
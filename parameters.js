@@ -0,0 +1,104 @@
+/**
+ * Parameterized replies have keys ending in positional parameters, in
+ * order from `$1`, such as `ban $1` or `weather $1 $2`. Looking up
+ * `ban bob` finds the reply at `ban $1`, with `bob` as its first argument.
+ * Keys with parameters out of order, such as `costs $5`, are just keys.
+ * Keys with parameters are only looked up by request, never found in
+ * messages for passive replies, since those have no arguments.
+ *
+ * In the message, `$1` to `$9` are replaced by the arguments, and
+ * `${1:-default}` by the argument, or the default when it isn't given.
+ * `$$` is a `$`. Parameters without a default must be given.
+ *
+ * Arguments are words, or several words in double quotes.
+ **/
+
+const Result = require('r-result');
+const Ok = Result.Ok;
+const Fail = Result.Fail;
+
+// Only single digits can be substituted.
+const MAX_PARAMETERS = 9;
+
+// String -> {base: String, arity: Number}
+// Keys without parameters have an arity of 0, and are their own base.
+const parse = function (key) {
+    const words = key.split(" ");
+    var arity = 0;
+
+    while (words.length > arity + 1 && /^\$[1-9]$/.test(words[words.length - arity - 1])) {
+        arity += 1;
+    }
+
+    const parameters = words.slice(words.length - arity);
+    const inOrder = parameters.every(function (parameter, ix) {
+        return parameter === "$" + (ix + 1);
+    });
+
+    if (arity === 0 || !inOrder) {
+        return { base: key, arity: 0 };
+    }
+
+    return { base: words.slice(0, words.length - arity).join(" "), arity: arity };
+};
+
+// (String, Number) -> String
+const keyOf = function (base, arity) {
+    const parameters = [];
+
+    for (var ix = 1; ix <= arity; ix++) {
+        parameters.push("$" + ix);
+    }
+
+    return [base].concat(parameters).join(" ");
+};
+
+// String -> [String]
+// Splits text into words, keeping words in double quotes together.
+const splitArguments = function (text) {
+    const words = [];
+    const regexp = /"([^"]*)"|(\S+)/g;
+    var match;
+
+    while ((match = regexp.exec(text)) !== null) {
+        words.push(match[1] !== undefined ? match[1] : match[2]);
+    }
+
+    return words;
+};
+
+// Fills in the parameters of a message with the arguments given for them.
+// (String, Number, [String]) -> Result<String, "missing-arguments" | "too-many-arguments">
+const substitute = function (message, arity, args) {
+    if (args.length > arity) {
+        return Fail("too-many-arguments");
+    }
+
+    for (var ix = args.length; ix < arity; ix++) {
+        if (message.indexOf("${" + (ix + 1) + ":-") === -1) {
+            return Fail("missing-arguments");
+        }
+    }
+
+    return Ok(message.replace(/\$(\$|[1-9])|\$\{([1-9]):-([^}]*)\}/g, function (match, which, defaultedWhich, defaultValue) {
+        if (which === "$") {
+            return "$";
+        }
+
+        const ix = Number(which || defaultedWhich) - 1;
+
+        if (ix >= arity) {
+            return match;
+        }
+
+        return args[ix] !== undefined ? args[ix] : (defaultValue || "");
+    }));
+};
+
+module.exports = {
+    MAX_PARAMETERS: MAX_PARAMETERS,
+    parse: parse,
+    keyOf: keyOf,
+    splitArguments: splitArguments,
+    substitute: substitute
+};
@@ -0,0 +1,240 @@
+/**
+ * Pattern triggers are reply keys that match text by regular expression
+ * or by glob instead of by literal words. They're stored in the replies
+ * database like any other key, but with a prefix saying what they are:
+ *
+ *   re:<regexp source>   e.g. re:^how (?:do|can) i (\w+)
+ *   glob:<glob>          e.g. glob:*is down*
+ *
+ * Regular expressions are searched for anywhere in the text and are
+ * case insensitive. Globs must match the entire text. In a glob, `*`
+ * matches any run of characters and `?` matches a single character.
+ *
+ * Because anybody can teach the bot a pattern, patterns that could
+ * backtrack catastrophically are rejected, and text is truncated before
+ * being matched against. That doesn't rule out every slow pattern, e.g.
+ * `.*.*z` still takes a fraction of a second on a long line, so every
+ * match also has a time limit, and a match that runs out of time counts
+ * as not matching.
+ **/
+
+const vm = require('vm');
+const Result = require('r-result');
+const Ok = Result.Ok;
+const Fail = Result.Fail;
+
+const REGEXP_PREFIX = "re:";
+const GLOB_PREFIX = "glob:";
+const MAX_SOURCE_LENGTH = 200;
+// Even without nesting, every unbounded quantifier adds a degree to the
+// polynomial time a failing match can take. Three, as in `.*.*.*z`, can
+// take tens of seconds on a long line.
+const MAX_QUANTIFIERS = 2;
+// Milliseconds a single match can take.
+const MATCH_TIMEOUT = 25;
+// IRC lines cannot be longer than this anyways.
+const MAX_TEXT_LENGTH = 512;
+
+const startsWith = function (string, prefix) {
+    return string.indexOf(prefix) === 0;
+};
+
+// String -> Boolean
+const isPatternKey = function (key) {
+    return startsWith(key, REGEXP_PREFIX) || startsWith(key, GLOB_PREFIX);
+};
+
+// String -> String
+// The prefix is case insensitive, but the pattern itself is not, since
+// e.g. `\w` and `\W` mean different things.
+const normalizeKey = function (key) {
+    const lowerKey = key.toLowerCase();
+
+    if (startsWith(lowerKey, REGEXP_PREFIX)) {
+        return REGEXP_PREFIX + key.slice(REGEXP_PREFIX.length).trim();
+    } else if (startsWith(lowerKey, GLOB_PREFIX)) {
+        return GLOB_PREFIX + key.slice(GLOB_PREFIX.length).trim();
+    } else {
+        return lowerKey;
+    }
+};
+
+// String -> String
+const globToRegExpSource = function (glob) {
+    return "^" + glob.split("").map(function (char) {
+        switch (char) {
+            case "*": return "(.*)";
+            case "?": return "(.)";
+            default: return char.replace(/[\\^$.*+?()[\]{}|\/-]/g, "\\$&");
+        }
+    }).join("") + "$";
+};
+
+// The length of the quantifier at an index of a regexp source, such as
+// `*`, `?` or `{2,3}`, with the `?` that makes it lazy, or 0 when there
+// isn't one there. A `{` that isn't a quantifier matches itself.
+// (String, Number) -> Number
+const quantifierLength = function (source, ix) {
+    const match = /^(?:[*+?]|\{\d+(?:,\d*)?\})\??/.exec(source.slice(ix));
+    return match ? match[0].length : 0;
+};
+
+// String -> Boolean
+//
+// Rejects the constructs that lead to exponential backtracking in
+// JavaScript's regexp engine: quantified groups that themselves contain
+// a quantifier or an alternation, e.g. `(a+)+` or `(a|a)*`, and
+// backreferences. It also limits how many quantifiers there can be in
+// total. This is stricter than it needs to be, but it's cheap and
+// predictable, which matters more here.
+const isSafeRegExpSource = function (source) {
+    // Each entry is whether the group has a quantifier or alternation in it.
+    const groups = [false];
+    var inClass = false;
+    var quantifiers = 0;
+    var hasRepetition;
+    var length;
+
+    for (var ix = 0; ix < source.length; ix++) {
+        const char = source[ix];
+        const next = source[ix + 1];
+        const isQuantified = quantifierLength(source, ix + 1) !== 0;
+
+        if (char === "\\") {
+            if (/[1-9]/.test(next) || next === "k") {
+                return false;
+            }
+
+            ix += 1;
+            continue;
+        }
+
+        if (inClass) {
+            inClass = char !== "]";
+            continue;
+        }
+
+        switch (char) {
+            case "[":
+                inClass = true;
+                break;
+            case "(":
+                groups.push(false);
+
+                // `(?:`, `(?=`, `(?<name>` and the like aren't quantifiers.
+                if (next === "?") {
+                    ix += 1;
+                }
+                break;
+            case ")":
+                hasRepetition = groups.pop();
+
+                if (hasRepetition && isQuantified) {
+                    return false;
+                }
+
+                if (groups.length === 0) {
+                    return false;
+                }
+
+                if (hasRepetition) {
+                    groups[groups.length - 1] = true;
+                }
+                break;
+            case "|":
+                groups[groups.length - 1] = true;
+                break;
+            case "*":
+            case "+":
+            case "?":
+            case "{":
+                length = quantifierLength(source, ix);
+
+                if (length !== 0) {
+                    quantifiers += 1;
+                    groups[groups.length - 1] = true;
+                    ix += length - 1;
+                }
+                break;
+        }
+    }
+
+    return quantifiers <= MAX_QUANTIFIERS && groups.length === 1;
+};
+
+// String -> Result<RegExp, "bad-pattern-regexp" | "unsafe-pattern-regexp">
+const compile = function (key) {
+    var source;
+
+    if (startsWith(key, REGEXP_PREFIX)) {
+        source = key.slice(REGEXP_PREFIX.length);
+    } else if (startsWith(key, GLOB_PREFIX)) {
+        source = globToRegExpSource(key.slice(GLOB_PREFIX.length));
+    } else {
+        throw new Error("Key is not a pattern key.");
+    }
+
+    if (source === "" || source.length > MAX_SOURCE_LENGTH) {
+        return Fail("bad-pattern-regexp");
+    }
+
+    var regexp;
+    try {
+        regexp = new RegExp(source, "i");
+    } catch (e) {
+        return Fail("bad-pattern-regexp");
+    }
+
+    if (!isSafeRegExpSource(source)) {
+        return Fail("unsafe-pattern-regexp");
+    }
+
+    return Ok(regexp);
+};
+
+// Matches are run in a context of their own, since only scripts run
+// in a context can be given a time limit.
+const matchContext = vm.createContext({});
+const matchScript = new vm.Script("regexp.exec(text)");
+
+// (RegExp, String) -> [String] | null
+// Null when the regexp doesn't match, or takes too long to.
+const exec = function (regexp, text) {
+    matchContext.regexp = regexp;
+    matchContext.text = text.slice(0, MAX_TEXT_LENGTH);
+
+    try {
+        return matchScript.runInContext(matchContext, { timeout: MATCH_TIMEOUT });
+    } catch (err) {
+        if (err.code === "ERR_SCRIPT_EXECUTION_TIMEOUT") {
+            return null;
+        }
+
+        throw err;
+    } finally {
+        matchContext.regexp = undefined;
+        matchContext.text = undefined;
+    }
+};
+
+// (String, [String]) -> String
+// Replaces `$0` through `$9` with the matching captures. `$$` is a literal `$`.
+const substitute = function (message, captures) {
+    return message.replace(/\$(\$|\d)/g, function (match, which) {
+        if (which === "$") {
+            return "$";
+        }
+
+        return captures[Number(which)] || "";
+    });
+};
+
+module.exports = {
+    REGEXP_PREFIX: REGEXP_PREFIX,
+    GLOB_PREFIX: GLOB_PREFIX,
+    isPatternKey: isPatternKey,
+    normalizeKey: normalizeKey,
+    compile: compile,
+    exec: exec,
+    substitute: substitute
+};
@@ -0,0 +1,81 @@
+/**
+ * Changes to replies waiting for an admin to approve or reject them.
+ *
+ * %Pending{
+ *   id: Number, counting up from 1.
+ *   action: "set" or "replace".
+ *   key: Key of the reply being changed.
+ *   namespace: Namespace of the reply.
+ *   editor: Full hostmask of who made the change.
+ *   time: Time the change was made.
+ *   ...what the change is. For "set", the `intent` and `message` of the
+ *   reply. For "replace", the `find` and `flags` of the regexp and the
+ *   `replacement`.
+ * }
+ *
+ * The queue is kept in a storage adapter (see storage/index.js) of its
+ * own, keyed by id, so that it survives restarts. The next id is kept
+ * there too, so that ids aren't given out again after the newest changes
+ * are approved or rejected and the bot restarts.
+ **/
+
+const NEXT_ID_KEY = "next-id";
+
+// String -> Boolean
+const isId = function (key) {
+    return /^\d+$/.test(key);
+};
+
+module.exports = function (storage) {
+    var nextId = 1;
+
+    storage.onLoad(function () {
+        nextId = Math.max(nextId, storage.get(NEXT_ID_KEY) || 1);
+
+        storage.forEach(function (id) {
+            if (isId(id)) {
+                nextId = Math.max(nextId, Number(id) + 1);
+            }
+        });
+    });
+
+    return {
+        // %Pending{} without id -> Number
+        add: function (pending) {
+            const id = nextId;
+            nextId += 1;
+            storage.set(NEXT_ID_KEY, nextId);
+
+            pending.id = id;
+            storage.set(String(id), pending);
+
+            return id;
+        },
+
+        // Number -> %Pending{} | undefined
+        get: function (id) {
+            return storage.get(String(id));
+        },
+
+        // Number -> ()
+        remove: function (id) {
+            storage.delete(String(id));
+        },
+
+        // () -> [%Pending{}]
+        // Oldest first.
+        list: function () {
+            const pending = [];
+
+            storage.forEach(function (id, value) {
+                if (value && isId(id)) {
+                    pending.push(value);
+                }
+            });
+
+            return pending.sort(function (lhs, rhs) {
+                return lhs.id - rhs.id;
+            });
+        }
+    };
+};
@@ -0,0 +1,264 @@
+/**
+ * Decides who may change which replies.
+ *
+ * Every change to a reply is one or more of these actions:
+ *
+ *   learn:  Creating a reply that doesn't exist.
+ *   edit:   Changing or overwriting a reply that exists.
+ *   forget: Deleting a reply.
+ *   alias:  Making a reply an alias of another.
+ *   lock:   Locking (freezing) or unlocking a reply. Locked replies
+ *           can only be changed by those allowed to lock them.
+ *
+ * Each action needs a role, from least to most privileged:
+ *
+ *   everyone:   Anybody on IRC.
+ *   registered: Anybody identified with NickServ.
+ *   trusted:    Anybody with a hostmask given the trusted role.
+ *   admin:      Anybody the admin plugin says is an admin.
+ *
+ * Roles can also come from elsewhere, such as Twitch badges (see
+ * twitch.js), through the `roleOf` option.
+ *
+ * Hostmask patterns, e.g. `*!*@staff.example.org`, can be given the
+ * `trusted` role or the `banned` role. Banned users cannot do anything.
+ *
+ * The settings are:
+ *
+ * %Settings{
+ *   learn, edit, forget, alias, lock: Role needed for the action. ^1
+ *   hostmasks: Map<HostmaskPattern, "trusted" | "banned">
+ *   requireAccount: Boolean of whether `everyone` means `registered`.
+ *   channels: Map<Channel, %Settings{}> of settings for the replies in
+ *             that channel's namespace. They are merged over these ones.
+ * }
+ *
+ * 1: Defaults to `everyone`, except for `lock`, which defaults to `admin`.
+ *
+ * Whoever learns a reply becomes its owner. The owner can edit, forget,
+ * and alias their reply even when their role would not let them, but
+ * not once the reply is locked.
+ **/
+
+const Promise = require('bluebird');
+const Result = require('r-result');
+const Ok = Result.Ok;
+const Fail = Result.Fail;
+
+const ACTIONS = ["learn", "edit", "forget", "alias", "lock"];
+const ROLES = ["everyone", "registered", "trusted", "admin"];
+const OWNER_ACTIONS = ["edit", "forget", "alias"];
+
+const DEFAULTS = {
+    learn: "everyone",
+    edit: "everyone",
+    forget: "everyone",
+    alias: "everyone",
+    lock: "admin"
+};
+
+// (HostmaskPattern, Hostmask) -> Boolean
+// In a pattern, `*` matches any run of characters and `?` a single one.
+const hostmaskMatches = function (pattern, hostmask) {
+    const source = pattern.split("").map(function (char) {
+        switch (char) {
+            case "*": return ".*";
+            case "?": return ".";
+            default: return char.replace(/[\\^$.*+?()[\]{}|\/-]/g, "\\$&");
+        }
+    }).join("");
+
+    return new RegExp("^" + source + "$", "i").test(hostmask);
+};
+
+// The owner of a reply is kept as a pattern that matches
+// the editor under any nickname.
+// Hostmask -> HostmaskPattern
+const ownerOf = function (hostmask) {
+    return "*" + hostmask.slice(hostmask.indexOf("!"));
+};
+
+// Hostmask -> String
+const nicknameOf = function (hostmask) {
+    return hostmask.slice(0, hostmask.indexOf("!"));
+};
+
+// Options:
+//   isAdmin:   Hostmask -> Promise<Boolean>
+//   accountOf: Nickname -> Promise<String | undefined> of the NickServ
+//              account the nickname is identified as. Without it,
+//              nobody counts as registered.
+//   roleOf:    Hostmask -> Role | undefined of a role the editor has
+//              without being given it here. Optional.
+//   settings:  %Settings{}, all of it optional.
+module.exports = function (options) {
+    const isAdmin = options.isAdmin;
+    const accountOf = options.accountOf;
+    const roleOf = options.roleOf || function () { return undefined; };
+    const settings = options.settings || {};
+    const channelSettings = {};
+
+    if (typeof isAdmin !== "function") {
+        throw new Error("isAdmin property must be a function.");
+    }
+
+    Object.keys(settings.channels || {}).forEach(function (channel) {
+        channelSettings[channel.toLowerCase()] = settings.channels[channel];
+    });
+
+    // Namespace -> %Settings{}
+    const settingsFor = function (namespace) {
+        const overrides = channelSettings[namespace] || {};
+        const merged = {};
+
+        ACTIONS.forEach(function (action) {
+            merged[action] = overrides[action] || settings[action] || DEFAULTS[action];
+        });
+
+        merged.requireAccount = overrides.requireAccount !== undefined ? overrides.requireAccount : Boolean(settings.requireAccount);
+        merged.hostmasks = {};
+
+        [settings.hostmasks || {}, overrides.hostmasks || {}].forEach(function (hostmasks) {
+            Object.keys(hostmasks).forEach(function (pattern) {
+                merged.hostmasks[pattern] = hostmasks[pattern];
+            });
+        });
+
+        return merged;
+    };
+
+    // (%Settings{}, Hostmask) -> "trusted" | "banned" | undefined
+    const hostmaskRole = function (settings, hostmask) {
+        const patterns = Object.keys(settings.hostmasks).filter(function (pattern) {
+            return hostmaskMatches(pattern, hostmask);
+        });
+        const roles = patterns.map(function (pattern) {
+            return settings.hostmasks[pattern];
+        });
+
+        if (roles.indexOf("banned") !== -1) {
+            return "banned";
+        }
+
+        return roles.indexOf("trusted") !== -1 ? "trusted" : undefined;
+    };
+
+    // Whether the editor has at least the role. Admins and NickServ are
+    // only asked when they need to be.
+    // (Role, %Settings{}, Hostmask) -> Promise<Result<(), "account-required" | "not-permitted">>
+    const hasRole = function (role, settings, hostmask) {
+        if (role === "everyone") {
+            return Promise.resolve(Ok());
+        }
+
+        const isTrusted = hostmaskRole(settings, hostmask) === "trusted";
+
+        if (isTrusted && role !== "admin") {
+            return Promise.resolve(Ok());
+        }
+
+        if (ROLES.indexOf(roleOf(hostmask)) >= ROLES.indexOf(role)) {
+            return Promise.resolve(Ok());
+        }
+
+        return Promise.resolve(isAdmin(hostmask))
+        .then(function (isAdmin) {
+            if (isAdmin) {
+                return Ok();
+            }
+
+            if (role !== "registered" || !accountOf) {
+                return Fail("not-permitted");
+            }
+
+            return Promise.resolve(accountOf(nicknameOf(hostmask)))
+            .then(function (account) {
+                return account ? Ok() : Fail("account-required");
+            });
+        });
+    };
+
+    // Checks whether the editor may do all of the actions to a reply.
+    //
+    // %Request{
+    //   actions: [Action]
+    //   editor: Hostmask
+    //   namespace: Namespace of the reply.
+    //   reply: %Reply{} being changed, if there is one.
+    // }
+    //
+    // The failure reasons are "banned", "locked", "account-required",
+    // and "<action>-not-permitted" for the first action not permitted.
+    //
+    // %Request{} -> Promise<Result<(), String>>
+    const check = function (request) {
+        const settings = settingsFor(request.namespace);
+        const reply = request.reply;
+        const isOwner = Boolean(reply && reply.message && reply.owner && hostmaskMatches(reply.owner, request.editor));
+
+        if (hostmaskRole(settings, request.editor) === "banned") {
+            return Promise.resolve(Fail("banned"));
+        }
+
+        // (Action, Role) -> Promise<Result<(), String>>
+        const checkAction = function (action, role) {
+            if (role === "everyone" && settings.requireAccount) {
+                role = "registered";
+            }
+
+            return hasRole(role, settings, request.editor)
+            .then(function (result) {
+                return result.mapFail(function (reason) {
+                    return reason === "account-required" ? reason : action + "-not-permitted";
+                });
+            });
+        };
+
+        const actions = request.actions.slice();
+
+        // Changing a locked reply needs whatever locking it needs.
+        if (reply && reply.frozen && actions.indexOf("lock") === -1) {
+            actions.unshift("lock");
+        }
+
+        return Promise.reduce(actions, function (result, action) {
+            if (result.isFail()) {
+                return result;
+            }
+
+            if (ROLES.indexOf(settings[action]) === -1) {
+                throw new Error("Unknown role '" + settings[action] + "' for " + action + ".");
+            }
+
+            if (isOwner && !reply.frozen && OWNER_ACTIONS.indexOf(action) !== -1) {
+                return Ok();
+            }
+
+            return checkAction(action, settings[action])
+            .then(function (result) {
+                return result.mapFail(function (reason) {
+                    return action === "lock" && request.actions.indexOf("lock") === -1 ? "locked" : reason;
+                });
+            });
+        }, Ok());
+    };
+
+    return {
+        check: check,
+
+        // (Hostmask, Namespace) -> Promise<Boolean>
+        // Whether the editor has the trusted role, or is an admin.
+        isTrusted: function (editor, namespace) {
+            return hasRole("trusted", settingsFor(namespace), editor)
+            .then(function (result) {
+                return result.isOk();
+            });
+        }
+    };
+};
+
+module.exports.ACTIONS = ACTIONS;
+module.exports.ROLES = ROLES;
+module.exports.ownerOf = ownerOf;
+module.exports.nicknameOf = nicknameOf;
+module.exports.hostmaskMatches = hostmaskMatches;
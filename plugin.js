@@ -1,4 +1,21 @@
 const Replies = require("./replies");
+const Storage = require("./storage");
+const Formats = require("./formats");
+const Permissions = require("./permissions");
+const PendingQueue = require("./pending-queue");
+const UsageStats = require("./usage-stats");
+const AuditLog = require("./audit-log");
+const HttpApi = require("./http-api");
+const Schedule = require("./schedule");
+const Times = require("./times");
+const Twitch = require("./twitch");
+const LoopGuard = require("./loop-guard");
+const fs = require('fs');
+const EventEmitter = require('events').EventEmitter;
+const Patterns = require("./patterns");
+const RateLimiter = require("./rate-limiter");
+const Templates = require("./templates");
+const Validation = require("./validation");
 const format = require('util').format;
 const Promise = require('bluebird');
 // Promise.onPossiblyUnhandledRejection(function () {});
@@ -23,6 +40,10 @@ const trim = function (string) {
     return string.replace(/^\s+|\s+$/g, "");
 };
 
+const truncate = function (string, length) {
+    return string.length > length ? string.slice(0, length - 3) + "..." : string;
+};
+
 const startsWith = function (string, prefix) {
     return string.indexOf(prefix) === 0;
 };
@@ -31,6 +52,104 @@ const endsWith = function (string, postfix) {
     return string.lastIndexOf(postfix) === string.length - postfix.length;
 };
 
+// String -> Boolean
+const isChannel = function (string) {
+    return startsWith(string, "#") || startsWith(string, "&");
+};
+
+// [String] | undefined -> [String] | undefined
+const lowercaseAll = function (strings) {
+    return strings && strings.map(function (string) { return string.toLowerCase(); });
+};
+
+// Converts the `replies-*-limits` config values to options for RateLimiter.
+// (Object | undefined, Object, () -> Number) -> Object
+const rateLimiterOptions = function (config, defaults, now) {
+    config = config || {};
+
+    const option = function (name, defaultValue) {
+        return config[name] === undefined ? defaultValue : config[name];
+    };
+
+    return {
+        channelCooldown: option("channel-cooldown", defaults.channelCooldown),
+        keyCooldown: option("key-cooldown", defaults.keyCooldown),
+        userLimit: option("user-limit", defaults.userLimit),
+        channelLimit: option("channel-limit", defaults.channelLimit),
+        channelWindow: option("channel-window", defaults.channelWindow),
+        userWindow: option("user-window", defaults.userWindow),
+        maxPerMessage: option("max-per-message", defaults.maxPerMessage),
+        now: now
+    };
+};
+
+// Lines are written as `\n` in !learn, the same as they're stored.
+// Blank lines are left out.
+// String -> String
+const multilineMessage = function (description) {
+    return description.split(Replies.LINE_BREAK).map(trim).filter(function (line) {
+        return line !== "";
+    }).join(Replies.LINE_BREAK);
+};
+
+// How many lines can be said in a channel before they're sent by private message instead.
+const MAX_CHANNEL_LINES = 3;
+const LIST_PAGE_SIZE = 50;
+const LIST_KEYS_PER_LINE = 10;
+const MAX_SEARCH_RESULTS = 20;
+// How long a nickname counts as seen in the bot's channels.
+const SEEN_NICKNAME_LIFETIME = 24 * 60 * 60 * 1000;
+const SEEN_NICKNAME_PRUNE_INTERVAL = 60 * 60 * 1000;
+
+// Failure reasons from the permissions policy that mean the same
+// thing for every command. See permissions.js.
+// String -> Result<String, String>
+const permissionFailureMessage = function (reason) {
+    switch (reason) {
+        case "banned":               return Ok("You are not allowed to change replies.");
+        case "account-required":     return Ok("You must be identified with NickServ to do that.");
+        case "learn-not-permitted":  return Ok("You are not allowed to learn new replies here.");
+        case "edit-not-permitted":   return Ok("You are not allowed to edit replies here.");
+        case "forget-not-permitted": return Ok("You are not allowed to forget replies here.");
+        case "alias-not-permitted":  return Ok("You are not allowed to make aliases here.");
+        case "lock-not-permitted":   return Ok("You are not allowed to lock or unlock replies here.");
+        default:                     return Fail(reason);
+    }
+};
+
+// Converts the `replies-permissions` config value to settings for Permissions.
+// Object | undefined -> %Settings{}
+const permissionSettings = function (config) {
+    config = config || {};
+
+    const settings = {
+        learn: config.learn,
+        edit: config.edit,
+        forget: config.forget,
+        alias: config.alias,
+        lock: config.lock,
+        hostmasks: config.hostmasks,
+        requireAccount: config["require-account"]
+    };
+
+    if (config.channels) {
+        settings.channels = {};
+
+        Object.keys(config.channels).forEach(function (channel) {
+            settings.channels[channel] = permissionSettings(config.channels[channel]);
+        });
+    }
+
+    return settings;
+};
+
+// Makes a copy of a command with different args.
+const withArgs = function (command, args) {
+    const copy = Object.create(command);
+    copy.args = args;
+    return copy;
+};
+
 // Binds the last `n` arguments of a function where `n` is the length of `args`.
 const bindr = function (fn, args) {
     return function () {
@@ -38,14 +157,136 @@ const bindr = function (fn, args) {
     };
 };
 
+// The `close` of every instance of the plugin that's loaded, which are
+// all closed when the process exits or is interrupted. See `closeOnExit`.
+const openInstances = [];
+var listeningForExit = false;
+
+// Closes every instance when the process exits. Saving can be
+// asynchronous, so on SIGINT and SIGTERM, the process waits for it
+// before being stopped by the signal again.
+// () -> ()
+const listenForExit = function () {
+    process.on("exit", function () {
+        openInstances.slice().forEach(function (close) { close(); });
+    });
+
+    ["SIGINT", "SIGTERM"].forEach(function (signal) {
+        process.once(signal, function () {
+            var closing = openInstances.length;
+
+            if (closing === 0) {
+                return process.kill(process.pid, signal);
+            }
+
+            openInstances.slice().forEach(function (close) {
+                close(function () {
+                    closing -= 1;
+
+                    if (closing === 0) {
+                        process.kill(process.pid, signal);
+                    }
+                });
+            });
+        });
+    });
+};
+
+// Keeps track of an instance's `close` until it's closed.
+// ((() -> ())? -> ()) -> ()
+const closeOnExit = function (close) {
+    if (!listeningForExit) {
+        listeningForExit = true;
+        listenForExit();
+    }
+
+    openInstances.push(close);
+};
+
 module.exports = {
+    role: "replies",
+
     init: function (client, imports) {
         const commandTrigger = client.config("command-trigger");
         const replyTrigger = client.config("replies-trigger");
         const databaseLocation = client.config("replies-database");
+        const historyLocation = client.config("replies-history-database") || (databaseLocation && databaseLocation + ".history");
+        const storageType = client.config("replies-storage") || "dirty";
         const maxAliasDepth = client.config("replies-max-alias-depth") || 3;
         const delay = client.config("replies-delay");
+        // Milliseconds between the lines of multi-line replies.
+        const lineDelay = client.config("replies-line-delay") === undefined ? 1000 : client.config("replies-line-delay");
         const daemon = client.config("daemon");
+        // "global" or "channel"
+        const defaultScope = client.config("replies-default-scope") || "global";
+        const passiveChannels = lowercaseAll(client.config("replies-passive-channels"));
+        const passiveDisabledChannels = lowercaseAll(client.config("replies-passive-disabled-channels")) || [];
+        // true, or the channels whose replies need approval to change.
+        const moderation = client.config("replies-moderation");
+        const pendingLocation = client.config("replies-pending-database") || (databaseLocation && databaseLocation + ".pending");
+        // Suggesting keys like the ones that don't exist. See fuzzy-index.js.
+        const suggestionsConfig = client.config("replies-suggestions") || {};
+        const maxSuggestions = suggestionsConfig.max === undefined ? 3 : suggestionsConfig.max;
+        const autoResolve = Boolean(suggestionsConfig["auto-resolve"]);
+        const statsLocation = client.config("replies-stats-database") || (databaseLocation && databaseLocation + ".stats");
+        const auditLocation = client.config("replies-audit-database") || (databaseLocation && databaseLocation + ".audit");
+        const scheduleLocation = client.config("replies-schedule-database") || (databaseLocation && databaseLocation + ".schedule");
+        // () -> Number of milliseconds since the epoch. Everything that
+        // depends on the time uses it, so that tests can control the time.
+        const now = client.config("replies-now") || Date.now;
+        // Of active times and scheduled replies. See times.js.
+        var timeZone = client.config("replies-time-zone") || "UTC";
+
+        if (!Times.isTimeZone(timeZone)) {
+            client.error("AutoReplyPlugn", format("Unknown time zone '%s'. Using UTC instead.", timeZone));
+            timeZone = "UTC";
+        }
+
+        // See twitch.js.
+        const twitchConfig = client.config("replies-twitch") || {};
+        const twitch = daemon === "twitch" ? Twitch({
+            badges: twitchConfig.badges,
+            commandPrefix: twitchConfig["command-prefix"]
+        }) : undefined;
+
+        const passiveLimiter = RateLimiter(rateLimiterOptions(client.config("replies-passive-limits"), {
+            channelCooldown: delay === undefined && twitch ? Twitch.RATE_LIMITS.channelCooldown : delay,
+            channelLimit: twitch ? Twitch.RATE_LIMITS.channelLimit : 0,
+            channelWindow: twitch ? Twitch.RATE_LIMITS.channelWindow : 0,
+            keyCooldown: 60 * 1000,
+            userLimit: 5,
+            userWindow: 60 * 1000,
+            maxPerMessage: 1
+        }, now));
+
+        const commandLimiter = RateLimiter(rateLimiterOptions(client.config("replies-command-limits"), {
+            channelCooldown: 0,
+            keyCooldown: 10 * 1000,
+            userLimit: 10,
+            userWindow: 60 * 1000
+        }, now));
+
+        // Keeps passive replies from looping between bots. See loop-guard.js.
+        const loopConfig = client.config("replies-loop-protection") || {};
+        const loopOption = function (name, defaultValue) {
+            return loopConfig[name] === undefined ? defaultValue : loopConfig[name];
+        };
+
+        const loopGuard = LoopGuard({
+            now: now,
+            nickname: function () {
+                return client.nickname();
+            },
+            ignore: loopConfig.ignore,
+            relays: loopConfig.relays,
+            relayPrefixes: loopOption("relay-prefixes", []).map(function (prefix) {
+                return new RegExp(prefix, "i");
+            }),
+            echoWindow: loopOption("echo-window", 60 * 1000),
+            burstLimit: loopOption("burst-limit", 10),
+            burstWindow: loopOption("burst-window", 60 * 1000),
+            muteDuration: loopOption("mute-duration", 10 * 60 * 1000)
+        });
 
         const adminPlugin = client.getRole("admin");
         var requiresAdmin, isAdmin;
@@ -56,58 +297,536 @@ module.exports = {
             isAdmin = function () { return Promise.resolve(false); }
         }
 
-        const beforeUpdate = function () {
-            if (daemon !== "twitch") {
-                return Ok;
+        // Nickname -> Promise<String | undefined>
+        function accountOf (nickname) {
+            return Promise.resolve(client.whois(nickname))
+            .then(function (result) {
+                return result.isOk() ? result.ok().identifiedas : undefined;
+            })
+            .catch(function () {
+                return undefined;
+            });
+        }
+
+        // Map<Nickname, Time> of the nicknames seen in the bot's channels,
+        // and when they were last seen. See `seeNickname`.
+        const seenNicknames = Object.create(null);
+        var seenPruned = now();
+
+        // Remembers that a nickname was seen, forgetting the nicknames
+        // that haven't been seen for a day, at most once an hour.
+        // Nickname -> ()
+        function seeNickname (nickname) {
+            const time = now();
+
+            seenNicknames[nickname.toLowerCase()] = time;
+
+            if (time - seenPruned < SEEN_NICKNAME_PRUNE_INTERVAL) {
+                return;
             }
 
-            return function (reply) {
-                if (reply.intent === "say" && (reply.message[0] === "!" || reply.message[0] === "/")) {
-                    return Fail("maybe-twitch-command");
-                } else {
-                    return Ok(reply);
+            seenPruned = time;
+
+            Object.keys(seenNicknames).forEach(function (seen) {
+                if (time - seenNicknames[seen] >= SEEN_NICKNAME_LIFETIME) {
+                    delete seenNicknames[seen];
                 }
-            };
-        }();
+            });
+        }
+
+        // Every change to a reply's content goes through this. See validation.js.
+        const validation = Validation();
+        const validationConfig = client.config("replies-validation") || {};
+        const maxLength = validationConfig["max-length"] || 400;
+        const maxHighlights = validationConfig["max-highlights"] === undefined ? 3 : validationConfig["max-highlights"];
+        const maxLines = validationConfig["max-lines"] || 5;
+
+        validation.add(Validation.rules.noControlCharacters(), {
+            "ctcp-injection": "Disallowed! Reply message contains a CTCP character (\\x01).",
+            "control-characters": "Disallowed! Reply message contains control characters."
+        });
+
+        validation.add(Validation.rules.maxLength(maxLength), {
+            "message-too-long": format("Disallowed! Reply message is longer than %s bytes.", maxLength)
+        });
+
+        validation.add(Validation.rules.blockedWords(validationConfig["blocked-words"] || []), {
+            "blocked-word": "Disallowed! Reply message contains a blocked word."
+        });
+
+        validation.add(Validation.rules.blockedDomains(validationConfig["blocked-domains"] || []), {
+            "blocked-domain": "Disallowed! Reply message links to a blocked domain."
+        });
+
+        validation.add(Validation.rules.maxHighlights(maxHighlights, function () {
+            return Object.keys(seenNicknames);
+        }), {
+            "highlight-spam": format("Disallowed! Reply message mentions more than %s people.", maxHighlights)
+        });
+
+        validation.add(Validation.rules.maxLines(maxLines), {
+            "too-many-lines": format("Disallowed! Multi-line replies can have at most %s lines.", maxLines)
+        });
+
+        validation.add(Validation.rules.ctcpType(), {
+            "bad-ctcp-type": "Disallowed! CTCP replies must start with a CTCP type other than DCC, e.g. VERSION."
+        });
+
+        // Extra rules from the config are regexps that messages must not match.
+        (validationConfig.rules || []).forEach(function (rule) {
+            const descriptions = {};
+            descriptions[rule.reason] = rule.message || format("Disallowed! Reply message breaks the '%s' rule.", rule.reason);
+
+            validation.add(Validation.rules.matching(new RegExp(rule.pattern, rule.flags === undefined ? "i" : rule.flags), rule.reason), descriptions);
+        });
+
+        if (daemon === "twitch") {
+            validation.add(Validation.rules.noTwitchCommands(), {
+                "maybe-twitch-command": "Disallowed! Reply message could be a Twitch command."
+            });
+        }
+
+        validation.add(Templates.validate, {
+            "bad-template-unclosed": "Invalid template. A placeholder is missing its closing '}'.",
+            "bad-template-argument": format("Invalid template. A placeholder is missing an argument or has one it does not take. See %shelp learn templates.", commandTrigger)
+        });
+
+        const beforeUpdate = validation.validate;
+
+        // String -> Result<String, String>
+        function validationFailureMessage (reason) {
+            const description = validation.describe(reason);
+            return description ? Ok(description) : Fail(reason);
+        }
+
+        // See replies.js for the events.
+        const events = new EventEmitter();
+
+        // See usage-stats.js.
+        const usageStats = UsageStats(Storage.create(storageType, { location: statsLocation }), { now: now });
 
         const replies = Replies({
-            databaseLocation: databaseLocation, 
-            isEditorAdmin: isAdmin,
+            storage: Storage.create(storageType, {
+                location: databaseLocation,
+                historyLocation: historyLocation
+            }),
+            permissions: Permissions({
+                isAdmin: isAdmin,
+                // Twitch has no NickServ. Badges give roles instead.
+                accountOf: twitch ? undefined : accountOf,
+                roleOf: twitch && twitch.roleOf,
+                settings: permissionSettings(client.config("replies-permissions"))
+            }),
+            pendingQueue: moderation ? PendingQueue(Storage.create(storageType, { location: pendingLocation })) : undefined,
+            moderatedNamespaces: moderation === true ? true : lowercaseAll(moderation),
+            usageStats: usageStats,
+            now: now,
+            auditLog: AuditLog(Storage.create(storageType, { location: auditLocation })),
+            events: events,
+            timeZone: timeZone,
             maxAliasDepth: maxAliasDepth,
-            beforeUpdate: beforeUpdate,
-            delay: delay
+            beforeUpdate: beforeUpdate
+        });
+
+        // See http-api.js. Off unless configured.
+        const httpConfig = client.config("replies-http");
+        var httpServer;
+
+        if (httpConfig) {
+            httpServer = HttpApi({
+                replies: replies,
+                tokens: httpConfig.tokens,
+                describe: function (reason) {
+                    const description = permissionFailureMessage(reason).orElse(validationFailureMessage);
+                    return description.isOk() ? description.ok() : undefined;
+                },
+                error: function (message) {
+                    client.error("AutoReplyPlugn", message);
+                }
+            })
+            .on("error", function (err) {
+                client.error("AutoReplyPlugn", "HTTP API error: " + err.message);
+            })
+            .listen(httpConfig.port || 8470, httpConfig.host || "127.0.0.1", function () {
+                client.note("AutoReplyPlugn", format("HTTP API listening on %s:%s.", httpConfig.host || "127.0.0.1", httpConfig.port || 8470));
+            });
+        }
+
+        // Replies said in channels at scheduled times. See schedule.js.
+        const schedule = Schedule(Storage.create(storageType, { location: scheduleLocation }), {
+            now: now,
+            timeZone: timeZone,
+            announce: announce
         });
 
-        // Privmsg -> Bool
-        function isReplyRequest (privmsg) {
-            return privmsg.message.indexOf(replyTrigger) === 0;
+        schedule.start();
+
+        // Saves what hasn't been yet, and stops what the plugin started.
+        // (() -> ())? -> ()
+        function close (callback) {
+            const ix = openInstances.indexOf(close);
+
+            if (ix !== -1) {
+                openInstances.splice(ix, 1);
+            }
+
+            schedule.stop();
+
+            // Calls back once the counts are saved and the HTTP API stops listening.
+            var waiting = httpServer ? 2 : 1;
+            const done = function () {
+                waiting -= 1;
+
+                if (waiting === 0 && callback) {
+                    callback();
+                }
+            };
+
+            if (httpServer) {
+                httpServer.close(done);
+            }
+
+            usageStats.flush(done);
+        }
+
+        closeOnExit(close);
+
+        // The prefix of a message asking for a reply: the reply trigger, or
+        // on Twitch, the command prefix, as long as the message isn't one of
+        // this plugin's commands.
+        // Privmsg -> String | undefined
+        function replyRequestPrefix (privmsg) {
+            if (replyTrigger && startsWith(privmsg.message, replyTrigger)) {
+                return replyTrigger;
+            }
+
+            if (twitch && twitch.commandPrefix && startsWith(privmsg.message, twitch.commandPrefix)) {
+                const name = privmsg.message.slice(twitch.commandPrefix.length).split(" ")[0].toLowerCase();
+                return handlers["!" + name] ? undefined : twitch.commandPrefix;
+            }
+        }
+
+        // (String, String) -> String
+        function getReplyKey (message, prefix) {
+            return trim(message.slice(prefix.length).replace(/\s+/g, " "));
+        }
+
+        // Privmsg -> Replies
+        function channelScope (privmsg) {
+            return privmsg.isQuery ? replies : replies.scope(privmsg.channel);
+        }
+
+        // (Command, Boolean) -> {replies: Replies, args: [String]}
+        //
+        // An explicit scope can be given as the first argument: either
+        // `*` for the global namespace or a channel name. Otherwise, the
+        // scope is the channel's namespace if `useChannelScope` is true
+        // and the global namespace if not.
+        function parseScope (command, useChannelScope) {
+            const first = command.args[0];
+
+            if (command.args.length > 1 && first === "*") {
+                return { replies: replies, args: command.args.slice(1) };
+            }
+
+            if (command.args.length > 1 && isChannel(first)) {
+                return { replies: replies.scope(first), args: command.args.slice(1) };
+            }
+
+            return {
+                replies: useChannelScope ? channelScope(command) : replies,
+                args: command.args
+            };
+        }
+
+        // Says long output to the user by private message instead of in
+        // the channel, and returns what to tell the channel.
+        // (Command, [String], String) -> [String] | String
+        function respondPrivatelyIfLong (command, lines, notice) {
+            if (command.isQuery || lines.length <= MAX_CHANNEL_LINES) {
+                return lines;
+            }
+
+            client.say(command.nickname, lines);
+            return notice;
+        }
+
+        // (String, %Reply{}) -> String
+        function pendingMessage (key, description) {
+            client.note("AutoReplyPlugn", format("Change #%s to '%s' by %s is pending approval.", description.pending, key, description.editor));
+            return format("Your change to '%s' is waiting for an admin to approve it (#%s).", key, description.pending);
+        }
+
+        // %Pending{} -> String
+        function describePending (pending) {
+            const key = pending.namespace ? format("%s (%s)", pending.key, pending.namespace) : pending.key;
+            const change = pending.action === "set"
+                ? format("[%s] %s", pending.intent, truncate(pending.message, 80))
+                : format("s/%s/%s/%s", truncate(pending.find, 40), truncate(pending.replacement, 40), pending.flags);
+
+            return format("#%s %s by %s: %s", pending.id, key, pending.editor, change);
+        }
+
+        // %AuditEntry{} -> String
+        function describeAuditEntry (entry) {
+            return format("#%s %s %s %s '%s'%s%s", entry.id, entry.time, entry.editor, entry.action, entry.key,
+                entry.namespace ? " in " + entry.namespace : "",
+                entry.undoes ? format(" (undoing #%s)", entry.undoes) : "");
+        }
+
+        // [{key: String, namespace: Namespace}] -> String
+        function describeAliases (aliases) {
+            const names = aliases.map(function (alias) {
+                return alias.namespace ? format("'%s' (%s)", alias.key, alias.namespace) : format("'%s'", alias.key);
+            });
+
+            return format("%s %s", names.length === 1 ? "Alias" : "Aliases", names.join(", "));
+        }
+
+        // (String, %AliasChanges{}, String) -> [String] | String
+        function describeAliasChanges (key, changes, done) {
+            if (changes.changed.length === 0 && changes.failed.length === 0) {
+                return format("No aliases of '%s'.", key);
+            }
+
+            const lines = [];
+
+            if (changes.changed.length !== 0) {
+                lines.push(format("%s %s.", describeAliases(changes.changed), done));
+            }
+
+            return lines.concat(describeAliasFailures(changes.failed));
+        }
+
+        // [{key, namespace, reason}] -> [String]
+        function describeAliasFailures (failed) {
+            return failed.map(function (failure) {
+                const reason = (failure.reason === "locked" ? Ok("Reply is locked.") : permissionFailureMessage(failure.reason))
+                .orElse(validationFailureMessage)
+                .unwrapOrElse(function (reason) { return reason; });
+
+                return format("%s was not changed: %s", describeAliases([failure]), reason);
+            });
+        }
+
+        // Failure messages of !replies rename and !replies copy.
+        // ("rename" | "copy", String, String, String) -> String
+        function moveFailureMessage (verb, key, newKey, reason) {
+            switch (reason) {
+                case "bad-format":            return format("Invalid format. Use %sreplies %s reply-name = new name.", commandTrigger, verb);
+                case "dne":                   return format("Cannot %s '%s'. Reply does not exist.", verb, key);
+                case "locked":                return format("Cannot %s '%s'. Reply is locked.", verb, key);
+                case "exists":                return format("Cannot %s '%s' to '%s'. '%s' already exists or is locked.", verb, key, newKey, newKey);
+                case "same-key":              return format("Cannot %s '%s' to itself.", verb, key);
+                case "at-symbol-in-key":      return "Invalid name. Keys cannot contain '@'.";
+                case "bad-pattern-regexp":    return "Invalid pattern. RegExp invalid or too long.";
+                case "unsafe-pattern-regexp": return "Disallowed! Pattern has nested repetition, backreferences, or too many quantifiers.";
+                default:
+                client.error("AutoReplyPlugn", format("Unhandled failure reason in !replies %s: %s", verb, reason));
+                return format("Error: Unhandled failure reason in %s ('%s').", verb === "copy" ? "copying reply" : "renaming reply", reason);
+            }
+        }
+
+        // String -> Boolean
+        function isPassiveEnabled (channel) {
+            channel = channel.toLowerCase();
+
+            if (passiveChannels && passiveChannels.indexOf(channel) === -1) {
+                return false;
+            }
+
+            return passiveDisabledChannels.indexOf(channel) === -1;
+        }
+
+        // Fills in the placeholders of a response's message.
+        // (Replies, %Tennu.Message{}, String, Privmsg, Object) -> Result<%Tennu.Message{}, String>
+        function renderResponse (replies, response, key, privmsg, context) {
+            return Templates.render(response.message, {
+                nick: privmsg.nickname,
+                displayName: Twitch.displayNameOf(privmsg),
+                channel: privmsg.channel,
+                target: context.target,
+                args: context.args,
+                date: new Date(now()),
+                lookup: replies.get
+            }, maxAliasDepth, [key.toLowerCase()])
+            .map(function (message) {
+                response.message = message;
+                return response;
+            });
+        }
+
+        // Gets the reply of the only key similar to one that doesn't exist,
+        // when auto-resolving is on. The response also says which key it was.
+        // (Replies, String) -> Result<%Tennu.Message{} & {key: String}, String>
+        function getSimilarReply (replies, key) {
+            const suggestions = autoResolve ? replies.suggest(key, 2) : [];
+
+            if (suggestions.length !== 1) {
+                return Fail("no-reply");
+            }
+
+            client.note("PluginAutoReply", format("Key '%s' resolved to '%s'.", key, suggestions[0]));
+
+            return replies.get(suggestions[0]).map(function (response) {
+                response.key = suggestions[0];
+                return response;
+            });
+        }
+
+        // (Replies, String) -> String
+        function noReplyMessage (replies, key) {
+            const suggestions = maxSuggestions ? replies.suggest(key, maxSuggestions) : [];
+
+            if (suggestions.length === 0) {
+                return format("No such reply '%s' found.", key);
+            }
+
+            return format("No such reply '%s' found. Did you mean %s?", key, suggestions.map(function (suggestion) {
+                return format("'%s'", suggestion);
+            }).join(", "));
+        }
+
+        // Says each line, waiting `lineDelay` between them so that the
+        // server doesn't disconnect the bot for flooding.
+        // (String -> (), [String]) -> Promise
+        function sayPaced (say, lines) {
+            return Promise.each(lines, function (line, ix) {
+                return Promise.delay(ix === 0 ? 0 : lineDelay)
+                .then(function () {
+                    say(line);
+                });
+            });
+        }
+
+        // Says a response the way its intent says to. `who` is the nickname
+        // from `@ nick`, if there is one. Notices, private messages, and CTCPs
+        // go to them instead of who asked, but only if they have been seen in
+        // the bot's channels, so that replies can't be sent to other channels
+        // or to services such as NickServ.
+        //
+        // Replies were validated when they were saved, but not what their
+        // placeholders were filled in with, so control characters are
+        // removed, and multi-line replies are cut off at the maximum lines.
+        // (Privmsg, %Tennu.Message{}, String?) -> Result<(), "unknown-target">
+        function deliver (privmsg, response, who) {
+            const recipient = who || privmsg.nickname;
+            const message = Validation.stripControlCharacters(response.message);
+
+            if (who && ["notice", "pm", "ctcp"].indexOf(response.intent) !== -1 && !seenNicknames[who.toLowerCase()]) {
+                return Fail("unknown-target");
+            }
+
+            // What the bot says in channels must not trigger replies if it's said back.
+            const say = function (line) {
+                loopGuard.said(privmsg.channel, line);
+                client.say(privmsg.channel, line);
+            };
+
+            switch (response.intent) {
+                case "act":
+                loopGuard.said(privmsg.channel, message);
+                client.act(privmsg.channel, message);
+                break;
+                case "notice":
+                client.notice(recipient, message);
+                break;
+                case "pm":
+                client.say(recipient, message);
+                break;
+                case "ctcp":
+                const ctcp = splitAt(message, " ");
+                client.ctcpRequest(who || privmsg.channel, ctcp[0].toUpperCase(), ctcp[1]);
+                break;
+                case "multiline":
+                const lines = message.split(Replies.LINE_BREAK).map(trim).filter(function (line) {
+                    return line !== "";
+                }).slice(0, maxLines);
+
+                if (who) {
+                    lines[0] = format("%s: %s", who, lines[0]);
+                }
+
+                sayPaced(say, lines);
+                break;
+                default:
+                say(who ? format("%s: %s", who, message) : message);
+            }
+
+            return Ok();
         }
 
-        // String -> String
-        function getReplyKey (message) {
-            return trim(message.slice(replyTrigger.length).replace(/\s+/g, " "));
+        // Says a scheduled reply in its channel. There's nobody who asked
+        // for it, so notices and private messages go to the channel.
+        // %Announcement{} -> ()
+        function announce (announcement) {
+            const scope = replies.scope(announcement.channel);
+            const privmsg = { channel: announcement.channel, nickname: announcement.channel, isQuery: false };
+
+            const result = scope.get(announcement.key)
+            .andThen(function (response) {
+                return renderResponse(scope, response, announcement.key, privmsg, {});
+            })
+            .andThen(function (response) {
+                return deliver(privmsg, response);
+            });
+
+            if (result.isFail()) {
+                client.note("AutoReplyPlugn", format("Scheduled reply #%s '%s' was not said in %s (%s).", announcement.id, announcement.key, announcement.channel, result.fail()));
+            }
+        }
+
+        // Finds the reply asked for by key: the reply itself, a parameterized
+        // reply, or a pattern trigger, without looking for similar keys.
+        // (Replies, String) -> Result<%Tennu.Message{}, String>
+        function findReply (replies, key) {
+            return replies.get(key)
+            .orElse(function (failureReason) {
+                return failureReason === "no-reply" ? replies.getWithArguments(key) : Fail(failureReason);
+            })
+            .orElse(function (failureReason) {
+                return failureReason === "no-reply" ? replies.match(key) : Fail(failureReason);
+            });
         }
 
-        function getReply (request, respondWhenNoKey) {
+        function getReply (replies, request, respondWhenNoKey, command) {
             var split = splitAt(request, "@");
             var key = trim(split[0]);
             var who = trim(split[1]);
 
-            var response = replies.get(key)
-            .map(function (response) {
-                if (who && response.intent === "say") {
-                    response.message = format("%s: %s", who, response.message);
-                }
-
-                return response;
+            var response = findReply(replies, key)
+            .orElse(function (failureReason) {
+                return failureReason === "no-reply" ? getSimilarReply(replies, key) : Fail(failureReason);
+            })
+            .andThen(function (response) {
+                return renderResponse(replies, response, response.key || key, command, {
+                    target: who,
+                    args: response.args ? response.args.join(" ") : undefined
+                });
+            })
+            .andThen(function (response) {
+                return deliver(command, response, who)
+                .map(function () {
+                    replies.recordHit(response.key || key, "command", command.isQuery ? undefined : command.channel, command.nickname);
+                });
             })
             .unwrapOrElse(function (failureReason) {
                 switch (failureReason) {
+                    case "missing-arguments":
+                    return format("Not enough arguments for '%s'.", key);
+                    case "too-many-arguments":
+                    return format("Too many arguments for '%s'.", key);
+                    case "unknown-target":
+                    return format("Cannot send '%s' to %s. They haven't been seen in the channel.", key, who);
                     case "max-alias-depth-reached":
                     return "Error: Max alias depth reached.";
+                    case "template-include-cycle":
+                    return "Error: Reply includes itself.";
+                    case "template-include-missing":
+                    return "Error: Reply includes a reply that does not exist.";
                     case "no-reply":
                     client.note("PluginAutoReply", format("Key '%s' not found.", key));
-                    return respondWhenNoKey ? format("No such reply '%s' found.", key) : undefined;
+                    return respondWhenNoKey ? noReplyMessage(replies, key) : undefined;
                     default:
                     client.error("PluginAutoReply", format("Unhandled failure reason in !get: %s", failureReason));
                     return format("Error: Unhandled failure reason in getting reply ('%s').", failureReason);
@@ -116,17 +835,118 @@ module.exports = {
 
             return response;
         }
-        var newTime = 0;
+        // Privmsg -> %Trigger{}
+        function triggerOf (privmsg, key) {
+            return {
+                channel: privmsg.channel,
+                key: key,
+                user: privmsg.hostname || privmsg.nickname
+            };
+        }
+
         const handlers = {
+            join: function (message) {
+                seeNickname(message.nickname);
+            },
+
+            nick: function (message) {
+                seeNickname(message.new);
+            },
+
+            // The server sends ERROR before it closes the connection, such as
+            // when the bot quits. Otherwise, the counts since they were last
+            // saved would be lost.
+            error: function () {
+                usageStats.flush();
+            },
+
             privmsg: function (privmsg) {
-                var timer = Date.now();
-                var totalTime = timer - newTime;
-                if(totalTime > delay) {//add bracket
-                    var splitMessage = privmsg.message.split(" ");
-                    splitMessage.forEach(function(e, i, a) {
-                        if(replies.get(e).is_ok) {
-                            newTime = Date.now();
-                            client.say(privmsg.channel, getReply(e).message);
+                if (!privmsg.isQuery) {
+                    seeNickname(privmsg.nickname);
+                }
+
+                if (twitch) {
+                    twitch.remember(privmsg);
+                }
+
+                const allowed = loopGuard.check(privmsg);
+
+                if (allowed.isFail()) {
+                    client.note("PluginAutoReply", format("Ignoring message from %s (%s).", privmsg.nickname, allowed.fail()));
+                    return;
+                }
+
+                const prefix = replyRequestPrefix(privmsg);
+
+                // Looking up a reply with the trigger works like !reply,
+                // except that keys that don't exist are ignored. They don't
+                // count against the rate limit either, since on Twitch, they're
+                // likely commands for other bots, such as !uptime.
+                if (prefix) {
+                    const request = getReplyKey(privmsg.message, prefix);
+                    const key = trim(splitAt(request, "@")[0]).toLowerCase();
+                    const found = key ? findReply(channelScope(privmsg), key) : Fail("no-reply");
+
+                    if (found.isFail() && found.fail() === "no-reply") {
+                        return;
+                    }
+
+                    commandLimiter.attempt(triggerOf(privmsg, key))
+                    .map(function () {
+                        const failureMessage = getReply(channelScope(privmsg), request, false, privmsg);
+
+                        if (failureMessage) {
+                            client.say(privmsg.channel, failureMessage);
+                        }
+                    });
+
+                    return;
+                }
+
+                if (!privmsg.isQuery && (!isPassiveEnabled(privmsg.channel) || loopGuard.isMuted(privmsg.channel))) {
+                    return;
+                }
+
+                const scope = channelScope(privmsg);
+                const keys = scope.find(privmsg.message);
+
+                // Pattern triggers are only tried when no key is in the message.
+                const responses = keys.length !== 0 ? keys.map(function (key) {
+                    return scope.get(key).map(function (response) {
+                        response.key = key;
+                        return response;
+                    });
+                }) : [scope.match(privmsg.message)];
+
+                var said = 0;
+                for (var ix = 0; ix < responses.length; ix++) {
+                    if (passiveLimiter.maxPerMessage && said === passiveLimiter.maxPerMessage) {
+                        break;
+                    }
+
+                    responses[ix]
+                    .andThen(function (response) {
+                        return scope.isActive(response.key) ? Ok(response) : Fail("inactive");
+                    })
+                    .andThen(function (response) {
+                        const keyIx = privmsg.message.toLowerCase().indexOf(response.key);
+                        const args = keyIx === -1 || Patterns.isPatternKey(response.key)
+                            ? ""
+                            : trim(privmsg.message.slice(keyIx + response.key.length));
+
+                        return renderResponse(scope, response, response.key, privmsg, { args: args });
+                    })
+                    .andThen(function (response) {
+                        return passiveLimiter.attempt(triggerOf(privmsg, response.key))
+                        .map(function () { return response; });
+                    })
+                    .map(function (response) {
+                        said += 1;
+                        scope.recordHit(response.key, "passive", privmsg.isQuery ? undefined : privmsg.channel, privmsg.nickname);
+                        deliver(privmsg, response);
+
+                        if (!privmsg.isQuery && loopGuard.replied(privmsg.channel).isFail()) {
+                            client.note("AutoReplyPlugn", format("Too many passive replies in %s. Muting them.", privmsg.channel));
                         }
                     });
                 }
@@ -136,13 +956,36 @@ module.exports = {
                 if (command.args.length === 0) {
                     return "No reply specified.";
                 }
-                return getReply(command.args.join(" "), true);
-            },
 
-            "!learn": function (command) {
-                // args is [key, description]
-                const args = splitAt(command.args.join(" "), "=");
-                const fullkey = args[0];
+                // Lookups always fall back to the global namespace, so
+                // without an explicit scope, use the channel's.
+                const scope = parseScope(command, true);
+                const request = scope.args.join(" ");
+                const key = trim(splitAt(request, "@")[0]).toLowerCase();
+
+                return commandLimiter.attempt(triggerOf(command, key))
+                .map(function () {
+                    return getReply(scope.replies, request, true, command);
+                })
+                .unwrapOrElse(function (failureReason) {
+                    client.note("PluginAutoReply", format("Not replying to '%s' (%s).", key, failureReason));
+
+                    // Asking for a reply that was just said gets an answer, but
+                    // only to whoever asked, so that it can't be used to flood.
+                    if (failureReason === "key-cooldown") {
+                        client.notice(command.nickname, format("'%s' was just said here. Try again in a bit.", key));
+                    }
+
+                    return undefined;
+                });
+            },
+
+            "!learn": function (command) {
+                const scope = parseScope(command, defaultScope === "channel");
+                const replies = scope.replies;
+                // args is [key, description]
+                const args = splitAt(scope.args.join(" "), "=");
+                const fullkey = args[0];
                 const modifier = fullkey.slice(-1);
                 const key = trim(fullkey.slice(0, -1));
                 const description = trim(args[1]);
@@ -156,6 +999,10 @@ module.exports = {
 
                     return replies.set(key, description)
                     .then(bindr(Result.map, function (description) {
+                        if (description.pending) {
+                            return pendingMessage(key, description);
+                        }
+
                         client.note("ReplyPlugin", format("Reply: '%s' => [%s] %s", key, description.intent, description.message));
                         return format("Learned reply '%s'.", key);
                     }));
@@ -198,8 +1045,9 @@ module.exports = {
                     return Promise.try(function () {
                         return extractReplacement(replacement)
                         .andThen(function (replacementObject) {
+                            var regexp;
                             try {
-                                const regexp = new RegExp(replacementObject.find, replacementObject.flags);
+                                regexp = new RegExp(replacementObject.find, replacementObject.flags);
                             } catch (e) {
                                 return Fail("bad-replace-regexp");
                             }
@@ -208,18 +1056,35 @@ module.exports = {
                         });
                     })
                     .then(bindr(Result.map, function (description) {
+                        if (description.pending) {
+                            return pendingMessage(key, description);
+                        }
+
                         client.note("AutoReplyPlugn", format("Reply: '%s' => [%s] %s", key, description.intent, description.message));
                         return format("Successfully did replacement on '%s'.", key);
                     }));
                 }
 
+                function addAlternative (key, message) {
+                    return replies.addAlternative(key, message, command.hostmask)
+                    .then(bindr(Result.map, function (description) {
+                        const count = Replies.messagesOf(description).length;
+                        client.note("AutoReplyPlugn", format("Reply: '%s' => [%s] alternative %s: %s", key, description.intent, count, message));
+                        return format("Added alternative #%s to '%s'.", count, key);
+                    }));
+                }
+
                 function alias (key, aliasedKey) {
                     return replies.set(key, {
                         intent: "alias",
                         message: aliasedKey, 
                         editor: command.hostmask
                     })
-                    .then(bindr(Result.map, function () {
+                    .then(bindr(Result.map, function (description) {
+                        if (description.pending) {
+                            return pendingMessage(key, description);
+                        }
+
                         client.note("AutoReplyPlugn", format("Reply: '%s' => [alias] %s", key, aliasedKey));
                         return format("Learned alias '%s' => '%s'.", key, aliasedKey);
                     }));
@@ -241,22 +1106,36 @@ module.exports = {
                         case "~": return edit(key, description);
                         case ":": return learn(key, format("%s is %s", key, description), "say");
                         case "!": return learn(key, description, "act");
+                        case "^": return learn(key, description, "notice");
+                        case ">": return learn(key, description, "pm");
+                        case "&": return learn(key, multilineMessage(description), "multiline");
+                        case "%": return learn(key, description, "ctcp");
                         case "+": return edit(key, format("s/$/ %s/", description.replace(/\//g, "\\/")));
                         case "@": return alias(key, description);
+                        case "|": return addAlternative(key, description);
+                        case "/": return learn(Patterns.REGEXP_PREFIX + key, description, "say");
+                        case "*": return learn(Patterns.GLOB_PREFIX + key, description, "say");
                         default: return learn(trim(fullkey), description, "say");
                     }
                 }))
+                .then(bindr(Result.orElse, permissionFailureMessage))
+                .then(bindr(Result.orElse, validationFailureMessage))
                 .then(bindr(Result.unwrapOrElse, function (failureReason) {
                     switch (failureReason) {
                         case "dne":                 return format("Cannot edit '%s'. Reply does not exist.", key);
-                        case "frozen":               return format("Cannot edit '%s'. Reply is locked.", key);
+                        case "locked":               return format("Cannot edit '%s'. Reply is locked.", key);
                         case "unchanged":            return format("Replacement on '%s' had no effect.", key);
                         case "no-message-left":      return format("Cannot edit '%s'. Would leave reply empty. Use %sforget instead.", key, commandTrigger);
                         case "bad-replace-format":   return format("Invalid replacement format. See %shelp learn replace for format.", commandTrigger);
                         case "bad-replace-regexp":   return "Invalid replacement format. RegExp invalid.";
+                        case "bad-pattern-regexp":   return "Invalid pattern. RegExp invalid or too long.";
+                        case "unsafe-pattern-regexp": return "Disallowed! Pattern has nested repetition, backreferences, or too many quantifiers.";
                         case "bad-format-no-key":    return "Invalid format. No key specified.";
                         case "bad-format-no-desc":   return "Invalid format. No description specified.";
-                        case "maybe-twitch-command": return "Disallowed! Reply message could be a Twitch command.";
+                        case "alias-alternative":    return format("Cannot add an alternative to '%s'. Reply is an alias.", key);
+                        case "alias-cycle":          return format("Cannot alias '%s' to '%s'. The aliases would loop.", key, description);
+                        case "alias-target-missing": return format("Cannot alias '%s' to '%s'. Reply does not exist.", key, description);
+                        case "alias-too-deep":       return format("Cannot alias '%s' to '%s'. There would be more aliases in a row than the maximum alias depth of %s.", key, description, maxAliasDepth);
                         default:
                         client.error("AutoReplyPlugn", format("Unhandled failure reason in !learn: %s", failureReason));
                         return format("Error: Unhandled failure reason in text replacement ('%s').", failureReason);
@@ -269,52 +1148,817 @@ module.exports = {
 });
 },
 
-"!forget": function (command) {
-    var key;
+"!forget": function (command) {
+    const scope = parseScope(command, defaultScope === "channel");
+    var key;
+
+    return Promise.try(function () {
+        if (scope.args.length === 0) {
+            return Fail("no-args");
+        } else {
+            return Ok();
+        }
+    })
+    .then(bindr(Result.andThen, function () {
+        key = scope.args.join(" ");
+        return scope.replies.delete(key, command.hostmask);
+    }))
+    .then(bindr(Result.andThen, function () {
+        client.note("AutoReplyPlugn", format("Reply forgotten: %s", key));
+
+        const dangling = scope.replies.resolve(key).failure === "no-reply" ? scope.replies.aliases(key) : [];
+
+        if (dangling.length !== 0) {
+            return Ok([
+                format("Forgotten reply '%s'. %s now %s at nothing.", key, describeAliases(dangling), dangling.length === 1 ? "points" : "point"),
+                format("Use %sreplies repoint %s = other key to re-point them, or %sreplies unalias %s to forget them.", commandTrigger, key, commandTrigger, key)
+            ]);
+        }
+
+        return Ok(format("Forgotten reply '%s'", key));
+    }))
+    .then(bindr(Result.orElse, permissionFailureMessage))
+    .then(bindr(Result.unwrapOrElse, function (reason) {
+        switch (reason) {
+            case "dne":     return format("Cannot forget reply '%s'. Reply does not exist.", key);
+            case "no-args": return        "Cannot forget reply. No reply specified.";
+            case "locked":  return format("Cannot forget reply '%s'. Reply is locked.", key);
+            default:
+            client.error("AutoReplyPlugin", format("Unhandled failure reason in !forget: %s", reason));
+            return format("Error: Unhandled failure reason in forgetting reply ('%s').", reason);
+        }
+    }))
+    .catch(function internalError (err) {
+        client.error("AutoReplyPlugn", "Error: " + err.name);
+        client.error(err.stack);
+        client.say(command.channel, "Error: Internal Error.");
+    });
+},
+
+"!history": function (command) {
+    const scope = parseScope(command, defaultScope === "channel");
+    const args = scope.args;
+    const hasCount = args.length > 1 && /^\d+$/.test(args[args.length - 1]);
+    const count = hasCount ? Number(args[args.length - 1]) : 3;
+    const key = (hasCount ? args.slice(0, -1) : args).join(" ");
+
+    if (!key) {
+        return "No reply specified.";
+    }
+
+    const revisions = scope.replies.history(key);
+
+    if (revisions.length === 0) {
+        return format("No history for reply '%s'.", key);
+    }
+
+    return revisions.slice(-count).reverse().map(function (revision) {
+        const alternatives = (revision.alternatives || []).length;
+        const content = revision.message
+            ? format("[%s] %s%s", revision.intent, truncate(revision.message, 80), alternatives ? format(" (+%s alternatives)", alternatives) : "")
+            : "(forgotten)";
+
+        return format("#%s %s by %s (%s): %s", revision.revision, revision.time, revision.editor, revision.action, content);
+    });
+},
+
+"!revert": function (command) {
+    const scope = parseScope(command, defaultScope === "channel");
+    const args = scope.args;
+    const revision = Number(args[args.length - 1]);
+    const key = args.slice(0, -1).join(" ");
+
+    return Promise.try(function () {
+        if (!key || !/^\d+$/.test(args[args.length - 1])) {
+            return Fail("bad-format");
+        }
+
+        return scope.replies.revert(key, revision, command.hostmask);
+    })
+    .then(bindr(Result.map, function (value) {
+        client.note("AutoReplyPlugn", format("Reply '%s' reverted to revision %s.", key, revision));
+        return value.message
+            ? format("Reverted '%s' to revision %s.", key, revision)
+            : format("Reverted '%s' to revision %s. Reply is now forgotten.", key, revision);
+    }))
+    .then(bindr(Result.orElse, permissionFailureMessage))
+    .then(bindr(Result.orElse, validationFailureMessage))
+    .then(bindr(Result.unwrapOrElse, function (reason) {
+        switch (reason) {
+            case "bad-format":           return format("Invalid format. Use %srevert reply-name revision.", commandTrigger);
+            case "no-revision":          return format("Cannot revert '%s'. Revision %s does not exist.", key, revision);
+            case "dne":                  return format("Cannot revert '%s'. Reply is already forgotten.", key);
+            case "locked":               return format("Cannot revert '%s'. Reply is locked.", key);
+            default:
+            client.error("AutoReplyPlugn", format("Unhandled failure reason in !revert: %s", reason));
+            return format("Error: Unhandled failure reason in reverting reply ('%s').", reason);
+        }
+    }))
+    .catch(function internalError (err) {
+        client.error("AutoReplyPlugn", "Error: " + err.name);
+        client.error(err.stack);
+        client.say(command.channel, "Error: Internal Error.");
+    });
+},
+
+"!lock": function (command) {
+    const scope = parseScope(command, defaultScope === "channel");
+    const key = scope.args.join(" ");
+
+    return Promise.try(function () {
+        if (!key) {
+            return Fail("no-args");
+        }
+
+        return scope.replies.freeze(key, command.hostmask);
+    })
+    .then(bindr(Result.map, function () {
+        client.note("AutoReplyPlugn", format("Reply locked: %s", key));
+        return format("Locked reply '%s'.", key);
+    }))
+    .then(bindr(Result.orElse, permissionFailureMessage))
+    .then(bindr(Result.unwrapOrElse, function (reason) {
+        switch (reason) {
+            case "no-args": return        "Cannot lock reply. No reply specified.";
+            default:
+            client.error("AutoReplyPlugn", format("Unhandled failure reason in !lock: %s", reason));
+            return format("Error: Unhandled failure reason in locking reply ('%s').", reason);
+        }
+    }))
+    .catch(function internalError (err) {
+        client.error("AutoReplyPlugn", "Error: " + err.name);
+        client.error(err.stack);
+        client.say(command.channel, "Error: Internal Error.");
+    });
+},
+
+"!unlock": function (command) {
+    const scope = parseScope(command, defaultScope === "channel");
+    const key = scope.args.join(" ");
+
+    return Promise.try(function () {
+        if (!key) {
+            return Fail("no-args");
+        }
+
+        return scope.replies.unfreeze(key, command.hostmask);
+    })
+    .then(bindr(Result.map, function () {
+        client.note("AutoReplyPlugn", format("Reply unlocked: %s", key));
+        return format("Unlocked reply '%s'.", key);
+    }))
+    .then(bindr(Result.orElse, permissionFailureMessage))
+    .then(bindr(Result.unwrapOrElse, function (reason) {
+        switch (reason) {
+            case "no-args": return        "Cannot unlock reply. No reply specified.";
+            case "dne":     return format("Cannot unlock reply '%s'. Reply does not exist.", key);
+            default:
+            client.error("AutoReplyPlugn", format("Unhandled failure reason in !unlock: %s", reason));
+            return format("Error: Unhandled failure reason in unlocking reply ('%s').", reason);
+        }
+    }))
+    .catch(function internalError (err) {
+        client.error("AutoReplyPlugn", "Error: " + err.name);
+        client.error(err.stack);
+        client.say(command.channel, "Error: Internal Error.");
+    });
+},
+
+"!replies": function (command) {
+    const name = command.args[0];
+
+    if (!name) {
+        return format("No subcommand given. See %shelp replies.", commandTrigger);
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(subcommands, name.toLowerCase())) {
+        return format("Unknown subcommand '%s'. See %shelp replies.", name, commandTrigger);
+    }
+
+    return subcommands[name.toLowerCase()](withArgs(command, command.args.slice(1)));
+}
+};
+
+// Subcommands of !replies. Each is given the command without
+// the subcommand's name in its args.
+const subcommands = {
+    alternatives: function (command) {
+        const scope = parseScope(command, defaultScope === "channel");
+        const key = scope.args.join(" ");
+
+        if (!key) {
+            return "No reply specified.";
+        }
+
+        return scope.replies.messages(key)
+        .map(function (messages) {
+            return messages.map(function (message, ix) {
+                return format("%s. %s", ix + 1, truncate(message, 100));
+            });
+        })
+        .unwrapOrElse(function () {
+            return format("No such reply '%s' found.", key);
+        });
+    },
+
+    unlearn: function (command) {
+        const scope = parseScope(command, defaultScope === "channel");
+        const args = scope.args;
+        const index = Number(args[args.length - 1]);
+        const key = args.slice(0, -1).join(" ");
+
+        return Promise.try(function () {
+            if (!key || !/^\d+$/.test(args[args.length - 1])) {
+                return Fail("bad-format");
+            }
+
+            return scope.replies.removeAlternative(key, index, command.hostmask);
+        })
+        .then(bindr(Result.map, function () {
+            client.note("AutoReplyPlugn", format("Reply '%s' alternative %s removed.", key, index));
+            return format("Removed alternative #%s from '%s'.", index, key);
+        }))
+        .then(bindr(Result.orElse, permissionFailureMessage))
+        .then(bindr(Result.orElse, validationFailureMessage))
+        .then(bindr(Result.unwrapOrElse, function (reason) {
+            switch (reason) {
+                case "bad-format":           return format("Invalid format. Use %sreplies unlearn reply-name number.", commandTrigger);
+                case "dne":                  return format("Cannot edit '%s'. Reply does not exist.", key);
+                case "locked":               return format("Cannot edit '%s'. Reply is locked.", key);
+                case "no-alternative":       return format("Cannot edit '%s'. Alternative #%s does not exist.", key, index);
+                case "no-message-left":      return format("Cannot edit '%s'. Would leave reply empty. Use %sforget instead.", key, commandTrigger);
+                default:
+                client.error("AutoReplyPlugn", format("Unhandled failure reason in !replies unlearn: %s", reason));
+                return format("Error: Unhandled failure reason in removing alternative ('%s').", reason);
+            }
+        }))
+        .catch(function internalError (err) {
+            client.error("AutoReplyPlugn", "Error: " + err.name);
+            client.error(err.stack);
+            client.say(command.channel, "Error: Internal Error.");
+        });
+    },
+
+    selection: function (command) {
+        const scope = parseScope(command, defaultScope === "channel");
+        const args = scope.args;
+        // The mode is the last argument that isn't a weight.
+        var modeIx = args.length - 1;
+        while (modeIx > 0 && /^\d+(\.\d+)?$/.test(args[modeIx])) {
+            modeIx -= 1;
+        }
+        const mode = (args[modeIx] || "").toLowerCase();
+        const weights = args.slice(modeIx + 1).map(Number);
+        const key = args.slice(0, modeIx).join(" ");
+
+        return Promise.try(function () {
+            if (!key) {
+                return Fail("bad-format");
+            }
+
+            if (weights.length !== 0 && mode !== "weighted") {
+                return Fail("bad-selection-weights");
+            }
+
+            return scope.replies.setSelection(key, mode, weights.length === 0 ? undefined : weights, command.hostmask);
+        })
+        .then(bindr(Result.map, function () {
+            client.note("AutoReplyPlugn", format("Reply '%s' selection set to %s.", key, mode));
+            return format("Reply '%s' now picks its message by %s.", key, mode);
+        }))
+        .then(bindr(Result.orElse, permissionFailureMessage))
+        .then(bindr(Result.orElse, validationFailureMessage))
+        .then(bindr(Result.unwrapOrElse, function (reason) {
+            switch (reason) {
+                case "bad-format":            return format("Invalid format. Use %sreplies selection reply-name mode [weights].", commandTrigger);
+                case "dne":                   return format("Cannot edit '%s'. Reply does not exist.", key);
+                case "locked":                return format("Cannot edit '%s'. Reply is locked.", key);
+                case "bad-selection-mode":    return "Invalid selection mode. Use random, rotate, or weighted.";
+                case "bad-selection-weights": return "Invalid weights. Only weighted selection takes weights, and it needs one for each alternative.";
+                default:
+                client.error("AutoReplyPlugn", format("Unhandled failure reason in !replies selection: %s", reason));
+                return format("Error: Unhandled failure reason in setting selection ('%s').", reason);
+            }
+        }))
+        .catch(function internalError (err) {
+            client.error("AutoReplyPlugn", "Error: " + err.name);
+            client.error(err.stack);
+            client.say(command.channel, "Error: Internal Error.");
+        });
+    },
+
+    search: function (command) {
+        const scope = parseScope(command, true);
+        const text = scope.args.join(" ");
+
+        if (!text) {
+            return "No search text specified.";
+        }
+
+        const results = scope.replies.search(text);
+
+        if (results.length === 0) {
+            return format("No replies found matching '%s'.", text);
+        }
+
+        const lines = results.slice(0, MAX_SEARCH_RESULTS).map(function (entry) {
+            return format("%s%s: %s", entry.key, entry.namespace ? " (" + entry.namespace + ")" : "", truncate(entry.message, 80));
+        });
+
+        if (results.length > MAX_SEARCH_RESULTS) {
+            lines.push(format("...and %s more. Try a longer search.", results.length - MAX_SEARCH_RESULTS));
+        }
+
+        return respondPrivatelyIfLong(command, lines,
+            format("Found %s replies matching '%s'. Sent them by private message.", results.length, text));
+    },
+
+    list: function (command) {
+        const scope = parseScope(command, true);
+        const args = scope.args;
+        const hasPage = args.length > 0 && /^\d+$/.test(args[args.length - 1]);
+        const page = hasPage ? Number(args[args.length - 1]) : 1;
+        const prefix = (hasPage ? args.slice(0, -1) : args).join(" ");
+        const keys = scope.replies.list(prefix);
+        const pages = Math.ceil(keys.length / LIST_PAGE_SIZE);
+
+        if (keys.length === 0) {
+            return prefix ? format("No replies start with '%s'.", prefix) : "No replies learned yet.";
+        }
+
+        if (page < 1 || page > pages) {
+            return format("There are only %s pages of replies.", pages);
+        }
+
+        const pageKeys = keys.slice((page - 1) * LIST_PAGE_SIZE, page * LIST_PAGE_SIZE);
+        const lines = [];
+        for (var ix = 0; ix < pageKeys.length; ix += LIST_KEYS_PER_LINE) {
+            lines.push(pageKeys.slice(ix, ix + LIST_KEYS_PER_LINE).join(", "));
+        }
+
+        if (page < pages) {
+            lines.push(format("Page %s of %s. Use %sreplies list %s%s for more.", page, pages, commandTrigger, prefix ? prefix + " " : "", page + 1));
+        }
+
+        return respondPrivatelyIfLong(command, lines,
+            format("Sent page %s of %s of replies by private message.", page, pages));
+    },
+
+    aliases: function (command) {
+        const scope = parseScope(command, true);
+        const key = scope.args.join(" ");
+
+        if (!key) {
+            return "No reply specified.";
+        }
+
+        const resolution = scope.replies.resolve(key);
+        const aliases = scope.replies.aliases(key);
+        var resolves;
+
+        switch (resolution.failure) {
+            case "no-reply":
+            resolves = resolution.chain.length === 1
+                ? format("No such reply '%s' found.", key)
+                : format("'%s' => %s, which does not exist.", key, resolution.chain.slice(1).join(" => "));
+            break;
+            case "max-alias-depth-reached":
+            resolves = format("'%s' => %s, which is too many aliases deep.", key, resolution.chain.slice(1).join(" => "));
+            break;
+            default:
+            resolves = resolution.chain.length === 1
+                ? format("'%s' is not an alias.", key)
+                : format("'%s' => %s.", key, resolution.chain.slice(1).join(" => "));
+        }
+
+        return [
+            resolves,
+            aliases.length === 0 ? format("No aliases of '%s'.", key) : format("%s of '%s'.", describeAliases(aliases), key)
+        ];
+    },
+
+    repoint: function (command) {
+        const scope = parseScope(command, defaultScope === "channel");
+        const args = splitAt(scope.args.join(" "), "=");
+        const key = trim(args[0]);
+        const newKey = trim(args[1]);
+
+        if (!key || !newKey) {
+            return format("Invalid format. Use %sreplies repoint reply-name = other key.", commandTrigger);
+        }
+
+        return scope.replies.repointAliases(key, newKey, command.hostmask)
+        .then(function (changes) {
+            client.note("AutoReplyPlugn", format("Aliases of '%s' re-pointed to '%s' by %s.", key, newKey, command.hostmask));
+            return describeAliasChanges(key, changes, format("re-pointed to '%s'", newKey));
+        })
+        .catch(function internalError (err) {
+            client.error("AutoReplyPlugn", "Error: " + err.name);
+            client.error(err.stack);
+            client.say(command.channel, "Error: Internal Error.");
+        });
+    },
+
+    unalias: function (command) {
+        const scope = parseScope(command, defaultScope === "channel");
+        const key = scope.args.join(" ");
+
+        if (!key) {
+            return "No reply specified.";
+        }
+
+        return scope.replies.deleteAliases(key, command.hostmask)
+        .then(function (changes) {
+            client.note("AutoReplyPlugn", format("Aliases of '%s' forgotten by %s.", key, command.hostmask));
+            return describeAliasChanges(key, changes, "forgotten");
+        })
+        .catch(function internalError (err) {
+            client.error("AutoReplyPlugn", "Error: " + err.name);
+            client.error(err.stack);
+            client.say(command.channel, "Error: Internal Error.");
+        });
+    },
+
+    rename: function (command) {
+        const scope = parseScope(command, defaultScope === "channel");
+        const args = splitAt(scope.args.join(" "), "=");
+        // `old @= new` leaves the old key as an alias of the new key.
+        const redirect = endsWith(args[0], "@");
+        const key = trim(redirect ? args[0].slice(0, -1) : args[0]);
+        const newKey = trim(args[1]);
+
+        return Promise.try(function () {
+            if (!key || !newKey) {
+                return Fail("bad-format");
+            }
+
+            return scope.replies.rename(key, newKey, command.hostmask, redirect);
+        })
+        .then(bindr(Result.map, function (value) {
+            client.note("AutoReplyPlugn", format("Reply '%s' renamed to '%s' by %s.", key, newKey, command.hostmask));
+
+            const renamed = format("Renamed '%s' to '%s'.%s%s", key, newKey,
+                redirect ? format(" '%s' is now an alias of it.", key) : "",
+                value.changed.length === 0 ? "" : format(" %s now %s at '%s'.", describeAliases(value.changed), value.changed.length === 1 ? "points" : "point", newKey));
+
+            return value.failed.length === 0 ? renamed : [renamed].concat(describeAliasFailures(value.failed));
+        }))
+        .then(bindr(Result.orElse, permissionFailureMessage))
+        .then(bindr(Result.unwrapOrElse, function (reason) {
+            return moveFailureMessage("rename", key, newKey, reason);
+        }))
+        .catch(function internalError (err) {
+            client.error("AutoReplyPlugn", "Error: " + err.name);
+            client.error(err.stack);
+            client.say(command.channel, "Error: Internal Error.");
+        });
+    },
+
+    copy: function (command) {
+        const scope = parseScope(command, defaultScope === "channel");
+        const args = splitAt(scope.args.join(" "), "=");
+        const key = trim(args[0]);
+        const newKey = trim(args[1]);
+
+        return Promise.try(function () {
+            if (!key || !newKey) {
+                return Fail("bad-format");
+            }
+
+            return scope.replies.copy(key, newKey, command.hostmask);
+        })
+        .then(bindr(Result.map, function () {
+            client.note("AutoReplyPlugn", format("Reply '%s' copied to '%s' by %s.", key, newKey, command.hostmask));
+            return format("Copied '%s' to '%s'.", key, newKey);
+        }))
+        .then(bindr(Result.orElse, permissionFailureMessage))
+        .then(bindr(Result.orElse, validationFailureMessage))
+        .then(bindr(Result.unwrapOrElse, function (reason) {
+            return moveFailureMessage("copy", key, newKey, reason);
+        }))
+        .catch(function internalError (err) {
+            client.error("AutoReplyPlugn", "Error: " + err.name);
+            client.error(err.stack);
+            client.say(command.channel, "Error: Internal Error.");
+        });
+    },
+
+    info: function (command) {
+        const scope = parseScope(command, true);
+        const key = scope.args.join(" ");
+
+        if (!key) {
+            return "No reply specified.";
+        }
+
+        return scope.replies.info(key)
+        .map(function (info) {
+            const alternatives = (info.alternatives || []).length;
+            const lines = [
+                format("'%s'%s: [%s] %s%s", info.key, info.namespace ? " in " + info.namespace : "", info.intent,
+                    truncate(info.message, 80), alternatives ? format(" (+%s alternatives)", alternatives) : ""),
+                format("Last changed %s by %s.%s", info.time, info.editor, info.frozen ? " Locked." : "")
+            ];
+
+            if (info.aliasChain.length > 1) {
+                lines.push(format("Alias of %s%s", info.aliasChain.slice(1).join(" => "), {
+                    "no-reply": ", which does not exist.",
+                    "max-alias-depth-reached": ", which is too many aliases deep."
+                }[info.aliasFailure] || "."));
+            }
+
+            if (info.expires || info.active) {
+                lines.push([
+                    info.expires ? format("Expires %s.", info.expires) : "",
+                    info.active ? format("Said passively only at %s (%s).", Times.describeActiveTimes(info.active), timeZone) : ""
+                ].filter(Boolean).join(" "));
+            }
+
+            return lines;
+        })
+        .unwrapOrElse(function () {
+            return format("No such reply '%s' found.", key);
+        });
+    },
+
+    stats: function (command) {
+        const scope = parseScope(command, true);
+        const key = scope.args.join(" ");
+
+        if (!key) {
+            const usages = scope.replies.top(Infinity);
+            const passive = usages.reduce(function (sum, usage) { return sum + usage.passive; }, 0);
+            const requested = usages.reduce(function (sum, usage) { return sum + usage.command; }, 0);
+            const editors = replies.editors().slice(0, 5).map(function (editor) {
+                return format("%s (%s)", editor.editor, editor.edits);
+            });
+            const lines = [format("%s replies were said %s times: %s passively and %s by request.",
+                usages.length, passive + requested, passive, requested)];
+
+            if (editors.length !== 0) {
+                lines.push(format("Most changes by: %s", editors.join(", ")));
+            }
+
+            return lines;
+        }
+
+        return scope.replies.usage(key)
+        .map(function (usage) {
+            const channels = Object.keys(usage.channels).sort(function (lhs, rhs) {
+                return usage.channels[rhs] - usage.channels[lhs];
+            }).map(function (channel) {
+                return format("%s (%s)", channel, usage.channels[channel]);
+            });
+            const lines = [format("'%s'%s was said %s times: %s passively and %s by request.", usage.key,
+                usage.namespace ? " in " + usage.namespace : "", usage.passive + usage.command, usage.passive, usage.command)];
+
+            if (usage.last) {
+                lines.push(format("Last said %s%s.", usage.last, usage.lastChannel ? " in " + usage.lastChannel : ""));
+            }
+
+            if (channels.length !== 0) {
+                lines.push(format("By channel: %s", channels.join(", ")));
+            }
+
+            return lines;
+        })
+        .unwrapOrElse(function () {
+            return format("No such reply '%s' found.", key);
+        });
+    },
+
+    top: function (command) {
+        const scope = parseScope(command, true);
+        const count = scope.args.length > 0 ? Number(scope.args[0]) : 10;
+
+        if (!(count >= 1 && count <= MAX_SEARCH_RESULTS && Math.floor(count) === count)) {
+            return format("Invalid count. Give a number from 1 to %s.", MAX_SEARCH_RESULTS);
+        }
+
+        const usages = scope.replies.top(count);
+
+        if (usages.length === 0) {
+            return "No replies have been said yet.";
+        }
+
+        const keys = usages.map(function (usage, ix) {
+            return format("%s. %s (%s)", ix + 1, usage.key, usage.passive + usage.command);
+        });
+        const lines = [];
+        for (var ix = 0; ix < keys.length; ix += LIST_KEYS_PER_LINE) {
+            lines.push(keys.slice(ix, ix + LIST_KEYS_PER_LINE).join(", "));
+        }
+
+        return lines;
+    },
+
+    unused: function (command) {
+        const scope = parseScope(command, true);
+        const days = Number(scope.args[0]);
+
+        if (scope.args.length !== 1 || !(days > 0)) {
+            return format("Invalid format. Use %sreplies unused days.", commandTrigger);
+        }
+
+        const keys = scope.replies.unused(days).map(function (usage) {
+            return usage.key;
+        });
+
+        if (keys.length === 0) {
+            return format("Every reply was said in the last %s days.", days);
+        }
+
+        const lines = [format("%s replies were not said in the last %s days:", keys.length, days)];
+        const shownKeys = keys.slice(0, LIST_PAGE_SIZE);
+        for (var ix = 0; ix < shownKeys.length; ix += LIST_KEYS_PER_LINE) {
+            lines.push(shownKeys.slice(ix, ix + LIST_KEYS_PER_LINE).join(", "));
+        }
+
+        if (keys.length > LIST_PAGE_SIZE) {
+            lines.push(format("...and %s more.", keys.length - LIST_PAGE_SIZE));
+        }
+
+        return respondPrivatelyIfLong(command, lines,
+            format("%s replies were not said in the last %s days. Sent them by private message.", keys.length, days));
+    },
+
+    undo: function (command) {
+        const change = replies.lastChangeBy(command.hostmask);
+
+        if (!change) {
+            return "You have no changes to undo.";
+        }
+
+        const key = change.key;
+
+        return replies.undo(change.id, command.hostmask)
+        .then(bindr(Result.map, function () {
+            client.note("AutoReplyPlugn", format("Change #%s to '%s' undone by %s.", change.id, key, command.hostmask));
+            return format("Undid your change to '%s' (%s).", key, change.action);
+        }))
+        .then(bindr(Result.orElse, permissionFailureMessage))
+        .then(bindr(Result.orElse, validationFailureMessage))
+        .then(bindr(Result.unwrapOrElse, function (reason) {
+            switch (reason) {
+                case "cannot-undo":   return format("Cannot undo renaming '%s'. Rename it back instead.", key);
+                case "changed-since": return format("Cannot undo your change to '%s'. It was changed since.", key);
+                case "dne":           return format("Cannot undo your change to '%s'. Reply is already forgotten.", key);
+                case "locked":        return format("Cannot undo your change to '%s'. Reply is locked.", key);
+                case "alias-cycle":
+                case "alias-target-missing":
+                case "alias-too-deep":
+                return format("Cannot undo your change to '%s'. The alias it would restore no longer works.", key);
+                default:
+                client.error("AutoReplyPlugn", format("Unhandled failure reason in !replies undo: %s", reason));
+                return format("Error: Unhandled failure reason in undoing change ('%s').", reason);
+            }
+        }))
+        .catch(function internalError (err) {
+            client.error("AutoReplyPlugn", "Error: " + err.name);
+            client.error(err.stack);
+            client.say(command.channel, "Error: Internal Error.");
+        });
+    }
+};
+
+const helpfiles = {
+    "replies": {
+        "*": [
+        "Replies are automatic replies to common queries",
+        "",
+        format("You can look up a reply with `{{!}}reply key` or %skey.", replyTrigger),
+        "You can teach this bot a reply with `{{!}}learn`.",
+        "You can also make the bot forget a reply with `{{!}}forget key`.",
+        "Admins can make certain replies unmodifiable. See {{!}}help permissions.",
+        "Replies can be specific to a channel. See {{!}}help replies scopes.",
+        "For more information, do {{!}}help command-name."
+        ],
+
+        "alternatives": [
+        "{{!}}replies alternatives reply-name",
+        "",
+        "Lists the messages of a reply, numbered.",
+        "Add more messages with {{!}}learn reply-name |= message.",
+        "See also: {{!}}replies unlearn, {{!}}replies selection"
+        ],
+
+        "unlearn": [
+        "{{!}}replies unlearn reply-name number",
+        "",
+        "Removes one message from a reply with alternatives.",
+        "The number is from {{!}}replies alternatives."
+        ],
+
+        "search": [
+        "{{!}}replies search text",
+        "",
+        "Finds the replies with the text in their key or messages.",
+        "Many results are sent by private message."
+        ],
+
+        "list": [
+        "{{!}}replies list [prefix] [page]",
+        "",
+        format("Lists the keys of replies, %s to a page.", LIST_PAGE_SIZE),
+        "With a prefix, only lists the keys that start with it.",
+        "Long lists are sent by private message."
+        ],
+
+        "aliases": [
+        "{{!}}replies aliases reply-name",
+        "",
+        "Shows what a reply is an alias of, and which aliases it has.",
+        "See also: {{!}}replies repoint, {{!}}replies unalias"
+        ],
+
+        "repoint": [
+        "{{!}}replies repoint reply-name = other key",
+        "",
+        "Makes every alias of a reply an alias of another key instead.",
+        "Useful after forgetting a reply that had aliases."
+        ],
+
+        "unalias": [
+        "{{!}}replies unalias reply-name",
+        "",
+        "Forgets every alias of a reply."
+        ],
+
+        "rename": [
+        "{{!}}replies rename reply-name = new name",
+        "{{!}}replies rename reply-name @= new name",
+        "",
+        "Moves a reply to a new name, keeping its history and whether it's locked.",
+        "Aliases of the reply are changed to alias the new name.",
+        "With @=, the old name is left as an alias of the new name."
+        ],
+
+        "copy": [
+        "{{!}}replies copy reply-name = new name",
+        "",
+        "Copies a reply, and its history, to a new name.",
+        "The copy is not locked."
+        ],
+
+        "info": [
+        "{{!}}replies info reply-name",
+        "",
+        "Shows a reply's intent, who last changed it and when,",
+        "whether it's locked, and what it's an alias of."
+        ],
+
+        "stats": [
+        "{{!}}replies stats [reply-name]",
+        "",
+        "Shows how often a reply was said, passively and by request,",
+        "in which channels, and when it was last said.",
+        "Without a reply, shows how often replies were said in all,",
+        "and who changed replies the most."
+        ],
+
+        "top": [
+        "{{!}}replies top [count]",
+        "",
+        format("Shows the replies said the most. Shows ten unless a count up to %s is given.", MAX_SEARCH_RESULTS)
+        ],
+
+        "unused": [
+        "{{!}}replies unused days",
+        "",
+        "Lists the replies that were not said in the last number of days."
+        ],
 
-    return Promise.try(function () {
-        if (command.args.length === 0) {
-            return Fail("no-args");
-        } else {
-            return Ok();
-        }
-    })
-    .then(bindr(Result.andThen, function () {
-        key = command.args.join(" ");
-        return replies.delete(key, command.hostmask);
-    }))
-    .then(bindr(Result.andThen, function () {
-        client.note("AutoReplyPlugn", format("Reply forgotten: %s", key));
-        return Ok(format("Forgotten reply '%s'", key));
-    }))
-    .then(bindr(Result.unwrapOrElse, function (reason) {
-        switch (reason) {
-            case "dne":     return format("Cannot forget reply '%s'. Reply does not exist.", key);
-            case "no-args": return        "Cannot forget reply. No reply specified.";
-            case "frozen":  return format("Cannot forget reply '%s'. Reply is locked.", key);
-            default:
-            client.error("AutoReplyPlugn", format("Unhandled failure reason in !forget: %s", failureReason));
-            return format("Error: Unhandled failure reason in text replacement ('%s').", failureReason);
-        }
-    }))
-    .catch(function internalError (err) {
-        client.error("AutoReplyPlugn", "Error: " + err.name);
-        client.error(err.stack);
-        client.say(command.channel, "Error: Internal Error.");
-    });
-}
-};
+        "undo": [
+        "{{!}}replies undo",
+        "",
+        "Undoes your most recent change to a reply, if nobody changed it since.",
+        "Undoing again undoes the change before that.",
+        "Only changes made under your current nickname and hostmask can be undone."
+        ],
 
-const helpfiles = {
-    "replies": [
-    "Replies are automatic replies to common queries",
-    "",
-    format("You can look up a reply with `{{!}}reply key` or %skey.", replyTrigger),
-    "You can teach this bot a reply with `{{!}}learn`.",
-    "You can also make the bot forget a reply with `{{!}}forget key`.",
-    "Admins can make certain replies unmodifiable.",
-    "For more information, do {{!}}help command-name."
-    ],
+        "selection": [
+        "{{!}}replies selection reply-name mode [weights]",
+        "",
+        "Sets how a reply with alternatives picks its message.",
+        "random - Any message, picked at random. The default.",
+        "rotate - Each message in turn.",
+        "weighted - At random, but by weight. Give a weight per message,",
+        "e.g. {{!}}replies selection 8ball weighted 3 1 1"
+        ],
+
+        "scopes": [
+        "Replies are either global or specific to a channel.",
+        "Looking up a reply in a channel checks that channel's replies first,",
+        "and then the global replies.",
+        "",
+        "{{!}}learn, {{!}}forget, {{!}}lock, {{!}}unlock, and {{!}}reply take an",
+        "optional scope before the key: `*` for global or a channel name.",
+        "e.g. {{!}}learn #help rules = Be nice.",
+        defaultScope === "channel"
+            ? "Without a scope, changes apply to the current channel."
+            : "Without a scope, changes apply globally."
+        ]
+    },
 
     "reply": [
     "{{!}}reply key",
@@ -324,7 +1968,13 @@ const helpfiles = {
     "Replies are small messages this bot responds with.",
     "",
     "You may add an '@ nick' to the end to have the bot say",
-    "the response to that user.",
+    "the response to that user. Replies sent as notices or private",
+    "messages are sent to them instead of you.",
+    "",
+    "When there's no such reply, suggests replies with similar keys.",
+    "",
+    "Replies can take arguments, e.g. {{!}}reply ban bob.",
+    "See {{!}}help learn parameters.",
     "",
     "See also: {{!}}learn, {{!}}forget"
     ],
@@ -336,6 +1986,8 @@ const helpfiles = {
         "Adds a reply to the replies database.",
         "This bot also supports a modifier before the `=`.",
         "To see them, do {{!}}help learn formats",
+        "For placeholders like {nick}, do {{!}}help learn templates",
+        "For replies that take arguments, do {{!}}help learn parameters",
         "",
         "Keys may consist of all characters other than `=` and `@`."
         ],
@@ -351,12 +2003,45 @@ const helpfiles = {
         "{{!}}learn key != action",
         "As the initial, but has the bot act the action.",
         " ",
+        "{{!}}learn key ^= description",
+        "As the initial, but sent as a notice to whoever asked for it.",
+        "With '@ nick', it's sent to nick instead.",
+        " ",
+        "{{!}}learn key >= description",
+        "As the initial, but sent by private message to whoever asked for it.",
+        "With '@ nick', it's sent to nick instead.",
+        " ",
+        "{{!}}learn key &= first line \\n second line",
+        "A reply of several lines, separated by \\n, said one at a time.",
+        format("Replies can have at most %s lines.", maxLines),
+        " ",
+        "{{!}}learn key %= TYPE text",
+        "Sends a CTCP request of the type, such as VERSION, to the channel,",
+        "or to nick with '@ nick'.",
+        " ",
+        "{{!}}learn key |= alternative",
+        "Adds another message to an existing reply. When the reply is said,",
+        "one of its messages is picked. See {{!}}help replies alternatives.",
+        " ",
         "{{!}}learn key @= other key",
         "Makes key an alias for `other key`.",
         format("There is a maximum alias depth of %s.", maxAliasDepth),
+        "The other key must exist, and aliases cannot loop.",
         "Modifying the value with += or ~= modifies which key is being aliased,",
         "not the value of the aliased key.",
         " ",
+        "{{!}}learn regexp /= description",
+        "Replies to any message the regexp matches. Matching is case insensitive.",
+        "$1 through $9 in the description are replaced with the captured groups.",
+        "The reply's key becomes `re:regexp`, e.g. for {{!}}forget.",
+        "Nested repetition such as (a+)+, backreferences, and more than two of *, +, or {} are not allowed.",
+        " ",
+        "{{!}}learn glob *= description",
+        "As previous, but with a glob that must match the whole message.",
+        "`*` matches anything and `?` matches one character; each is a captured group.",
+        "Globs can have at most two `*`.",
+        "The reply's key becomes `glob:glob`.",
+        " ",
         "{{!}}learn key += amendment",
         "Modifies an existing reply to add more information.",
         "A space is automatically added between the prior description",
@@ -370,46 +2055,709 @@ const helpfiles = {
         "Flag: 'g' - Replaces all occurences of the RegExp",
         "Flag: 'i' - Makes the RegExp case insensitive.",
         "See also: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/RegExp"
+        ],
+
+        "templates": [
+        "Replies can contain placeholders that are filled in when said.",
+        "{nick} - Who asked for the reply.",
+        "{displayname} - Their display name on Twitch, or else {nick}.",
+        "{channel} - The channel the reply is said in.",
+        "{target} - The '@ nick' the reply is for, or who asked for it.",
+        "{args} - What was said after the key.",
+        "{date} - Today's date (UTC).",
+        "{random:a|b|c} - One of a, b, or c, picked at random.",
+        "{reply:other key} - The message of another reply.",
+        "{lbrace} - A {, for when one would start a placeholder.",
+        format("Replies can only include other replies %s deep, and cannot include themselves.", maxAliasDepth)
+        ],
+
+        "parameters": [
+        "{{!}}learn ban $1 = Please read the rules, $1",
+        "Keys ending in $1, $2, etc. take that many arguments.",
+        "{{!}}reply ban bob says 'Please read the rules, bob'.",
+        "Use \"double quotes\" for an argument of several words.",
+        "${1:-default} is the argument, or default if it isn't given.",
+        "Otherwise, every argument must be given. Use $$ for a '$'."
         ]
     },
 
     "forget": [
     "{{!}}forget reply-name"
+    ],
+
+    "history": [
+    "{{!}}history reply-name [count]",
+    "",
+    "Shows the most recent changes to a reply, newest first.",
+    "Shows three changes unless a count is given.",
+    "",
+    "See also: {{!}}revert"
+    ],
+
+    "revert": [
+    "{{!}}revert reply-name revision",
+    "",
+    "Restores a reply to how it was at a revision from {{!}}history.",
+    "Reverting to a revision where the reply was forgotten forgets it.",
+    "Locked replies can only be reverted by whoever can lock them."
+    ],
+
+    "lock": [
+    "{{!}}lock reply-name",
+    "",
+    "Locks a reply so only whoever can lock replies can change it.",
+    "By default, that is only admins.",
+    "Replies that don't exist can be locked so nobody can learn them.",
+    "Use {{!}}unlock to undo this."
+    ],
+
+    "unlock": [
+    "{{!}}unlock reply-name",
+    "",
+    "Unlocks a locked reply so that anybody can edit it.",
+    "By default, only admins can unlock replies."
+    ],
+
+    "permissions": [
+    "Who can learn, edit, forget, alias, and lock replies is configured",
+    "per channel, and can depend on the hostmask or NickServ account.",
+    "Whoever learns a reply can always edit and forget it,",
+    "unless it is locked."
     ]
 };
 
 if (requiresAdmin) {
-    handlers["!lock"] = requiresAdmin(function (command) {
-        const reply = command.args.join(" ").toLowerCase()
-        replies.freeze(reply);
-        return format("Locked reply '%s'.", reply);
+    subcommands["pending"] = requiresAdmin(function (command) {
+        const pending = replies.pending();
+
+        if (pending.length === 0) {
+            return "No changes are waiting for approval.";
+        }
+
+        return respondPrivatelyIfLong(command, pending.map(describePending),
+            format("%s changes are waiting for approval. Sent them by private message.", pending.length));
     });
 
-    helpfiles["lock"] = [
-    "{{!}}lock reply-name",
+    subcommands["approve"] = requiresAdmin(function (command) {
+        const id = Number(command.args[0]);
+
+        return Promise.try(function () {
+            if (!/^\d+$/.test(command.args[0] || "")) {
+                return Fail("bad-format");
+            }
+
+            return replies.approve(id);
+        })
+        .then(bindr(Result.map, function (pending) {
+            client.note("AutoReplyPlugn", format("Change #%s approved by %s: %s", id, command.hostmask, describePending(pending)));
+            client.say(pending.editor.split("!")[0], format("Your change to '%s' (#%s) was approved.", pending.key, id));
+            return format("Approved change #%s to '%s'.", id, pending.key);
+        }))
+        .then(bindr(Result.orElse, validationFailureMessage))
+        .then(bindr(Result.unwrapOrElse, function (reason) {
+            switch (reason) {
+                case "bad-format":      return format("Invalid format. Use %sreplies approve id.", commandTrigger);
+                case "no-pending":      return format("There is no pending change #%s.", id);
+                case "dne":             return format("Cannot approve #%s. The reply no longer exists. Reject it instead.", id);
+                case "unchanged":       return format("Cannot approve #%s. The replacement no longer has any effect. Reject it instead.", id);
+                case "no-message-left": return format("Cannot approve #%s. It would leave the reply empty. Reject it instead.", id);
+                case "locked":          return format("Cannot approve #%s. The reply was locked since. Reject it instead.", id);
+                case "banned":
+                case "account-required":
+                case "learn-not-permitted":
+                case "edit-not-permitted":
+                case "alias-not-permitted":
+                return format("Cannot approve #%s. Whoever made it is no longer allowed to. Reject it instead.", id);
+                default:
+                client.error("AutoReplyPlugn", format("Unhandled failure reason in !replies approve: %s", reason));
+                return format("Error: Unhandled failure reason in approving change ('%s').", reason);
+            }
+        }))
+        .catch(function internalError (err) {
+            client.error("AutoReplyPlugn", "Error: " + err.name);
+            client.error(err.stack);
+            client.say(command.channel, "Error: Internal Error.");
+        });
+    });
+
+    subcommands["reject"] = requiresAdmin(function (command) {
+        const id = Number(command.args[0]);
+        const reason = command.args.slice(1).join(" ");
+
+        if (!/^\d+$/.test(command.args[0] || "")) {
+            return format("Invalid format. Use %sreplies reject id [reason].", commandTrigger);
+        }
+
+        return replies.reject(id)
+        .map(function (pending) {
+            client.note("AutoReplyPlugn", format("Change #%s rejected by %s: %s", id, command.hostmask, describePending(pending)));
+            client.say(pending.editor.split("!")[0], format("Your change to '%s' (#%s) was rejected%s", pending.key, id, reason ? ": " + reason : "."));
+            return format("Rejected change #%s to '%s'.", id, pending.key);
+        })
+        .unwrapOrElse(function () {
+            return format("There is no pending change #%s.", id);
+        });
+    });
+
+    helpfiles["replies"]["pending"] = [
+    "{{!}}replies pending",
     "",
-    "Locks a reply so only an admin can edit it.",
+    "Lists the changes waiting for approval, oldest first.",
+    "When moderation is on, new and edited replies from users who",
+    "aren't trusted wait here until an admin approves or rejects them.",
     "Requires admin privileges.",
-    "Use {{!}}unlock to undo this."
+    "See also: {{!}}replies approve, {{!}}replies reject"
+    ];
+
+    helpfiles["replies"]["approve"] = [
+    "{{!}}replies approve id",
+    "",
+    "Makes a pending change, and tells whoever made it.",
+    "Requires admin privileges."
     ];
 
-    handlers["!unlock"] = requiresAdmin(function (command) {
-        const reply = command.args.join(" ").toLowerCase()
-        replies.unfreeze(reply);
-        return format("Unlocked reply '%s'.", reply);
+    helpfiles["replies"]["reject"] = [
+    "{{!}}replies reject id [reason]",
+    "",
+    "Throws away a pending change, and tells whoever made it why.",
+    "Requires admin privileges."
+    ];
+
+    subcommands["export"] = requiresAdmin(function (command) {
+        const formatType = (command.args[0] || "").toLowerCase();
+        const file = command.args.slice(1).join(" ");
+
+        return Promise.try(function () {
+            if (!file) {
+                return Fail("bad-format");
+            }
+
+            return replies.export(formatType);
+        })
+        .then(bindr(Result.andThen, function (text) {
+            return Promise.promisify(fs.writeFile)(file, text)
+            .then(function () {
+                return Ok(text);
+            });
+        }))
+        .then(bindr(Result.map, function () {
+            client.note("AutoReplyPlugn", format("Replies exported to %s by %s.", file, command.hostmask));
+            return format("Exported replies to '%s'.", file);
+        }))
+        .then(bindr(Result.unwrapOrElse, function (reason) {
+            switch (reason) {
+                case "bad-format":      return format("Invalid format. Use %sreplies export format file.", commandTrigger);
+                case "bad-format-type": return format("Unknown format '%s'. Use one of %s.", formatType, Formats.types.join(", "));
+                default:
+                client.error("AutoReplyPlugn", format("Unhandled failure reason in !replies export: %s", reason));
+                return format("Error: Unhandled failure reason in exporting replies ('%s').", reason);
+            }
+        }))
+        .catch(function internalError (err) {
+            client.error("AutoReplyPlugn", "Error: " + err.name);
+            client.error(err.stack);
+            client.say(command.channel, "Error: Internal Error.");
+        });
     });
 
-    helpfiles["unlock"] = [
-    "{{!}}unlock reply-name",
+    subcommands["import"] = requiresAdmin(function (command) {
+        // Options come after the format and file, and the file can have spaces.
+        const args = command.args.slice();
+        var dryRun = false;
+        var conflict = "skip";
+
+        while (args.length > 2) {
+            const option = args[args.length - 1].toLowerCase();
+
+            if (option === "dry-run") {
+                dryRun = true;
+            } else if (option === "skip" || option === "overwrite" || option === "rename") {
+                conflict = option;
+            } else {
+                break;
+            }
+
+            args.pop();
+        }
+
+        const formatType = (args[0] || "").toLowerCase();
+        const file = args.slice(1).join(" ");
+
+        return Promise.try(function () {
+            if (!file) {
+                return Fail("bad-format");
+            }
+
+            return Promise.promisify(fs.readFile)(file, "utf8")
+            .then(function (text) {
+                return replies.import(formatType, text, {
+                    editor: command.hostmask,
+                    conflict: conflict,
+                    dryRun: dryRun
+                });
+            }, function (err) {
+                return Fail("unreadable-file");
+            });
+        })
+        .then(bindr(Result.map, function (summary) {
+            const counts = format("%s added, %s overwritten, %s renamed, %s skipped, %s locked, %s invalid.",
+                summary.added.length, summary.overwritten.length, summary.renamed.length,
+                summary.skipped.length, summary.frozen.length, summary.invalid.length);
+
+            if (dryRun) {
+                return "Dry run. Importing would leave " + counts;
+            }
+
+            client.note("AutoReplyPlugn", format("Replies imported from %s by %s: %s", file, command.hostmask, counts));
+            return "Imported replies. " + counts;
+        }))
+        .then(bindr(Result.unwrapOrElse, function (reason) {
+            switch (reason) {
+                case "bad-format":         return format("Invalid format. Use %sreplies import format file [skip|overwrite|rename] [dry-run].", commandTrigger);
+                case "bad-format-type":    return format("Unknown format '%s'. Use one of %s.", formatType, Formats.types.join(", "));
+                case "unreadable-file":    return format("Cannot read '%s'.", file);
+                case "bad-import-json":    return format("Cannot import '%s'. It is not a JSON array of replies.", file);
+                case "bad-import-csv":     return format("Cannot import '%s'. It is not a CSV file of replies.", file);
+                case "bad-import-factoid": return format("Cannot import '%s'. Every line must be 'key is value'.", file);
+                default:
+                client.error("AutoReplyPlugn", format("Unhandled failure reason in !replies import: %s", reason));
+                return format("Error: Unhandled failure reason in importing replies ('%s').", reason);
+            }
+        }))
+        .catch(function internalError (err) {
+            client.error("AutoReplyPlugn", "Error: " + err.name);
+            client.error(err.stack);
+            client.say(command.channel, "Error: Internal Error.");
+        });
+    });
+
+    helpfiles["replies"]["export"] = [
+    "{{!}}replies export format file",
     "",
-    "Unlocks a locked reply so that anybody can edit it.",
+    "Writes every reply to a file on the bot's host.",
+    format("The formats are %s.", Formats.types.join(", ")),
+    "Requires admin privileges."
+    ];
+
+    helpfiles["replies"]["import"] = [
+    "{{!}}replies import format file [skip|overwrite|rename] [dry-run]",
+    "",
+    "Reads replies from a file on the bot's host.",
+    format("The formats are %s.", Formats.types.join(", ")),
+    "Replies that already exist are skipped, overwritten, or imported",
+    "under a new name (e.g. key-2). The default is to skip them.",
+    "Locked replies are never overwritten.",
+    "With dry-run, only says what importing would do.",
+    "Requires admin privileges."
+    ];
+
+    subcommands["expire"] = requiresAdmin(function (command) {
+        const scope = parseScope(command, defaultScope === "channel");
+        const args = splitAt(scope.args.join(" "), "=");
+        const key = trim(args[0]);
+        const when = trim(args[1]).toLowerCase();
+
+        return Promise.try(function () {
+            if (!key || !when) {
+                return Fail("bad-format");
+            }
+
+            return when === "never" ? Ok(undefined) : Times.parseTime(when, now());
+        })
+        .then(bindr(Result.andThen, function (time) {
+            return scope.replies.setExpiry(key, time, command.hostmask);
+        }))
+        .then(bindr(Result.map, function (value) {
+            client.note("AutoReplyPlugn", format("Reply '%s' set to expire %s by %s.", key, value.expires || "never", command.hostmask));
+            return value.expires
+                ? format("Reply '%s' now expires %s.", key, value.expires)
+                : format("Reply '%s' no longer expires.", key);
+        }))
+        .then(bindr(Result.orElse, permissionFailureMessage))
+        .then(bindr(Result.orElse, validationFailureMessage))
+        .then(bindr(Result.unwrapOrElse, function (reason) {
+            switch (reason) {
+                case "bad-format":     return format("Invalid format. Use %sreplies expire reply-name = time.", commandTrigger);
+                case "bad-time":       return format("Invalid time '%s'. Use a duration like 2h or 1d12h, a date like 2026-10-20T15:00Z, or never.", when);
+                case "expiry-in-past": return format("Cannot expire '%s' in the past. Use %sforget instead.", key, commandTrigger);
+                case "dne":            return format("Cannot edit '%s'. Reply does not exist.", key);
+                case "locked":         return format("Cannot edit '%s'. Reply is locked.", key);
+                default:
+                client.error("AutoReplyPlugn", format("Unhandled failure reason in !replies expire: %s", reason));
+                return format("Error: Unhandled failure reason in setting expiry ('%s').", reason);
+            }
+        }))
+        .catch(function internalError (err) {
+            client.error("AutoReplyPlugn", "Error: " + err.name);
+            client.error(err.stack);
+            client.say(command.channel, "Error: Internal Error.");
+        });
+    });
+
+    subcommands["hours"] = requiresAdmin(function (command) {
+        const scope = parseScope(command, defaultScope === "channel");
+        const args = splitAt(scope.args.join(" "), "=");
+        const key = trim(args[0]);
+        const times = trim(args[1]).toLowerCase();
+
+        return Promise.try(function () {
+            if (!key || !times) {
+                return Fail("bad-format");
+            }
+
+            return times === "always" ? Ok(undefined) : Times.parseActiveTimes(times);
+        })
+        .then(bindr(Result.andThen, function (active) {
+            return scope.replies.setActiveTimes(key, active, command.hostmask);
+        }))
+        .then(bindr(Result.map, function (value) {
+            const active = value.active ? Times.describeActiveTimes(value.active) : "always";
+            client.note("AutoReplyPlugn", format("Reply '%s' set to be active %s by %s.", key, active, command.hostmask));
+            return value.active
+                ? format("Reply '%s' is now said passively only at %s (%s).", key, active, timeZone)
+                : format("Reply '%s' is now said passively at any time.", key);
+        }))
+        .then(bindr(Result.orElse, permissionFailureMessage))
+        .then(bindr(Result.orElse, validationFailureMessage))
+        .then(bindr(Result.unwrapOrElse, function (reason) {
+            switch (reason) {
+                case "bad-format":       return format("Invalid format. Use %sreplies hours reply-name = times.", commandTrigger);
+                case "bad-active-times": return format("Invalid times '%s'. Use days and hours like mon-fri 9-17, or always.", times);
+                case "dne":              return format("Cannot edit '%s'. Reply does not exist.", key);
+                case "locked":           return format("Cannot edit '%s'. Reply is locked.", key);
+                default:
+                client.error("AutoReplyPlugn", format("Unhandled failure reason in !replies hours: %s", reason));
+                return format("Error: Unhandled failure reason in setting active hours ('%s').", reason);
+            }
+        }))
+        .catch(function internalError (err) {
+            client.error("AutoReplyPlugn", "Error: " + err.name);
+            client.error(err.stack);
+            client.say(command.channel, "Error: Internal Error.");
+        });
+    });
+
+    subcommands["schedule"] = requiresAdmin(function (command) {
+        const channel = (command.args[0] || "").toLowerCase();
+        const args = splitAt(command.args.slice(1).join(" "), "=");
+        const key = trim(args[0]);
+        const cron = trim(args[1]);
+
+        if (!isChannel(channel) || !key || !cron) {
+            return format("Invalid format. Use %sreplies schedule #channel reply-name = minute hour day month weekday.", commandTrigger);
+        }
+
+        if (replies.scope(channel).info(key).isFail()) {
+            return format("Cannot schedule '%s'. Reply does not exist in %s.", key, channel);
+        }
+
+        return schedule.add({
+            key: key,
+            channel: channel,
+            cron: cron,
+            editor: command.hostmask,
+            time: new Date(now()).toISOString()
+        })
+        .map(function (id) {
+            client.note("AutoReplyPlugn", format("Reply '%s' scheduled in %s at '%s' by %s (#%s).", key, channel, cron, command.hostmask, id));
+            return format("Scheduled '%s' in %s at '%s' (#%s).", key, channel, cron, id);
+        })
+        .unwrapOrElse(function () {
+            return format("Invalid schedule '%s'. See %shelp replies schedule.", cron, commandTrigger);
+        });
+    });
+
+    subcommands["schedules"] = requiresAdmin(function (command) {
+        const announcements = schedule.list();
+
+        if (announcements.length === 0) {
+            return "No replies are scheduled.";
+        }
+
+        const lines = announcements.map(function (announcement) {
+            return format("#%s '%s' in %s at '%s' by %s", announcement.id, announcement.key,
+                announcement.channel, announcement.cron, announcement.editor);
+        });
+
+        return respondPrivatelyIfLong(command, lines,
+            format("%s replies are scheduled. Sent them by private message.", announcements.length));
+    });
+
+    subcommands["unschedule"] = requiresAdmin(function (command) {
+        const id = Number(command.args[0]);
+
+        if (!/^\d+$/.test(command.args[0] || "")) {
+            return format("Invalid format. Use %sreplies unschedule id.", commandTrigger);
+        }
+
+        return schedule.remove(id)
+        .map(function (announcement) {
+            client.note("AutoReplyPlugn", format("Scheduled reply #%s '%s' in %s removed by %s.", id, announcement.key, announcement.channel, command.hostmask));
+            return format("'%s' is no longer scheduled in %s.", announcement.key, announcement.channel);
+        })
+        .unwrapOrElse(function () {
+            return format("There is no scheduled reply #%s.", id);
+        });
+    });
+
+    helpfiles["replies"]["expire"] = [
+    "{{!}}replies expire reply-name = time",
+    "",
+    "Hides a reply after a time, as if it was forgotten.",
+    "The time is a duration like 2h, 3d, or 1d12h, or a date like 2026-10-20T15:00Z.",
+    "Use never to make it not expire, which also shows an expired reply again.",
+    "Learning an expired reply again learns it anew, without an expiry.",
+    "Requires admin privileges."
+    ];
+
+    helpfiles["replies"]["hours"] = [
+    "{{!}}replies hours reply-name = times",
+    "",
+    "Only says a reply passively at certain times. It can still be asked for.",
+    "The times are days, hours, or both, e.g. mon-fri 9-17, sat,sun, or 22-6.",
+    format("Hours are in the %s time zone. Use always to remove the times.", timeZone),
+    "Requires admin privileges."
+    ];
+
+    helpfiles["replies"]["schedule"] = [
+    "{{!}}replies schedule #channel reply-name = minute hour day month weekday",
+    "",
+    "Says a reply in a channel at scheduled times, given as in cron.",
+    "Each field is *, a number, a range like 1-5, a list like 1,15, or a step like */15.",
+    "e.g. {{!}}replies schedule #team standup = 45 9 * * mon-fri",
+    format("Times are in the %s time zone.", timeZone),
+    "Requires admin privileges.",
+    "See also: {{!}}replies schedules, {{!}}replies unschedule"
+    ];
+
+    helpfiles["replies"]["schedules"] = [
+    "{{!}}replies schedules",
+    "",
+    "Lists the scheduled replies, with their ids.",
+    "Requires admin privileges."
+    ];
+
+    helpfiles["replies"]["unschedule"] = [
+    "{{!}}replies unschedule id",
+    "",
+    "Stops saying a scheduled reply. The id is from {{!}}replies schedules.",
+    "Requires admin privileges."
+    ];
+
+    subcommands["log"] = requiresAdmin(function (command) {
+        const args = command.args.slice();
+        const hasCount = args.length > 0 && /^\d+$/.test(args[args.length - 1]);
+        const count = hasCount ? Number(args.pop()) : 10;
+        const query = args.join(" ");
+
+        if (!(count >= 1 && count <= MAX_SEARCH_RESULTS)) {
+            return format("Invalid count. Give a number from 1 to %s.", MAX_SEARCH_RESULTS);
+        }
+
+        const entries = replies.log(query).slice(0, count);
+
+        if (entries.length === 0) {
+            return query ? format("No changes by or to '%s'.", query) : "No changes made yet.";
+        }
+
+        return respondPrivatelyIfLong(command, entries.map(describeAuditEntry),
+            format("Sent the last %s changes by private message.", entries.length));
+    });
+
+    subcommands["rollback"] = requiresAdmin(function (command) {
+        const pattern = command.args[0] || "";
+        const time = now();
+        const since = Times.parseTimeAgo(command.args[1] || "", time);
+        const until = command.args[2] ? Times.parseTimeAgo(command.args[2], time) : Ok(time);
+
+        if (command.args.length < 2 || command.args.length > 3 || pattern.indexOf("!") === -1 || pattern.indexOf("@") === -1) {
+            return format("Invalid format. Use %sreplies rollback hostmask since [until].", commandTrigger);
+        }
+
+        if (since.isFail() || until.isFail()) {
+            return "Invalid time. Use a duration ago like 2h or 1d12h, or a date like 2026-10-20T15:00Z.";
+        }
+
+        return replies.revertBy(pattern, since.ok(), until.ok(), command.hostmask)
+        .then(function (summary) {
+            client.note("AutoReplyPlugn", format("Changes by %s rolled back by %s: %s reverted, %s skipped.",
+                pattern, command.hostmask, summary.reverted.length, summary.skipped.length));
+
+            const lines = [format("Reverted %s replies changed by %s.", summary.reverted.length, pattern)];
+
+            if (summary.skipped.length !== 0) {
+                lines.push(format("Skipped %s: %s", summary.skipped.length, summary.skipped.map(function (skipped) {
+                    const reason = {
+                        "changed-since": "changed by others since",
+                        "dne": "already forgotten"
+                    }[skipped.reason] || skipped.reason;
+
+                    return format("'%s'%s (%s)", skipped.key, skipped.namespace ? " in " + skipped.namespace : "", reason);
+                }).join(", ")));
+            }
+
+            return lines;
+        })
+        .catch(function internalError (err) {
+            client.error("AutoReplyPlugn", "Error: " + err.name);
+            client.error(err.stack);
+            client.say(command.channel, "Error: Internal Error.");
+        });
+    });
+
+    helpfiles["replies"]["log"] = [
+    "{{!}}replies log [nick|hostmask|reply-name] [count]",
+    "",
+    "Shows the most recent changes to replies, newest first, including",
+    "locking and unlocking. Only those by a nickname or hostmask, or to a reply, if given.",
+    "Shows 10 changes unless given a count.",
+    "Requires admin privileges."
+    ];
+
+    helpfiles["replies"]["rollback"] = [
+    "{{!}}replies rollback hostmask since [until]",
+    "",
+    "Undoes every change made by a hostmask, like *!*@bad.example.com,",
+    "in a time window, such as to clean up after vandalism.",
+    "Times are a duration ago like 2h, or a date like 2026-10-20T15:00Z.",
+    "Replies changed by others since are left alone.",
+    "Requires admin privileges."
+    ];
+
+    subcommands["mute"] = requiresAdmin(function (command) {
+        // The channel can be left out, so the first argument may be the duration.
+        const hasChannel = isChannel(command.args[0] || "");
+        const channel = hasChannel ? command.args[0] : (command.isQuery ? "" : command.channel);
+        const args = command.args.slice(hasChannel ? 1 : 0);
+        const duration = args[0] ? Times.parseDuration(args[0].toLowerCase()) : Ok(undefined);
+
+        if (args.length > 1 || !isChannel(channel)) {
+            return format("Invalid format. Use %sreplies mute [#channel] [duration].", commandTrigger);
+        }
+
+        if (duration.isFail()) {
+            return "Invalid duration. Use something like 30m, 2h, or 1d12h.";
+        }
+
+        loopGuard.mute(channel, duration.ok());
+        client.note("AutoReplyPlugn", format("Passive replies in %s muted by %s.", channel, command.hostmask));
+
+        return duration.ok()
+            ? format("Passive replies in %s are muted for %s.", channel, args[0])
+            : format("Passive replies in %s are muted until unmuted.", channel);
+    });
+
+    subcommands["unmute"] = requiresAdmin(function (command) {
+        const hasChannel = isChannel(command.args[0] || "");
+        const channel = hasChannel ? command.args[0] : (command.isQuery ? "" : command.channel);
+
+        if (command.args.length > (hasChannel ? 1 : 0)) {
+            return format("Invalid format. Use %sreplies unmute [#channel].", commandTrigger);
+        }
+
+        if (!channel) {
+            const muted = loopGuard.muted();
+
+            return muted.length === 0 ? "No channels are muted." : format("Muted: %s", muted.map(function (mute) {
+                return mute.until === Infinity ? mute.channel : format("%s (until %s)", mute.channel, new Date(mute.until).toISOString());
+            }).join(", "));
+        }
+
+        if (!loopGuard.unmute(channel)) {
+            return format("Passive replies in %s are not muted.", channel);
+        }
+
+        client.note("AutoReplyPlugn", format("Passive replies in %s unmuted by %s.", channel, command.hostmask));
+        return format("Passive replies in %s are unmuted.", channel);
+    });
+
+    helpfiles["replies"]["mute"] = [
+    "{{!}}replies mute [#channel] [duration]",
+    "",
+    "Stops saying passive replies in a channel, or in this one,",
+    "for a duration like 30m or 2h, or until unmuted.",
+    "Channels are also muted on their own when too many passive replies",
+    "are said in a short time, such as when bots reply to each other.",
+    "Requires admin privileges.",
+    "See also: {{!}}replies unmute"
+    ];
+
+    helpfiles["replies"]["unmute"] = [
+    "{{!}}replies unmute [#channel]",
+    "",
+    "Says passive replies in a muted channel again.",
+    "In a private message without a channel, lists the muted channels.",
     "Requires admin privileges."
     ];
 }
 
+helpfiles["replies"]["*"].push(
+    "",
+    "{{!}}replies has the following subcommands:",
+    Object.keys(subcommands).join(", "),
+    "For more information, do {{!}}help replies subcommand-name."
+);
+
+// What the `replies` role gives other plugins for a namespace. Changes
+// are checked and validated the same as changes made with commands.
+// Replies -> Object
+function roleApi (replies) {
+    return {
+        get: replies.get,
+        resolve: replies.resolve,
+        info: replies.info,
+        search: replies.search,
+        set: replies.set,
+        delete: replies.delete,
+        freeze: replies.freeze,
+        unfreeze: replies.unfreeze
+    };
+}
+
+const roleExports = roleApi(replies);
+
+// Channel -> Object
+roleExports.scope = function (channel) {
+    return roleApi(replies.scope(channel));
+};
+
+roleExports.on = events.on.bind(events);
+roleExports.once = events.once.bind(events);
+roleExports.removeListener = events.removeListener.bind(events);
+
+// Adds a rule to the end of the validation pipeline. See validation.js.
+roleExports.addValidator = validation.add;
+
+// Saves the usage counts that haven't been yet.
+// (() -> ())? -> ()
+roleExports.flush = usageStats.flush;
+
+// Saves everything and stops the plugin. Call it before unloading the plugin.
+// (() -> ())? -> ()
+roleExports.close = close;
+
+// The http.Server of the HTTP API, or undefined when it's off.
+roleExports.httpServer = httpServer;
+
+// Commands can be handled before the privmsg handler sees the message
+// they're in, so the badges of whoever gave them are remembered first.
+if (twitch) {
+    Object.keys(handlers).filter(function (handler) {
+        return handler[0] === "!";
+    }).forEach(function (name) {
+        const handler = handlers[name];
+
+        handlers[name] = function (command) {
+            twitch.remember(command);
+            return handler(command);
+        };
+    });
+}
+
 return {
     handlers: handlers,
     help: helpfiles,
+    exports: roleExports,
     commands: Object.keys(handlers)
     .filter(function (handler) { return handler[0] === "!"; })
     .map(function (command) { return command.slice(1); })
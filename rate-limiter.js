@@ -0,0 +1,173 @@
+/**
+ * Limits how often the bot says replies.
+ *
+ * There are four independent limits:
+ *
+ *   channelCooldown: Milliseconds after a reply before another reply
+ *                    can be said in the same channel.
+ *   keyCooldown:     Milliseconds after a reply before the same key
+ *                    can be said again in the same channel.
+ *   channelLimit:    How many replies can be said in the same channel
+ *                    within `channelWindow` milliseconds.
+ *   userLimit:       How many replies a single user can trigger
+ *                    within `userWindow` milliseconds.
+ *
+ * Any limit that is 0 or missing is not enforced.
+ *
+ * What the limits remember is forgotten once it's older than the
+ * longest of them, so that it doesn't grow for as long as the bot runs.
+ *
+ * The limiter also carries `maxPerMessage`, the most replies that a
+ * single message may trigger, but it's up to the caller to enforce it.
+ * It defaults to 1, and 0 means there is no maximum.
+ **/
+
+const Result = require('r-result');
+const Ok = Result.Ok;
+const Fail = Result.Fail;
+
+module.exports = function (options) {
+    options = options || {};
+
+    const channelCooldown = options.channelCooldown || 0;
+    const keyCooldown = options.keyCooldown || 0;
+    const channelLimit = options.channelLimit || 0;
+    const channelWindow = options.channelWindow || 0;
+    const userLimit = options.userLimit || 0;
+    const userWindow = options.userWindow || 0;
+    const now = options.now || Date.now;
+    const longest = Math.max(channelCooldown, keyCooldown, channelWindow, userWindow);
+    var lastPruned = now();
+
+    // Map<Channel, Time>
+    const lastByChannel = Object.create(null);
+    // Map<Channel, Map<Key, Time>>
+    const lastByKey = Object.create(null);
+    // Map<Channel, [Time]>
+    const recentByChannel = Object.create(null);
+    // Map<User, [Time]>
+    const recentByUser = Object.create(null);
+
+    // The times within the window, forgetting the older ones.
+    // (Map<String, [Time]>, String, Number, Time) -> [Time]
+    const recentIn = function (recentBy, name, window, time) {
+        const recent = (recentBy[name] || []).filter(function (then) {
+            return time - then < window;
+        });
+
+        if (recent.length === 0) {
+            delete recentBy[name];
+        } else {
+            recentBy[name] = recent;
+        }
+
+        return recent;
+    };
+
+    // Forgets whatever no limit needs anymore. It's done at most once
+    // every `longest` milliseconds, so it doesn't slow every trigger down.
+    // Time -> ()
+    const prune = function (time) {
+        if (time - lastPruned < longest) {
+            return;
+        }
+
+        lastPruned = time;
+
+        Object.keys(lastByChannel).forEach(function (channel) {
+            if (time - lastByChannel[channel] >= channelCooldown) {
+                delete lastByChannel[channel];
+            }
+        });
+
+        Object.keys(lastByKey).forEach(function (channel) {
+            Object.keys(lastByKey[channel]).forEach(function (key) {
+                if (time - lastByKey[channel][key] >= keyCooldown) {
+                    delete lastByKey[channel][key];
+                }
+            });
+
+            if (Object.keys(lastByKey[channel]).length === 0) {
+                delete lastByKey[channel];
+            }
+        });
+
+        Object.keys(recentByChannel).forEach(function (channel) {
+            recentIn(recentByChannel, channel, channelWindow, time);
+        });
+
+        Object.keys(recentByUser).forEach(function (user) {
+            recentIn(recentByUser, user, userWindow, time);
+        });
+    };
+
+    // (User, Time) -> [Time]
+    const recentFor = function (user, time) {
+        return recentIn(recentByUser, user, userWindow, time);
+    };
+
+    // %Trigger{channel, key, user} -> Result<(), "channel-cooldown" | "channel-flood" | "key-cooldown" | "user-flood">
+    const check = function (trigger) {
+        const time = now();
+        const channel = trigger.channel.toLowerCase();
+
+        if (channelCooldown && time - (lastByChannel[channel] || -Infinity) < channelCooldown) {
+            return Fail("channel-cooldown");
+        }
+
+        if (channelLimit && channelWindow && recentIn(recentByChannel, channel, channelWindow, time).length >= channelLimit) {
+            return Fail("channel-flood");
+        }
+
+        const lastForKey = lastByKey[channel] && lastByKey[channel][trigger.key];
+        if (keyCooldown && time - (lastForKey || -Infinity) < keyCooldown) {
+            return Fail("key-cooldown");
+        }
+
+        if (userLimit && userWindow && recentFor(trigger.user, time).length >= userLimit) {
+            return Fail("user-flood");
+        }
+
+        return Ok();
+    };
+
+    // %Trigger{channel, key, user} -> ()
+    const record = function (trigger) {
+        const time = now();
+        const channel = trigger.channel.toLowerCase();
+
+        prune(time);
+        lastByChannel[channel] = time;
+
+        if (channelLimit && channelWindow) {
+            recentByChannel[channel] = recentIn(recentByChannel, channel, channelWindow, time).concat([time]);
+        }
+
+        if (keyCooldown) {
+            if (!lastByKey[channel]) {
+                lastByKey[channel] = Object.create(null);
+            }
+
+            lastByKey[channel][trigger.key] = time;
+        }
+
+        if (userLimit && userWindow) {
+            recentByUser[trigger.user] = recentFor(trigger.user, time).concat([time]);
+        }
+    };
+
+    return {
+        maxPerMessage: options.maxPerMessage === undefined ? 1 : options.maxPerMessage,
+
+        check: check,
+        record: record,
+
+        // %Trigger{channel, key, user} -> Result<(), String>
+        // Checks the limits, and if they're not exceeded, records the trigger.
+        attempt: function (trigger) {
+            return check(trigger).map(function () {
+                record(trigger);
+            });
+        }
+    };
+};
@@ -1,28 +1,224 @@
 /**
- * Dirty DB is an append only database that emulates a JSON object.
+ * Replies are kept in a storage adapter (see storage/index.js), which
+ * defaults to Dirty DB, an append only database that emulates a JSON object.
  *
  * Our database has keys of replies, with a value being the
  * following struct:
  *
  * %Reply{
- *   intent: %Tennu.Message{}'s intent ^1
+ *   intent: How the reply is said. ^1 One of "say", "act", "alias",
+ *           "notice" (to who asked), "pm" (to who asked), "multiline"
+ *           (lines separated by LINE_BREAK), or "ctcp" (the CTCP type,
+ *           then its text).
  *   message: %Tennu.Message{}'s message ^1
  *   editor: Full hostmask of last editor to the reply.
  *   time: Time of modification.
- *   frozen: Boolean of whether only admins can edit the reply.
+ *   frozen: Boolean of whether the reply is locked. See permissions.js.
+ *   owner: Hostmask pattern of who learned the reply. ^3
+ *   alternatives: [String] of other messages to say instead of `message`. ^3
+ *   selection: How to pick between the messages. ^3 One of
+ *              "random" (the default), "rotate", or "weighted".
+ *   weights: [Number] of each message's weight, `message` first. ^3
+ *   expires: Time after which the reply is hidden, as if it was forgotten. ^3
+ *   active: %ActiveTimes{} of when the reply can be said passively. ^3
+ *           See times.js.
  * }^2
  *
  * 1: Will be missing if the message is deleted.
  * 2: Replies that were never created but frozen will just be {frozen: true}.
+ * 3: Optional. Missing weights count as 1. Replies from before owners
+ *    were kept have no owner.
+ *
+ * Keys starting with `re:` or `glob:` are pattern triggers. See patterns.js.
+ * Keys ending in `$1`, `$2`, etc. take arguments. See parameters.js.
+ *
+ * Every change to a reply is also kept in the storage as a revision:
+ *
+ * %Revision{
+ *   revision: Revision number, starting at 1.
+ *   action: One of "set", "replace", "delete", "revert", "add-alternative",
+ *           "remove-alternative", "selection", "expiry", "active-times",
+ *           "import", "rename", "copy", "undo", or "unknown" ^4
+ *   ...%Reply{} as it was after the change.
+ * }
+ *
+ * 4: Replies from before history was kept have their last version
+ *    recorded as an "unknown" revision when they're next changed.
+ *
+ * Renaming or copying a reply copies its revisions to the new key, so
+ * the new key has the whole history, ending with a "rename" or "copy"
+ * revision. Aliases of a renamed reply are changed to point at the new
+ * key the same as if the editor set them.
+ *
+ * Every change, including locking and unlocking, is also recorded in an
+ * audit log, which is what undoing changes works from. See audit-log.js.
+ *
+ * Changes can also wait for approval first. See pending-queue.js.
+ *
+ * How often replies are said and who edits them is counted separately,
+ * so saying a reply doesn't change it. See usage-stats.js.
+ *
+ * Given an event emitter, changes and uses of replies are emitted as events:
+ *
+ *   replyLearned:   A reply was written with a message, e.g. learned, edited,
+ *                   or reverted. Given a %Change{}.
+ *   replyForgotten: A reply with a message was written without one. Given a
+ *                   %Change{}.
+ *   replyTriggered: A reply was said. Given a %Trigger{}.
+ *
+ * %Change{
+ *   key, namespace: Where the reply is.
+ *   action: The action of the revision the change was written as.
+ *   reply: %Reply{} after the change.
+ *   previous: %Reply{} before the change, if there was one.
+ * }
+ *
+ * %Trigger{
+ *   key, namespace: Where the reply is. Aliases are not followed.
+ *   kind: "passive" or "command". See usage-stats.js.
+ *   channel: Where it was said, unless it was in a query.
+ *   nickname: Who it was said for.
+ * }
+ *
+ * Times, such as when replies expire, come from the `now` option, which
+ * defaults to the system clock.
+ *
+ * Replies live in namespaces. The global namespace is shared by every
+ * channel, and each channel has its own namespace, named after the channel,
+ * that takes precedence over the global one when looking replies up.
  **/
 
-const Dirty = require('dirty');
+const Storage = require('./storage');
+const KeyIndex = require('./key-index');
+const FuzzyIndex = require('./fuzzy-index');
+const Patterns = require('./patterns');
+const Parameters = require('./parameters');
+const Templates = require('./templates');
+const Formats = require('./formats');
+const Permissions = require('./permissions');
+const Times = require('./times');
 const Promise = require('bluebird');
 const format = require('util').format;
-const now = function () { return (new Date()).toISOString(); }
 const Result = require('r-result');
 const Ok = Result.Ok;
 const Fail = Result.Fail;
+const normalizeKey = Patterns.normalizeKey;
+
+// The namespace of replies that are not specific to a channel.
+const GLOBAL = "";
+
+// Replies in a channel's namespace are stored as `key@#channel`.
+// Keys cannot contain `@`, so this cannot clash with a global key.
+// (String, Namespace) -> String
+const storageKey = function (key, namespace) {
+    return namespace === GLOBAL ? key : key + "@" + namespace;
+};
+
+// String -> {key: String, namespace: Namespace}
+const parseStorageKey = function (storageKey) {
+    const atIx = storageKey.indexOf("@");
+
+    if (atIx === -1) {
+        return { key: storageKey, namespace: GLOBAL };
+    }
+
+    return { key: storageKey.slice(0, atIx), namespace: storageKey.slice(atIx + 1) };
+};
+
+const SELECTION_MODES = ["random", "rotate", "weighted"];
+const INTENTS = ["say", "act", "alias", "notice", "pm", "multiline", "ctcp"];
+
+// Separates the lines of a multi-line reply. It's the two characters
+// `\n` rather than a line break, so the message can be shown as it is.
+const LINE_BREAK = "\\n";
+const IMPORT_CONFLICT_POLICIES = ["skip", "overwrite", "rename"];
+
+// %Reply{} -> [String]
+const messagesOf = function (value) {
+    return [value.message].concat(value.alternatives || []);
+};
+
+// Copies a reply, with some of its properties changed.
+// (%Reply{}, Object) -> %Reply{}
+const copyReply = function (value, changes) {
+    const copy = {
+        intent: value.intent,
+        message: value.message,
+        editor: value.editor,
+        time: value.time,
+        frozen: value.frozen
+    };
+
+    ["alternatives", "selection", "weights", "owner", "expires", "active"].forEach(function (property) {
+        if (value[property] !== undefined) {
+            copy[property] = value[property];
+        }
+    });
+
+    Object.keys(changes).forEach(function (property) {
+        copy[property] = changes[property];
+    });
+
+    return copy;
+};
+
+// The value of a reply after being set at a time, keeping what the
+// previous value had that setting doesn't change. Setting a reply that
+// expired learns it anew.
+// (Intent, String, Hostmask, %Reply{} | undefined, String) -> %Reply{}
+const setReply = function (intent, message, editor, previousValue, time) {
+    const isNew = !(previousValue && previousValue.message) || Boolean(previousValue.expires && previousValue.expires <= time);
+    const value = {
+        intent: intent,
+        message: message,
+        editor: editor,
+        time: time,
+        frozen: previousValue ? previousValue.frozen : false,
+        owner: isNew ? Permissions.ownerOf(editor) : previousValue.owner
+    };
+
+    if (!isNew && previousValue.expires) {
+        value.expires = previousValue.expires;
+    }
+
+    if (!isNew && previousValue.active) {
+        value.active = previousValue.active;
+    }
+
+    return value;
+};
+
+// (%Reply{}, RegExp, String, Hostmask, String) -> Result<%Reply{}, "unchanged" | "no-message-left">
+const replaceInReply = function (description, regexp, replacement, editor, time) {
+    const old_message = description.message;
+    const new_message = old_message.replace(regexp, replacement);
+
+    if (old_message === new_message) {
+        return Fail("unchanged");
+    }
+
+    if (new_message === "") {
+        return Fail("no-message-left");
+    }
+
+    return Ok(copyReply(description, {
+        message: new_message,
+        editor: editor,
+        time: time
+    }));
+};
+
+// Weights need one non-negative number for each message.
+// (Any, [String]) -> Result<[Number], "bad-selection-weights">
+const validateWeights = function (weights, messages) {
+    if (!Array.isArray(weights) || weights.length !== messages.length || weights.some(function (weight) {
+        return typeof weight !== "number" || !(weight >= 0) || weight === Infinity;
+    })) {
+        return Fail("bad-selection-weights");
+    }
+
+    return Ok(weights);
+};
 
 // Binds the last `n` arguments of a function where `n` is the length of `args`.
 const bindr = function (fn, args) {
@@ -33,13 +229,27 @@ const bindr = function (fn, args) {
 
 module.exports = function (options) {
     const databaseLocation = options.databaseLocation;
-    const isEditorAdmin = options.isEditorAdmin;
+    const historyLocation = options.historyLocation;
     const maxAliasDepth = options.maxAliasDepth;
     const beforeUpdate = options.beforeUpdate;
-
-    if (typeof isEditorAdmin !== "function") {
-        throw new Error("isEditorAdmin property must be a function.");
-    }
+    // Optional. See pending-queue.js. When given, sets and replacements by
+    // editors who aren't trusted wait in the queue for an admin to approve.
+    const pendingQueue = options.pendingQueue;
+    // `true` for every namespace, or [Namespace] of the namespaces to moderate.
+    const moderatedNamespaces = options.moderatedNamespaces || true;
+    // Optional. See usage-stats.js.
+    const usageStats = options.usageStats;
+    // Optional. See audit-log.js. Without it, changes can't be undone.
+    const auditLog = options.auditLog;
+    // Optional. An EventEmitter to emit the events above on.
+    const events = options.events;
+    // () -> Number of milliseconds since the epoch.
+    const clock = options.now || Date.now;
+    // Time zone of the active times of replies. See times.js.
+    const timeZone = options.timeZone;
+    // Without a policy, only admins can change locked replies, and anybody
+    // can change the rest.
+    const permissions = options.permissions || Permissions({ isAdmin: options.isEditorAdmin });
 
     if (typeof maxAliasDepth !== "number" || maxAliasDepth === Infinity) {
         throw new Error("maxAliasDepth property must be a finite positive integer.");
@@ -49,26 +259,255 @@ module.exports = function (options) {
         throw new Error("beforeUpdate property must be a function.");
     }
 
-    const db = Dirty(databaseLocation);
+    // See storage/index.js. Defaults to Dirty DB files at the locations given.
+    const db = options.storage || Storage.create("dirty", {
+        location: databaseLocation,
+        historyLocation: historyLocation
+    });
+    // () -> String
+    const now = function () {
+        return new Date(clock()).toISOString();
+    };
 
-    // (String, Hostmask) -> Result<undefined | %Reply{}, "frozen">
-    const getPreviousKeyForEditing = function (key, editor) {
-        const previousValue = db.get(key);
+    // %Reply{} -> Boolean
+    const isExpired = function (value) {
+        return Boolean(value.expires) && Date.parse(value.expires) <= clock();
+    };
+
+    const keyIndex = KeyIndex();
+    const fuzzyIndex = FuzzyIndex();
+    // Map<Namespace, Map<Key, RegExp>>
+    var patternTriggers = Object.create(null);
+
+    // Only keys with a message can be found in text. Deleted and
+    // frozen-only keys are left out of the index, and so are keys with
+    // parameters, which need arguments that passive replies don't have.
+    const reindexKey = function (storageKey, value) {
+        const parsed = parseStorageKey(storageKey);
+        const key = parsed.key;
+        const namespace = parsed.namespace;
+        const hasMessage = Boolean(value && value.message);
+
+        if (!Patterns.isPatternKey(key)) {
+            if (hasMessage && Parameters.parse(key).arity === 0) {
+                keyIndex.add(key, namespace);
+            } else {
+                keyIndex.remove(key, namespace);
+            }
 
-        return new Promise(function (resolve, reject) {
-            // If there is no previous value, then
-            // it cannot be frozen, and thus is editable.
-            if (!previousValue) {
-                resolve(true)
-            // Otherwise, if the key is frozen, then only
-            // admins can edit the reply. If the key
-            // isn't frozen, it's editable by everybody.
+            if (hasMessage) {
+                fuzzyIndex.add(key, namespace);
             } else {
-                resolve(previousValue.frozen ? isEditorAdmin(editor) : true);
+                fuzzyIndex.remove(key, namespace);
             }
+
+            return;
+        }
+
+        if (!patternTriggers[namespace]) {
+            patternTriggers[namespace] = Object.create(null);
+        }
+
+        delete patternTriggers[namespace][key];
+
+        if (hasMessage) {
+            Patterns.compile(key).map(function (regexp) {
+                patternTriggers[namespace][key] = regexp;
+            });
+        }
+    };
+
+    db.onLoad(function () {
+        keyIndex.clear();
+        fuzzyIndex.clear();
+        patternTriggers = Object.create(null);
+        db.forEach(reindexKey);
+    });
+
+    // (StorageKey, %Reply{}, String) -> ()
+    const appendRevision = function (storageKey, value, action) {
+        db.appendRevision(storageKey, copyReply(value, {
+            action: action
+        }));
+    };
+
+    // (StorageKey, %Reply{}, String, %Reply{} | undefined) -> ()
+    const emitChange = function (storageKey, value, action, previousValue) {
+        if (!events) {
+            return;
+        }
+
+        const parsed = parseStorageKey(storageKey);
+        const change = {
+            key: parsed.key,
+            namespace: parsed.namespace,
+            action: action,
+            reply: value,
+            previous: previousValue
+        };
+
+        if (value.message) {
+            events.emit("replyLearned", change);
+        } else if (previousValue && previousValue.message) {
+            events.emit("replyForgotten", change);
+        }
+    };
+
+    // Records a change in the audit log.
+    // (StorageKey, %AuditEntry{} without id, key, or namespace) -> ()
+    const audit = function (storageKey, entry) {
+        if (!auditLog) {
+            return;
+        }
+
+        const parsed = parseStorageKey(storageKey);
+        entry.key = parsed.key;
+        entry.namespace = parsed.namespace;
+        auditLog.add(entry);
+    };
+
+    // Writes a changed reply, keeping the key index, history, and audit
+    // log up to date. `undoes` is the id of the audit entry being undone.
+    // (StorageKey, %Reply{}, String, %Reply{} | undefined, Number?) -> ()
+    const writeReply = function (storageKey, value, action, previousValue, undoes) {
+        if (db.revisionCount(storageKey) === 0 && previousValue && previousValue.time) {
+            appendRevision(storageKey, previousValue, "unknown");
+        }
+
+        const before = previousValue ? db.revisionCount(storageKey) : 0;
+
+        db.set(storageKey, value);
+        reindexKey(storageKey, value);
+        appendRevision(storageKey, value, action);
+        audit(storageKey, {
+            action: action,
+            editor: value.editor,
+            time: value.time,
+            revision: db.revisionCount(storageKey),
+            before: before,
+            undoes: undoes
+        });
+
+        if (usageStats) {
+            usageStats.edit(Permissions.ownerOf(value.editor));
+        }
+
+        emitChange(storageKey, value, action, previousValue);
+    };
+
+    // Locks or unlocks a reply, recording who did it in the audit log.
+    // (StorageKey, %Reply{} | undefined, Boolean, Hostmask, Number?) -> ()
+    const setFrozen = function (storageKey, value, frozen, editor, undoes) {
+        db.set(storageKey, value ? copyReply(value, { frozen: frozen }) : { frozen: frozen });
+        audit(storageKey, {
+            action: frozen ? "lock" : "unlock",
+            editor: editor,
+            time: now(),
+            undoes: undoes
+        });
+    };
+
+    // Map<StorageKey, Number> of how many times a rotating reply was said.
+    const rotations = Object.create(null);
+
+    // (StorageKey, %Reply{}) -> String
+    const pickMessage = function (storageKey, value) {
+        const messages = messagesOf(value);
+
+        if (messages.length === 1) {
+            return messages[0];
+        }
+
+        switch (value.selection) {
+            case "rotate":
+                const position = (rotations[storageKey] || 0) % messages.length;
+                rotations[storageKey] = position + 1;
+                return messages[position];
+            case "weighted":
+                const weights = messages.map(function (message, ix) {
+                    return value.weights && value.weights[ix] !== undefined ? value.weights[ix] : 1;
+                });
+                var roll = Math.random() * weights.reduce(function (sum, weight) { return sum + weight; }, 0);
+
+                for (var ix = 0; ix < messages.length; ix++) {
+                    roll -= weights[ix];
+
+                    if (roll < 0) {
+                        return messages[ix];
+                    }
+                }
+
+                return messages[messages.length - 1];
+            default:
+                return messages[Math.floor(Math.random() * messages.length)];
+        }
+    };
+
+    // StorageKey -> [%Revision{}]
+    const revisionsOf = function (storageKey) {
+        const revisions = [];
+
+        for (var revision = 1; revision <= db.revisionCount(storageKey); revision++) {
+            revisions.push(db.getRevision(storageKey, revision));
+        }
+
+        return revisions;
+    };
+
+    // Checks with the permissions policy that the editor may do the
+    // actions to the reply at the key, and gives the reply's current value.
+    // The actions are either a list, or a function of the current value
+    // that gives the list. See permissions.js for the failure reasons.
+    // (StorageKey, Hostmask, [Action] | (%Reply{} | undefined -> [Action])) -> Promise<Result<undefined | %Reply{}, String>>
+    const authorize = function (key, editor, actions) {
+        const previousValue = db.get(key);
+
+        return permissions.check({
+            actions: typeof actions === "function" ? actions(previousValue) : actions,
+            editor: editor,
+            namespace: parseStorageKey(key).namespace,
+            reply: previousValue
+        })
+        .then(bindr(Result.map, function () {
+            return previousValue;
+        }));
+    };
+
+    // %Reply{} | undefined -> "edit" | "learn"
+    const editOrLearn = function (value) {
+        return value && value.message && !isExpired(value) ? "edit" : "learn";
+    };
+
+    // (Hostmask, Namespace) -> Promise<Boolean>
+    const needsApproval = function (editor, namespace) {
+        if (!pendingQueue || (moderatedNamespaces !== true && moderatedNamespaces.indexOf(namespace) === -1)) {
+            return Promise.resolve(false);
+        }
+
+        return permissions.isTrusted(editor, namespace)
+        .then(function (isTrusted) {
+            return !isTrusted;
+        });
+    };
+
+    // Writes the reply, unless the editor's changes need approval, in
+    // which case the pending change is queued instead, and the value
+    // is given with the change's id as its `pending` property.
+    // (StorageKey, %Reply{}, String, %Reply{} | undefined, %Pending{} | undefined) -> Promise<Result<%Reply{}, String>>
+    const writeOrQueue = function (storageKey, value, action, previousValue, pending) {
+        return Promise.try(function () {
+            return pending ? needsApproval(value.editor, parseStorageKey(storageKey).namespace) : false;
         })
-        .then(function (ifCanEdit) {
-            return ifCanEdit ? Ok(previousValue) : Fail("frozen");
+        .then(function (needsApproval) {
+            if (needsApproval) {
+                pending.editor = value.editor;
+                pending.time = value.time;
+                value.pending = pendingQueue.add(pending);
+            } else {
+                writeReply(storageKey, value, action, previousValue);
+            }
+
+            return Ok(value);
         });
     };
 
@@ -84,149 +523,1424 @@ module.exports = function (options) {
         return key.indexOf("@") === -1 ? Ok() : Fail("at-symbol-in-key");
     };
 
-    return {
-        // String -> %Tennu.Message{}
-        get: function get (key) {
-            function getRecursively(key, aliasDepth) {
-                if (aliasDepth == maxAliasDepth) {
-                    return Fail("max-alias-depth-reached");
+    const validatePatternKey = function (key) {
+        return Patterns.isPatternKey(key) ? Patterns.compile(key) : Ok();
+    };
+
+    // Changes an existing reply. `change` is given the current value
+    // and returns the Result of what the new value should be. With a
+    // pending change, the change may be queued for approval instead.
+    // (StorageKey, Hostmask, String, %Reply{} -> Result<%Reply{}, String>, %Pending{}?) -> Result<%Reply{}, String>
+    const editReply = function (storageKey, editor, action, change, pending) {
+        var previousValue;
+
+        return authorize(storageKey, editor, ["edit"])
+        .then(bindr(Result.andThen, editOnlyWhenPreviousKeyExists))
+        .then(bindr(Result.andThen, function (description) {
+            previousValue = description;
+            return change(description);
+        }))
+        .then(bindr(Result.andThen, beforeUpdate))
+        .then(bindr(Result.andThen, function (value) {
+            return writeOrQueue(storageKey, value, action, previousValue, pending);
+        }));
+    };
+
+    // Restores a reply to how it was at a revision, as a new revision
+    // written as the action. Restoring a revision where the reply was
+    // deleted, or no revision at all, deletes it. Whether the reply is
+    // frozen is left as it is.
+    // (StorageKey, %Revision{} | undefined, Hostmask, String, Number?) -> Promise<Result<%Reply{}, String>>
+    const restore = function (key, target, editor, action, undoes) {
+        return authorize(key, editor, function (previousValue) {
+            if (!target || !target.message) {
+                return ["forget"];
+            }
+
+            const actions = [editOrLearn(previousValue)];
+            return target.intent === "alias" ? actions.concat(["alias"]) : actions;
+        })
+        .then(bindr(Result.andThen, function (previousValue) {
+            const frozen = previousValue ? previousValue.frozen : false;
+
+            if (!target || !target.message) {
+                return editOnlyWhenPreviousKeyExists(previousValue)
+                .map(function () {
+                    const value = { editor: editor, time: now(), frozen: frozen };
+                    writeReply(key, value, action, previousValue, undoes);
+                    return value;
+                });
+            }
+
+            const parsed = parseStorageKey(key);
+
+            return (target.intent === "alias" ? validateAlias(parsed.namespace, parsed.key, target.message) : Ok())
+            .andThen(function () {
+                return beforeUpdate(copyReply(target, {
+                    editor: editor,
+                    time: now(),
+                    frozen: frozen
+                }));
+            })
+            .map(function (value) {
+                writeReply(key, value, action, previousValue, undoes);
+                return value;
+            });
+        }));
+    };
+
+    // Replies that an import has checked but not written yet, so that the
+    // aliases it imports are checked against the replies imported with them.
+    // Map<StorageKey, %Reply{}>
+    var staged = Object.create(null);
+
+    // StorageKey -> %Reply{} | undefined
+    const read = function (key) {
+        return key in staged ? staged[key] : db.get(key);
+    };
+
+    // ((StorageKey, %Reply{}) -> ()) -> ()
+    const forEachReply = function (fn) {
+        db.forEach(function (key, value) {
+            if (!(key in staged)) {
+                fn(key, value);
+            }
+        });
+
+        Object.keys(staged).forEach(function (key) {
+            fn(key, staged[key]);
+        });
+    };
+
+    // Looking up a key checks its namespace and then the global namespace.
+    // Namespace -> [Namespace]
+    const lookupNamespaces = function (namespace) {
+        return namespace === GLOBAL ? [GLOBAL] : [namespace, GLOBAL];
+    };
+
+    // Finds the reply a key refers to from a namespace, without following aliases.
+    // (Namespace, String) -> {storageKey: StorageKey, value: %Reply{}} | undefined
+    const lookupFrom = function (namespace, key) {
+        const namespaces = lookupNamespaces(namespace);
+
+        for (var ix = 0; ix < namespaces.length; ix++) {
+            const foundKey = storageKey(normalizeKey(key), namespaces[ix]);
+            const value = read(foundKey);
+
+            if (value && value.message && !isExpired(value)) {
+                return { storageKey: foundKey, value: value };
+            }
+        }
+    };
+
+    // Follows the aliases from a key, the same way that looking it up does.
+    //
+    // %Resolution{
+    //   chain: [String] of the keys followed, starting with the key itself.
+    //   found: The {storageKey, value} the chain ends at, unless it fails.
+    //   failure: "no-reply" or "max-alias-depth-reached" if the chain
+    //            doesn't end at a reply that isn't an alias.
+    // }
+    //
+    // (Namespace, String) -> %Resolution{}
+    const resolveFrom = function (namespace, key) {
+        const resolution = { chain: [normalizeKey(key)] };
+        var found = lookupFrom(namespace, key);
+
+        while (found && found.value.intent === "alias") {
+            // One alias more than validateAlias lets be made in a row.
+            if (resolution.chain.length >= maxAliasDepth) {
+                resolution.failure = "max-alias-depth-reached";
+                return resolution;
+            }
+
+            resolution.chain.push(normalizeKey(found.value.message));
+            found = lookupFrom(namespace, found.value.message);
+        }
+
+        if (!found) {
+            resolution.failure = "no-reply";
+        } else {
+            resolution.found = found;
+        }
+
+        return resolution;
+    };
+
+    // The aliases that refer to a key as looked up from a namespace. If
+    // the key doesn't exist, these are the aliases left dangling by it.
+    // (Namespace, String) -> [{key: String, namespace: Namespace}]
+    const aliasesOf = function (namespace, key) {
+        key = normalizeKey(key);
+        const target = lookupFrom(namespace, key);
+        const aliases = [];
+
+        forEachReply(function (aliasKey, value) {
+            if (!value || value.intent !== "alias" || !value.message || normalizeKey(value.message) !== key) {
+                return;
+            }
+
+            const alias = parseStorageKey(aliasKey);
+            const theirs = lookupFrom(alias.namespace, key);
+            const refersToKey = target
+                ? Boolean(theirs) && theirs.storageKey === target.storageKey
+                : !theirs && (namespace === GLOBAL || alias.namespace === namespace);
+
+            if (refersToKey) {
+                aliases.push(alias);
+            }
+        });
+
+        return aliases.sort(function (lhs, rhs) {
+            return lhs.namespace + "@" + lhs.key < rhs.namespace + "@" + rhs.key ? -1 : 1;
+        });
+    };
+
+    // The most aliases in a row that lead to the key.
+    // (Namespace, String, [StorageKey]?) -> Number
+    const aliasDepthTo = function (namespace, key, visited) {
+        visited = visited || [storageKey(normalizeKey(key), namespace)];
+
+        return aliasesOf(namespace, key).reduce(function (depth, alias) {
+            const aliasKey = storageKey(alias.key, alias.namespace);
+
+            if (visited.indexOf(aliasKey) !== -1) {
+                return depth;
+            }
+
+            return Math.max(depth, 1 + aliasDepthTo(alias.namespace, alias.key, visited.concat([aliasKey])));
+        }, 0);
+    };
+
+    // Checks that making the key an alias of the target would not make
+    // a loop, alias a missing reply, or make too many aliases in a row.
+    // (Namespace, String, String) -> Result<(), "alias-cycle" | "alias-target-missing" | "alias-too-deep">
+    const validateAlias = function (namespace, key, target) {
+        key = normalizeKey(key);
+        const resolution = resolveFrom(namespace, target);
+
+        // Once the key is an alias, looking it up from here finds it first.
+        if (resolution.chain.indexOf(key) !== -1) {
+            return Fail("alias-cycle");
+        }
+
+        if (resolution.failure === "no-reply") {
+            return Fail("alias-target-missing");
+        }
+
+        // Counting the alias from the key to the target.
+        const depth = aliasDepthTo(namespace, key) + resolution.chain.length;
+
+        if (resolution.failure || depth >= maxAliasDepth) {
+            return Fail("alias-too-deep");
+        }
+
+        return Ok();
+    };
+
+    // Namespace -> Replies
+    const namespaced = function (namespace) {
+        const namespaces = lookupNamespaces(namespace);
+
+        // String -> {storageKey: StorageKey, value: %Reply{}} | undefined
+        const lookup = function (key) {
+            return lookupFrom(namespace, key);
+        };
+
+        // String -> Result<%Tennu.Message{}, String>
+        const get = function get (key) {
+            const resolution = resolveFrom(namespace, key);
+
+            if (resolution.failure) {
+                return Fail(resolution.failure);
+            }
+
+            return Ok({
+                intent: resolution.found.value.intent,
+                message: pickMessage(resolution.found.storageKey, resolution.found.value)
+            });
+        };
+
+        // Every reply that can be looked up from this namespace, sorted
+        // by key. Replies in this namespace hide global ones of the same key.
+        // () -> [%Entry{}]
+        const visibleEntries = function () {
+            const seen = Object.create(null);
+
+            return entries().filter(function (entry) {
+                if (!entry.message || isExpired(entry) || namespaces.indexOf(entry.namespace) === -1 || seen[entry.key]) {
+                    return false;
                 }
 
-                const value = db.get(key.toLowerCase());
+                seen[entry.key] = true;
+                return true;
+            }).sort(function (lhs, rhs) {
+                return lhs.key < rhs.key ? -1 : 1;
+            });
+        };
+
+        // String -> String
+        const toStorageKey = function (key) {
+            return storageKey(normalizeKey(key), namespace);
+        };
+
+        return {
+            namespace: namespace,
+
+            get: get,
+
+            // String? -> [String]
+            // The keys that can be looked up from this namespace, sorted,
+            // optionally only those starting with a prefix.
+            list: function (prefix) {
+                prefix = prefix ? normalizeKey(prefix) : "";
+
+                return visibleEntries().map(function (entry) {
+                    return entry.key;
+                }).filter(function (key) {
+                    return key.indexOf(prefix) === 0;
+                });
+            },
 
-                if (!value || !value.message) {
-                    return Fail("no-reply");
+            // String -> [%Entry{}]
+            // The replies that can be looked up from this namespace whose key
+            // or any message contains the text, case insensitively.
+            search: function (text) {
+                text = text.toLowerCase();
+
+                return visibleEntries().filter(function (entry) {
+                    return entry.key.toLowerCase().indexOf(text) !== -1 || messagesOf(entry).some(function (message) {
+                        return message.toLowerCase().indexOf(text) !== -1;
+                    });
+                });
+            },
+
+            // String -> Result<%Info{}, "dne">
+            //
+            // %Info{
+            //   ...%Entry{} of the reply the key refers to.
+            //   aliasChain: [String] of the keys followed to get to a reply that
+            //               isn't an alias, starting with the key itself.
+            //   aliasFailure: "no-reply" or "max-alias-depth-reached" if the
+            //                 chain doesn't end at a reply. Otherwise missing.
+            // }
+            info: function (key) {
+                const found = lookup(key);
+
+                if (!found) {
+                    return Fail("dne");
                 }
 
-                if (value.intent === "alias") {
-                    return getRecursively(value.message, aliasDepth + 1);
-                } else {
-                    return Ok({
+                const parsed = parseStorageKey(found.storageKey);
+                const resolution = resolveFrom(namespace, key);
+
+                return Ok(copyReply(found.value, {
+                    key: parsed.key,
+                    namespace: parsed.namespace,
+                    aliasChain: resolution.chain,
+                    aliasFailure: resolution.failure
+                }));
+            },
+
+            // String -> %Resolution{}
+            // See `resolveFrom`.
+            resolve: function (key) {
+                return resolveFrom(namespace, key);
+            },
+
+            // String -> [{key: String, namespace: Namespace}]
+            // The aliases of the key. If it doesn't exist, the aliases left dangling by it.
+            aliases: function (key) {
+                return aliasesOf(namespace, key);
+            },
+
+            // Makes every alias of the key an alias of another key instead.
+            // Each alias is changed as if the editor set it, so they can fail
+            // on their own.
+            // (String, String, Hostmask) -> Promise<%AliasChanges{}>
+            repointAliases: function (key, newKey, editor) {
+                return changeAliases(aliasesOf(namespace, key), function (aliasReplies, aliasKey) {
+                    return aliasReplies.set(aliasKey, { intent: "alias", message: newKey, editor: editor });
+                });
+            },
+
+            // Forgets every alias of the key.
+            // (String, Hostmask) -> Promise<%AliasChanges{}>
+            deleteAliases: function (key, editor) {
+                return changeAliases(aliasesOf(namespace, key), function (aliasReplies, aliasKey) {
+                    return aliasReplies.delete(aliasKey, editor);
+                });
+            },
+
+            // Moves a reply to a new key in this namespace, keeping its history,
+            // whether it's locked, and who last edited it when. With `redirect`,
+            // the old key is left as an alias of the new key. Otherwise it's
+            // forgotten, but stays locked if it was.
+            //
+            // Either all of that happens or none of it does. Then, the aliases
+            // of the old key are pointed at the new key, each as if the editor
+            // set it, so they can fail on their own. See `repointAliases`.
+            //
+            // (String, String, Hostmask, Boolean) -> Promise<Result<%Reply{} & %AliasChanges{}, String>>
+            rename: function (key, newKey, editor, redirect) {
+                key = normalizeKey(key);
+                newKey = normalizeKey(newKey);
+                const from = toStorageKey(key);
+                const to = toStorageKey(newKey);
+
+                return Promise.try(function () {
+                    return checkNewKeyIn(namespace, key, newKey);
+                })
+                .then(bindr(Result.andThen, function () {
+                    return authorize(from, editor, redirect ? ["forget", "alias"] : ["forget"]);
+                }))
+                .then(bindr(Result.andThen, editOnlyWhenPreviousKeyExists))
+                .then(bindr(Result.andThen, function (value) {
+                    return authorize(to, editor, ["learn"]).then(bindr(Result.map, function () {
+                        return value;
+                    }));
+                }))
+                .then(bindr(Result.andThen, function (value) {
+                    const aliases = aliasesOf(namespace, key);
+
+                    copyHistory(from, to, value);
+
+                    if (usageStats) {
+                        usageStats.move(from, to);
+                    }
+
+                    db.set(to, value);
+                    reindexKey(to, value);
+                    appendRevision(to, copyReply(value, { editor: editor, time: now() }), "rename");
+                    audit(to, {
+                        action: "rename",
+                        editor: editor,
+                        time: now(),
+                        revision: db.revisionCount(to),
+                        before: 0
+                    });
+                    emitChange(to, value, "rename", undefined);
+
+                    writeReply(from, redirect ? {
+                        intent: "alias",
+                        message: newKey,
+                        editor: editor,
+                        time: now(),
+                        frozen: value.frozen,
+                        owner: value.owner
+                    } : {
+                        editor: editor,
+                        time: now(),
+                        frozen: value.frozen
+                    }, "rename", value);
+
+                    return changeAliases(aliases, function (aliasReplies, aliasKey) {
+                        return aliasReplies.set(aliasKey, { intent: "alias", message: newKey, editor: editor });
+                    })
+                    .then(function (changes) {
+                        return Ok(copyReply(value, changes));
+                    });
+                }));
+            },
+
+            // Copies a reply to a new key in this namespace, along with its
+            // history. The copy is the editor's, and is not locked.
+            // (String, String, Hostmask) -> Promise<Result<%Reply{}, String>>
+            copy: function (key, newKey, editor) {
+                key = normalizeKey(key);
+                newKey = normalizeKey(newKey);
+                const from = toStorageKey(key);
+                const to = toStorageKey(newKey);
+                var original;
+
+                return Promise.try(function () {
+                    return checkNewKeyIn(namespace, key, newKey).and(editOnlyWhenPreviousKeyExists(db.get(from)));
+                })
+                .then(bindr(Result.andThen, function (value) {
+                    original = value;
+                    return authorize(to, editor, value.intent === "alias" ? ["learn", "alias"] : ["learn"]);
+                }))
+                .then(bindr(Result.andThen, function () {
+                    return beforeUpdate(copyReply(original, {
+                        editor: editor,
+                        time: now(),
+                        frozen: false,
+                        owner: Permissions.ownerOf(editor)
+                    }));
+                }))
+                .then(bindr(Result.map, function (value) {
+                    copyHistory(from, to, original);
+                    writeReply(to, value, "copy", undefined);
+                    return value;
+                }));
+            },
+
+            // (String, Number) -> [String]
+            // The keys that can be looked up from this namespace that are
+            // most similar to a key, most similar first. See fuzzy-index.js.
+            suggest: function (key, limit) {
+                return fuzzyIndex.suggest(key, namespaces, limit).map(function (suggestion) {
+                    return suggestion.key;
+                }).filter(function (key) {
+                    return Boolean(lookup(key));
+                });
+            },
+
+            // Counts the reply the key refers to being said, without following
+            // aliases, so that each alias is counted on its own.
+            // (String, "passive" | "command", Channel | undefined, Nickname) -> ()
+            recordHit: function (key, kind, channel, nickname) {
+                const found = lookup(key);
+
+                if (!found) {
+                    return;
+                }
+
+                if (usageStats) {
+                    usageStats.hit(found.storageKey, kind, channel);
+                }
+
+                if (events) {
+                    const parsed = parseStorageKey(found.storageKey);
+
+                    events.emit("replyTriggered", {
+                        key: parsed.key,
+                        namespace: parsed.namespace,
+                        kind: kind,
+                        channel: channel,
+                        nickname: nickname
+                    });
+                }
+            },
+
+            // String -> Result<%Usage{} & {key, namespace}, "dne">
+            // How often the reply the key refers to was said. See usage-stats.js.
+            usage: function (key) {
+                const found = lookup(key);
+
+                if (!found) {
+                    return Fail("dne");
+                }
+
+                const parsed = parseStorageKey(found.storageKey);
+                return Ok(usageOf(found.storageKey, parsed.key, parsed.namespace));
+            },
+
+            // Number -> [%Usage{} & {key, namespace}]
+            // The replies that can be looked up from this namespace that
+            // were said the most, most said first. Unsaid replies are left out.
+            top: function (count) {
+                return visibleEntries().map(function (entry) {
+                    return usageOf(storageKey(entry.key, entry.namespace), entry.key, entry.namespace);
+                }).filter(function (usage) {
+                    return usage.passive + usage.command !== 0;
+                }).sort(function (lhs, rhs) {
+                    return (rhs.passive + rhs.command) - (lhs.passive + lhs.command) || (lhs.key < rhs.key ? -1 : 1);
+                }).slice(0, count);
+            },
+
+            // Number -> [%Usage{} & {key, namespace}]
+            // The replies that can be looked up from this namespace that
+            // weren't said in the last `days` days, sorted by key.
+            unused: function (days) {
+                const since = clock() - days * 24 * 60 * 60 * 1000;
+
+                return visibleEntries().map(function (entry) {
+                    return usageOf(storageKey(entry.key, entry.namespace), entry.key, entry.namespace);
+                }).filter(function (usage) {
+                    return !usage.last || Date.parse(usage.last) < since;
+                });
+            },
+
+            // String -> [String]
+            // Finds the learned keys within some text, longest keys first.
+            find: function (text) {
+                return keyIndex.find(text, namespaces);
+            },
+
+            // String -> Result<%Tennu.Message{} & {key: String, args: [String]}, String>
+            // Gets the reply of the parameterized key whose base is the most
+            // words the text starts with, with the rest of the words as its
+            // arguments substituted into its message. When there are keys
+            // for different numbers of arguments, the one taking as many
+            // as were given is preferred. The response also says which key
+            // matched, and the arguments.
+            getWithArguments: function (text) {
+                const words = Parameters.splitArguments(text);
+                var arityFailure;
+
+                for (var length = words.length; length >= 1; length--) {
+                    const base = words.slice(0, length).join(" ");
+                    const args = words.slice(length);
+                    const keys = [];
+
+                    for (var arity = 1; arity <= Parameters.MAX_PARAMETERS; arity++) {
+                        if (lookup(Parameters.keyOf(base, arity))) {
+                            keys.push({ key: Parameters.keyOf(base, arity), arity: arity });
+                        }
+                    }
+
+                    // Exactly as many parameters as arguments, then more, then fewer.
+                    keys.sort(function (lhs, rhs) {
+                        return (lhs.arity < args.length) - (rhs.arity < args.length) || lhs.arity - rhs.arity;
+                    });
+
+                    for (var ix = 0; ix < keys.length; ix++) {
+                        const found = keys[ix];
+                        const result = get(found.key).andThen(function (response) {
+                            // Arguments are rendered as they were said.
+                            return Parameters.substitute(response.message, found.arity, args.map(Templates.escape))
+                            .map(function (message) {
+                                response.message = message;
+                                response.key = found.key;
+                                response.args = args;
+                                return response;
+                            });
+                        });
+
+                        if (result.isOk()) {
+                            return result;
+                        }
+
+                        if (result.fail() !== "missing-arguments" && result.fail() !== "too-many-arguments") {
+                            return result;
+                        }
+
+                        arityFailure = arityFailure || result;
+                    }
+                }
+
+                return arityFailure || Fail("no-reply");
+            },
+
+            // String -> Result<%Tennu.Message{} & {key: String}, String>
+            // Gets the reply of the first pattern trigger that matches the text,
+            // with the captures of the match substituted into its message.
+            // The response also says which key matched.
+            match: function (text) {
+                for (var nx = 0; nx < namespaces.length; nx++) {
+                    const triggers = patternTriggers[namespaces[nx]] || {};
+                    const keys = Object.keys(triggers);
+
+                    for (var ix = 0; ix < keys.length; ix++) {
+                        const captures = Patterns.exec(triggers[keys[ix]], text);
+
+                        if (captures) {
+                            return get(keys[ix]).map(function (response) {
+                                response.message = Patterns.substitute(response.message, Array.prototype.map.call(captures, function (capture) {
+                                    return capture === undefined ? capture : Templates.escape(capture);
+                                }));
+                                response.key = keys[ix];
+                                return response;
+                            });
+                        }
+                    }
+                }
+
+                return Fail("no-reply");
+            },
+
+            // String, %Reply{} -> Result<%Reply{}, String>
+            // The reply may be pending approval instead. See `writeOrQueue`.
+            set: function (key, value) {
+                var previousValue;
+                key = normalizeKey(key);
+
+                return Promise.try(function () {
+                    if (!(value.intent && value.message && value.editor)) {
+                        throw new Error("An intent, message, and editor are all needed to set a new reply.");
+                    }
+
+                    return Result.and(
+                        disallowAtCharacterInKey(key).and(validatePatternKey(key)),
+                        authorize(toStorageKey(key), value.editor, function (previousValue) {
+                            const actions = [editOrLearn(previousValue)];
+                            return value.intent === "alias" ? actions.concat(["alias"]) : actions;
+                        })
+                    );
+                })
+                .then(bindr(Result.andThen, function (previous) {
+                    previousValue = previous;
+                    return value.intent === "alias" ? validateAlias(namespace, key, value.message) : Ok();
+                }))
+                .then(bindr(Result.map, function () {
+                    return setReply(value.intent, value.message, value.editor, previousValue, now());
+                }))
+                .then(bindr(Result.andThen, beforeUpdate))
+                .then(bindr(Result.andThen, function (newValue) {
+                    return writeOrQueue(toStorageKey(key), newValue, "set", previousValue, {
+                        action: "set",
+                        key: key,
+                        namespace: namespace,
                         intent: value.intent,
                         message: value.message
                     });
+                }));
+            },
+
+            // String, Hostmask -> Result<(), String>
+            delete: function (key, editor) {
+                key = toStorageKey(key);
+
+                return authorize(key, editor, ["forget"])
+                .then(bindr(Result.andThen, editOnlyWhenPreviousKeyExists))
+                .then(bindr(Result.map, function (description) {
+                    writeReply(key, {
+                        editor: editor,
+                        time: now(),
+                        frozen: description.frozen
+                    }, "delete", description);
+                }));
+            },
+
+            // (String, RegExp, String, HostMask) -> Result<%Reply{}, String>
+            // Only the first message of a reply with alternatives is replaced in.
+            // The replacement may be pending approval instead. See `writeOrQueue`.
+            replace: function (key, regexp, replacement, editor) {
+                return editReply(toStorageKey(key), editor, "replace", function (description) {
+                    return replaceInReply(description, regexp, replacement, editor, now());
+                }, {
+                    action: "replace",
+                    key: normalizeKey(key),
+                    namespace: namespace,
+                    find: regexp.source,
+                    flags: regexp.flags,
+                    replacement: replacement
+                });
+            },
+
+            // String -> Result<[String], "dne">
+            // All of the messages of a reply, in order. Aliases are not followed.
+            messages: function (key) {
+                return editOnlyWhenPreviousKeyExists(db.get(toStorageKey(key))).map(messagesOf);
+            },
+
+            // (String, String, Hostmask) -> Result<%Reply{}, String>
+            addAlternative: function (key, message, editor) {
+                return editReply(toStorageKey(key), editor, "add-alternative", function (description) {
+                    if (description.intent === "alias") {
+                        return Fail("alias-alternative");
+                    }
+
+                    return Ok(copyReply(description, {
+                        alternatives: (description.alternatives || []).concat([message]),
+                        weights: description.weights && description.weights.concat([1]),
+                        editor: editor,
+                        time: now()
+                    }));
+                });
+            },
+
+            // Removes the message at the index, counting from 1.
+            // (String, Number, Hostmask) -> Result<%Reply{}, String>
+            removeAlternative: function (key, index, editor) {
+                return editReply(toStorageKey(key), editor, "remove-alternative", function (description) {
+                    const messages = messagesOf(description);
+
+                    if (!(index >= 1 && index <= messages.length)) {
+                        return Fail("no-alternative");
+                    }
+
+                    if (messages.length === 1) {
+                        return Fail("no-message-left");
+                    }
+
+                    messages.splice(index - 1, 1);
+                    const weights = description.weights && description.weights.slice();
+                    if (weights) {
+                        weights.splice(index - 1, 1);
+                    }
+
+                    return Ok(copyReply(description, {
+                        message: messages[0],
+                        alternatives: messages.slice(1),
+                        weights: weights,
+                        editor: editor,
+                        time: now()
+                    }));
+                });
+            },
+
+            // (String, String, [Number] | undefined, Hostmask) -> Result<%Reply{}, String>
+            setSelection: function (key, selection, weights, editor) {
+                return editReply(toStorageKey(key), editor, "selection", function (description) {
+                    if (SELECTION_MODES.indexOf(selection) === -1) {
+                        return Fail("bad-selection-mode");
+                    }
+
+                    return (weights ? validateWeights(weights, messagesOf(description)) : Ok(description.weights))
+                    .map(function (weights) {
+                        return copyReply(description, {
+                            selection: selection,
+                            weights: weights,
+                            editor: editor,
+                            time: now()
+                        });
+                    });
+                });
+            },
+
+            // Sets when a reply expires, or with no time, makes it never expire.
+            // Replies that expired can be given a new time to show them again.
+            // (String, Number | undefined, Hostmask) -> Result<%Reply{}, String>
+            setExpiry: function (key, time, editor) {
+                return editReply(toStorageKey(key), editor, "expiry", function (description) {
+                    if (time !== undefined && !(time > clock())) {
+                        return Fail("expiry-in-past");
+                    }
+
+                    return Ok(copyReply(description, {
+                        expires: time === undefined ? undefined : new Date(time).toISOString(),
+                        editor: editor,
+                        time: now()
+                    }));
+                });
+            },
+
+            // Sets when a reply can be said passively, or with no times, makes
+            // it always passive. See times.js.
+            // (String, %ActiveTimes{} | undefined, Hostmask) -> Result<%Reply{}, String>
+            setActiveTimes: function (key, active, editor) {
+                return editReply(toStorageKey(key), editor, "active-times", function (description) {
+                    return Ok(copyReply(description, {
+                        active: active,
+                        editor: editor,
+                        time: now()
+                    }));
+                });
+            },
+
+            // String -> Boolean
+            // Whether the reply the key refers to can be said passively now.
+            // Aliases are not followed, so each alias has its own times.
+            isActive: function (key) {
+                const found = lookup(key);
+                return !found || !found.value.active || Times.isActive(found.value.active, clock(), timeZone);
+            },
+
+            // String -> [%Revision{}]
+            // Oldest revision first.
+            history: function (key) {
+                return revisionsOf(toStorageKey(key));
+            },
+
+            // (String, Number, Hostmask) -> Result<%Reply{}, String>
+            //
+            // Restores the reply to how it was at the given revision, as a new
+            // revision. Reverting to a revision where the reply was deleted
+            // deletes it. Whether the reply is frozen is left as it is.
+            revert: function (key, revision, editor) {
+                key = toStorageKey(key);
+                const target = db.getRevision(key, revision);
+
+                if (!target) {
+                    return authorize(key, editor, ["forget"])
+                    .then(bindr(Result.andThen, function () {
+                        return Fail("no-revision");
+                    }));
                 }
+
+                return restore(key, target, editor, "revert");
+            },
+
+            // (String, Hostmask) -> Promise<Result<(), String>>
+            // Keys that don't exist can be locked so nobody can learn them.
+            freeze: function (key, editor) {
+                key = toStorageKey(key);
+
+                return authorize(key, editor, ["lock"])
+                .then(bindr(Result.map, function (value) {
+                    setFrozen(key, value, true, editor);
+                }));
+            },
+
+            // (String, Hostmask) -> Promise<Result<(), String>>
+            unfreeze: function (key, editor) {
+                key = toStorageKey(key);
+
+                return authorize(key, editor, ["lock"])
+                .then(bindr(Result.andThen, function (value) {
+                    if (!value) {
+                        return Fail("dne");
+                    }
+
+                    setFrozen(key, value, false, editor);
+                    return Ok();
+                }));
+            }
+        };
+    };
+
+    // Usage of a reply, with every count there even if it was never said.
+    // (StorageKey, String, Namespace) -> %Usage{} & {key, namespace}
+    const usageOf = function (storedKey, key, namespace) {
+        const usage = (usageStats && usageStats.usage(storedKey)) || {};
+
+        return {
+            key: key,
+            namespace: namespace,
+            passive: usage.passive || 0,
+            command: usage.command || 0,
+            channels: usage.channels || {},
+            last: usage.last,
+            lastChannel: usage.lastChannel
+        };
+    };
+
+    // Every reply in every namespace, including frozen-only ones, as
+    // entries for formats.js. Deleted replies are left out.
+    // () -> [%Entry{}]
+    const entries = function () {
+        const entries = [];
+
+        db.forEach(function (key, value) {
+            if (!value.message && !value.frozen) {
+                return;
             }
 
-            return getRecursively(key, 0);
-        },
+            const parsed = parseStorageKey(key);
+            const entry = copyReply(value, {});
+            entry.key = parsed.key;
+            entry.namespace = parsed.namespace;
+            entries.push(entry);
+        });
+
+        return entries.sort(function (lhs, rhs) {
+            return lhs.namespace + "@" + lhs.key < rhs.namespace + "@" + rhs.key ? -1 : 1;
+        });
+    };
+
+    // Checks that a reply can be renamed or copied to a new key.
+    // The new key is taken if it has a reply or is locked.
+    // (Namespace, String, String) -> Result<(), String>
+    const checkNewKeyIn = function (namespace, key, newKey) {
+        if (key === newKey) {
+            return Fail("same-key");
+        }
+
+        const existing = db.get(storageKey(newKey, namespace));
+
+        if (existing && (existing.message || existing.frozen)) {
+            return Fail("exists");
+        }
+
+        return disallowAtCharacterInKey(newKey).and(validatePatternKey(newKey));
+    };
+
+    // Copies the revisions of a reply to another key. A reply from before
+    // history was kept gets its value recorded as an "unknown" revision.
+    // (StorageKey, StorageKey, %Reply{}) -> ()
+    const copyHistory = function (from, to, value) {
+        const revisions = revisionsOf(from);
 
-        // String, %Reply{} -> Result<%Reply{}, String>
-        set: function (key, value) {
-            key = key.toLowerCase();
+        if (revisions.length === 0 && value.time) {
+            appendRevision(to, value, "unknown");
+        }
+
+        revisions.forEach(function (revision) {
+            appendRevision(to, revision, revision.action);
+        });
+    };
 
-            return Promise.try(function () {
-                if (!(value.intent && value.message && value.editor)) {
-                    throw new Error("An intent, message, and editor are all needed to set a new reply.");
+    // Changes each of the aliases in turn, collecting which changes failed.
+    //
+    // %AliasChanges{
+    //   changed: [{key, namespace}] of the aliases changed.
+    //   failed: [{key, namespace, reason}] of the aliases that couldn't be.
+    // }
+    //
+    // ([{key, namespace}], (Replies, String) -> Promise<Result<Any, String>>) -> Promise<%AliasChanges{}>
+    const changeAliases = function (aliases, change) {
+        const changes = { changed: [], failed: [] };
+
+        return Promise.each(aliases, function (alias) {
+            return change(namespaced(alias.namespace), alias.key)
+            .then(function (result) {
+                if (result.isOk()) {
+                    changes.changed.push(alias);
+                } else {
+                    alias.reason = result.fail();
+                    changes.failed.push(alias);
                 }
+            });
+        })
+        .then(function () {
+            return changes;
+        });
+    };
 
-                return Result.and(
-                    disallowAtCharacterInKey(key),
-                    getPreviousKeyForEditing(key, value.editor)
-                );
-            })
-            .then(bindr(Result.map, function (previousValue) {
-                return {
-                    intent: value.intent,
-                    message: value.message,
-                    editor: value.editor,
-                    time: now(),
-                    frozen: previousValue ? previousValue.frozen : false
-                };
-            }))
-            .then(bindr(Result.andThen, beforeUpdate))
-            .then(bindr(Result.map, function (value) {
-                db.set(key, value);
+    // The object returned works with the global namespace.
+    // Use `replies.scope(channel)` to work with a channel's namespace.
+    const replies = namespaced(GLOBAL);
 
-                return value;
-            }));
-        },
+    // String -> Replies
+    replies.scope = function (channel) {
+        return channel ? namespaced(channel.toLowerCase()) : replies;
+    };
 
-        // String, Hostmask -> Result<(), String>
-        delete: function (key, editor) {
-            key = key.toLowerCase();
+    replies.entries = entries;
 
-            return getPreviousKeyForEditing(key, editor)
-            .then(bindr(Result.andThen, editOnlyWhenPreviousKeyExists))
-            .then(bindr(Result.map, function (description) {
-                db.set(key, {
-                    editor: editor,
-                    time: now(),
-                    frozen: description.frozen
+    // () -> [%Pending{}]
+    replies.pending = function () {
+        return pendingQueue ? pendingQueue.list() : [];
+    };
+
+    // Makes a pending change, as if its editor had made it just now.
+    // Replacements are done on the reply as it is now.
+    // Number -> Promise<Result<%Pending{} & {value: %Reply{}}, String>>
+    replies.approve = function (id) {
+        const pending = pendingQueue && pendingQueue.get(id);
+
+        if (!pending) {
+            return Promise.resolve(Fail("no-pending"));
+        }
+
+        const key = storageKey(pending.key, pending.namespace);
+
+        // The reply may have been changed, such as by being locked, since
+        // the change was queued, so whether the editor may make it is
+        // checked again.
+        return authorize(key, pending.editor, function (previousValue) {
+            if (pending.action !== "set") {
+                return ["edit"];
+            }
+
+            const actions = [editOrLearn(previousValue)];
+            return pending.intent === "alias" ? actions.concat(["alias"]) : actions;
+        })
+        .then(bindr(Result.andThen, function (previousValue) {
+            const value = pending.action === "set"
+                ? (pending.intent === "alias" ? validateAlias(pending.namespace, pending.key, pending.message) : Ok())
+                .map(function () {
+                    return setReply(pending.intent, pending.message, pending.editor, previousValue, now());
+                })
+                : editOnlyWhenPreviousKeyExists(previousValue)
+                .andThen(function (description) {
+                    return replaceInReply(description, new RegExp(pending.find, pending.flags), pending.replacement, pending.editor, now());
                 });
-            }));
-        },
 
-        // (String, RegExp, String, HostMask) -> Result<(), String>
-        replace: function (key, regexp, replacement, editor) {
-            key = key.toLowerCase();
+            return value
+            .andThen(beforeUpdate)
+            .map(function (value) {
+                pendingQueue.remove(id);
+                writeReply(key, value, pending.action, previousValue);
+                pending.value = value;
+                return pending;
+            });
+        }));
+    };
+
+    // Number -> Result<%Pending{}, "no-pending">
+    replies.reject = function (id) {
+        const pending = pendingQueue && pendingQueue.get(id);
+
+        if (!pending) {
+            return Fail("no-pending");
+        }
+
+        pendingQueue.remove(id);
+        return Ok(pending);
+    };
+
+    // () -> [{editor: HostmaskPattern, edits: Number}]
+    // Everybody who changed replies, by how many changes they made, most first.
+    replies.editors = function () {
+        const edits = usageStats ? usageStats.edits() : {};
+
+        return Object.keys(edits).map(function (editor) {
+            return { editor: editor, edits: edits[editor] };
+        }).sort(function (lhs, rhs) {
+            return rhs.edits - lhs.edits || (lhs.editor < rhs.editor ? -1 : 1);
+        });
+    };
+
+    // String? -> [%AuditEntry{}]
+    // The audit log, newest first. Given a hostmask pattern, only the
+    // changes by editors matching it. Given anything else, only the
+    // changes to that key, or by that nickname.
+    replies.log = function (query) {
+        if (!auditLog) {
+            return [];
+        }
+
+        const isHostmask = Boolean(query) && query.indexOf("!") !== -1 && query.indexOf("@") !== -1;
+        const key = query && normalizeKey(query);
+        const nickname = query && query.toLowerCase();
+
+        return auditLog.find(function (entry) {
+            if (!query) {
+                return true;
+            }
+
+            if (isHostmask) {
+                return Permissions.hostmaskMatches(query, entry.editor);
+            }
+
+            return entry.key === key || Permissions.nicknameOf(entry.editor).toLowerCase() === nickname;
+        });
+    };
+
+    // Hostmask -> %AuditEntry{} | undefined
+    // The most recent change by the editor that wasn't undone. Undoing a
+    // change doesn't count as a change. Changes are matched by the whole
+    // hostmask, since people behind the same gateway or cloak share the
+    // rest of it.
+    replies.lastChangeBy = function (editor) {
+        editor = editor.toLowerCase();
+        const undone = Object.create(null);
+        const entries = auditLog ? auditLog.find(function (entry) {
+            return entry.editor.toLowerCase() === editor;
+        }) : [];
+
+        for (var ix = 0; ix < entries.length; ix++) {
+            if (entries[ix].undoes) {
+                undone[entries[ix].undoes] = true;
+            } else if (!undone[entries[ix].id]) {
+                return entries[ix];
+            }
+        }
+    };
+
+    // Whether a reply was changed since an audit entry's change. Changes
+    // that were undone since don't count, so that undoing one change after
+    // another works.
+    // %AuditEntry{} -> Boolean
+    const changedSince = function (entry) {
+        // Map<Number, Boolean> of the ids of later changes not undone.
+        const changes = Object.create(null);
+        const later = auditLog.find(function (other) {
+            return other.id > entry.id && other.revision && other.key === entry.key && other.namespace === entry.namespace;
+        }).reverse();
+
+        for (var ix = 0; ix < later.length; ix++) {
+            if (!later[ix].undoes) {
+                changes[later[ix].id] = true;
+            } else if (changes[later[ix].undoes]) {
+                delete changes[later[ix].undoes];
+            } else {
+                return true;
+            }
+        }
 
-            return getPreviousKeyForEditing(key, editor)
-            .then(bindr(Result.andThen, editOnlyWhenPreviousKeyExists))
-            .then(bindr(Result.andThen, function (description) {
-                const old_message = description.message;
-                const new_message = old_message.replace(regexp, replacement);
+        return Object.keys(changes).length !== 0;
+    };
+
+    // Undoes the change of an audit entry, as the editor, as long as the
+    // reply wasn't changed since. Renames change several replies at once,
+    // so they can't be undone this way.
+    // (Number, Hostmask) -> Promise<Result<%AuditEntry{}, String>>
+    replies.undo = function (id, editor) {
+        const entry = auditLog && auditLog.get(id);
+
+        return Promise.try(function () {
+            if (!entry) {
+                return Fail("no-change");
+            }
+
+            if (entry.action === "rename") {
+                return Fail("cannot-undo");
+            }
+
+            const key = storageKey(entry.key, entry.namespace);
+            const value = db.get(key);
 
-                if (old_message === new_message) {
-                    return Fail("unchanged");
+            if (entry.action === "lock" || entry.action === "unlock") {
+                const frozen = entry.action === "lock";
+
+                if (!value || Boolean(value.frozen) !== frozen) {
+                    return Fail("changed-since");
                 }
 
-                if (new_message === "") {
-                    return Fail("no-message-left");
+                return authorize(key, editor, ["lock"])
+                .then(bindr(Result.map, function (value) {
+                    setFrozen(key, value, !frozen, editor, id);
+                }));
+            }
+
+            if (changedSince(entry)) {
+                return Fail("changed-since");
+            }
+
+            return restore(key, entry.before ? db.getRevision(key, entry.before) : undefined, editor, "undo", id);
+        })
+        .then(bindr(Result.map, function () {
+            return entry;
+        }));
+    };
+
+    // Undoes every change made by editors matching a hostmask pattern
+    // between two times, such as to clean up after vandalism. Each reply
+    // they changed is restored, as the editor, to how it was before their
+    // first change in that time. Replies that anybody else changed after
+    // them are left alone. Locking and unlocking are not undone.
+    //
+    // %BulkRevert{
+    //   reverted: [{key, namespace}] of the replies restored.
+    //   skipped: [{key, namespace, reason}] of the replies that weren't.
+    // }
+    //
+    // (HostmaskPattern, Number, Number, Hostmask) -> Promise<%BulkRevert{}>
+    replies.revertBy = function (pattern, since, until, editor) {
+        const summary = { reverted: [], skipped: [] };
+        // Map<StorageKey, [%AuditEntry{}]> of the changes to each reply, newest first.
+        const changesTo = Object.create(null);
+
+        const matches = function (entry) {
+            return Permissions.hostmaskMatches(pattern, entry.editor);
+        };
+
+        (auditLog ? auditLog.find(function (entry) { return entry.revision; }) : []).forEach(function (entry) {
+            const key = storageKey(entry.key, entry.namespace);
+
+            if (!changesTo[key]) {
+                changesTo[key] = [];
+            }
+
+            changesTo[key].push(entry);
+        });
+
+        return Promise.each(Object.keys(changesTo).sort(), function (key) {
+            const changes = changesTo[key];
+            const parsed = parseStorageKey(key);
+            var firstIx = -1;
+
+            changes.forEach(function (entry, ix) {
+                const time = Date.parse(entry.time);
+
+                if (matches(entry) && time >= since && time <= until) {
+                    firstIx = ix;
                 }
+            });
 
-                description.message = new_message;
-                description.editor = editor;
-                description.time = now();
+            if (firstIx === -1) {
+                return;
+            }
 
-                return Ok(description);
-            }))
-            .then(bindr(Result.andThen, beforeUpdate))
-            .then(bindr(Result.map, function (value) {
-                db.set(key, value);
-                return value;
-            }));
-        },
+            const skip = function (reason) {
+                summary.skipped.push({ key: parsed.key, namespace: parsed.namespace, reason: reason });
+            };
 
-        // String -> Boolean
-        freeze: function (key) {
+            if (!changes.slice(0, firstIx).every(matches) || db.revisionCount(key) !== changes[0].revision) {
+                return skip("changed-since");
+            }
+
+            const before = changes[firstIx].before;
+
+            return restore(key, before ? db.getRevision(key, before) : undefined, editor, "revert")
+            .then(function (result) {
+                if (result.isOk()) {
+                    summary.reverted.push({ key: parsed.key, namespace: parsed.namespace });
+                } else {
+                    skip(result.fail());
+                }
+            });
+        })
+        .then(function () {
+            return summary;
+        });
+    };
+
+    // String -> Result<String, "bad-format-type">
+    replies.export = function (formatType) {
+        return Formats.serialize(formatType, entries());
+    };
+
+    // Imports replies in one of the formats of formats.js.
+    //
+    // Options:
+    //   editor:   Hostmask recorded as the editor and owner of imported replies.
+    //   conflict: What to do with replies that already exist.
+    //             "skip" (the default), "overwrite", or "rename", which
+    //             imports them as `key-2`, `key-3`, etc. instead. Aliases
+    //             being imported are pointed at the renamed key.
+    //   dryRun:   Only say what would be done.
+    //
+    // Frozen replies are never overwritten. Entries are checked the same
+    // way as replies set by commands, with aliases checked against the
+    // replies imported with them, and those that fail are left out and
+    // listed in `invalid`.
+    //
+    // (String, String, Object) -> Result<%ImportSummary{}, String>
+    replies.import = function (formatType, text, options) {
+        const conflict = options.conflict || "skip";
+        const summary = {
+            added: [],
+            overwritten: [],
+            // [[String, String]] of the key imported and what it was renamed to.
+            renamed: [],
+            skipped: [],
+            frozen: [],
+            // [[String, String]] of the key and the failure reason.
+            invalid: []
+        };
+        // Map<StorageKey, String> of keys renamed by this import.
+        const renames = Object.create(null);
+        // Map<StorageKey, Boolean> of keys written (or that would be) by this import.
+        const claimed = Object.create(null);
+        // [() -> ()] that write the imported replies. Nothing is written
+        // until every entry has been checked, so that an import that fails
+        // partway through doesn't leave half of it imported.
+        const writes = [];
+
+        const isTaken = function (key) {
             const value = db.get(key);
+            return claimed[key] || Boolean(value && (value.message || value.frozen));
+        };
+
+        // (%Entry{}, Namespace) -> %Entry{}
+        const repointAlias = function (entry, namespace) {
+            const target = normalizeKey(entry.message);
+            const renamed = renames[storageKey(target, namespace)] || renames[storageKey(target, GLOBAL)];
+
+            if (renamed) {
+                entry = copyReply(entry, { message: renamed });
+            }
+
+            return entry;
+        };
+
+        // %Entry{} -> ()
+        const importEntry = function (entry) {
+            const namespace = (entry.namespace || GLOBAL).toLowerCase();
+            var key = normalizeKey(entry.key);
+            var storedKey = storageKey(key, namespace);
+            const existing = db.get(storedKey);
+
+            const validity = disallowAtCharacterInKey(key)
+            .and(validatePatternKey(key))
+            .and(entry.message && INTENTS.indexOf(entry.intent) === -1 ? Fail("bad-import-intent") : Ok());
+
+            if (validity.isFail()) {
+                summary.invalid.push([entry.key, validity.fail()]);
+                return;
+            }
+
+            if (existing && existing.frozen) {
+                summary.frozen.push(key);
+                return;
+            }
+
+            if (!entry.message) {
+                // Frozen-only entries only matter when there's nothing there.
+                if (entry.frozen && !isTaken(storedKey)) {
+                    claimed[storedKey] = true;
+                    summary.added.push(key);
+
+                    staged[storedKey] = { frozen: true };
+
+                    writes.push(function () {
+                        setFrozen(storedKey, undefined, true, options.editor);
+                    });
+                }
 
-            if (!value) {
-                db.set(key, {
-                    frozen: true
-                });
                 return;
             }
 
-            db.set(key, {
-                intent: value.intent,
-                message: value.message,
-                editor: value.editor,
-                time: value.time,
-                frozen: true
+            var outcome = "added";
+
+            if (isTaken(storedKey)) {
+                if (conflict === "skip") {
+                    summary.skipped.push(key);
+                    return;
+                } else if (conflict === "overwrite") {
+                    outcome = "overwritten";
+                } else {
+                    var suffix = 2;
+                    while (isTaken(storageKey(key + "-" + suffix, namespace))) {
+                        suffix += 1;
+                    }
+
+                    renames[storedKey] = key + "-" + suffix;
+                    summary.renamed.push([key, key + "-" + suffix]);
+                    key = key + "-" + suffix;
+                    storedKey = storageKey(key, namespace);
+                    outcome = "renamed";
+                }
+            }
+
+            if (entry.intent === "alias") {
+                entry = repointAlias(entry, namespace);
+            }
+
+            const value = {
+                intent: entry.intent,
+                message: entry.message,
+                alternatives: entry.alternatives && entry.alternatives.length !== 0 ? entry.alternatives : undefined,
+                selection: entry.selection || undefined,
+                weights: entry.weights || undefined,
+                expires: typeof entry.expires === "string" && !isNaN(Date.parse(entry.expires)) ? new Date(entry.expires).toISOString() : undefined,
+                active: entry.active || undefined,
+                editor: options.editor,
+                time: now(),
+                owner: Permissions.ownerOf(options.editor),
+                frozen: Boolean(entry.frozen)
+            };
+
+            // Checked the same way as when the reply is set by a command.
+            const result = (value.selection && SELECTION_MODES.indexOf(value.selection) === -1 ? Fail("bad-selection-mode") : Ok())
+            .andThen(function () {
+                return value.weights ? validateWeights(value.weights, messagesOf(value)) : Ok();
+            })
+            .andThen(function () {
+                return value.active ? Times.validateActiveTimes(value.active) : Ok();
+            })
+            .andThen(function () {
+                return value.intent === "alias" ? validateAlias(namespace, key, value.message) : Ok();
+            })
+            .andThen(function () {
+                return beforeUpdate(value);
             });
 
-            return true;
-        },
+            if (result.isFail()) {
+                summary.invalid.push([entry.key, result.fail()]);
+                return;
+            }
 
-        // String -> Boolean
-        unfreeze: function (key) {
-            const value = db.get(key);
+            claimed[storedKey] = true;
+            staged[storedKey] = result.ok();
 
-            if (!value) {
-                return false;
+            if (outcome !== "renamed") {
+                summary[outcome].push(key);
             }
 
-            db.set(key, {
-                intent: value.intent,
-                message: value.message,
-                editor: value.editor,
-                time: value.time,
-                frozen: false
+            writes.push(function () {
+                writeReply(storedKey, result.ok(), "import", existing);
             });
+        };
 
-            return true;
-        }
+        return Promise.try(function () {
+            if (IMPORT_CONFLICT_POLICIES.indexOf(conflict) === -1) {
+                return Fail("bad-import-conflict");
+            }
+
+            if (!options.editor) {
+                throw new Error("An editor is needed to import replies.");
+            }
+
+            return Formats.parse(formatType, text);
+        })
+        .then(bindr(Result.map, function (entries) {
+            // Aliases go last, so they can follow the keys they alias being renamed.
+            try {
+                entries.filter(function (entry) { return entry.intent !== "alias"; }).forEach(importEntry);
+                entries.filter(function (entry) { return entry.intent === "alias"; }).forEach(importEntry);
+            } finally {
+                staged = Object.create(null);
+            }
+
+            if (!options.dryRun) {
+                writes.forEach(function (write) {
+                    write();
+                });
+            }
+
+            return summary;
+        }));
     };
-};
\ No newline at end of file
+
+    return replies;
+};
+
+module.exports.messagesOf = messagesOf;
+module.exports.INTENTS = INTENTS;
+module.exports.LINE_BREAK = LINE_BREAK;
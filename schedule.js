@@ -0,0 +1,152 @@
+/**
+ * Replies to say in channels at scheduled times, such as a reminder of
+ * a meeting every weekday.
+ *
+ * %Announcement{
+ *   id: Number, counting up from 1.
+ *   key: Key of the reply to say. It's looked up from the channel.
+ *   channel: Channel to say it in.
+ *   cron: When to say it, as a cron expression. See times.js.
+ *   editor: Full hostmask of who scheduled it.
+ *   time: Time it was scheduled.
+ *   lastRun: Time it was last said, if it has been.
+ * }
+ *
+ * Announcements are kept in a storage adapter (see storage/index.js) of
+ * their own, keyed by id, so that they survive restarts. When they were
+ * last said is kept too, so that restarting doesn't say them twice.
+ *
+ * Once started, the schedule checks for announcements that are due at
+ * the start of every minute. Announcements due while the bot wasn't
+ * running are not said late.
+ **/
+
+const Result = require('r-result');
+const Ok = Result.Ok;
+const Fail = Result.Fail;
+const Times = require('./times');
+
+const MINUTE = 60 * 1000;
+
+// Options:
+//   now:      () -> Number of milliseconds since the epoch.
+//   timeZone: Time zone of the cron expressions. See times.js.
+//   announce: %Announcement{} -> (), says an announcement that is due.
+module.exports = function (storage, options) {
+    const now = options.now || Date.now;
+    const timeZone = options.timeZone;
+    const announce = options.announce;
+    var nextId = 1;
+    var timer;
+
+    // Map<Number, %Cron{}>
+    const crons = Object.create(null);
+
+    storage.onLoad(function () {
+        storage.forEach(function (id, value) {
+            nextId = Math.max(nextId, Number(id) + 1);
+
+            if (value) {
+                Times.parseCron(value.cron).map(function (cron) {
+                    crons[id] = cron;
+                });
+            }
+        });
+    });
+
+    // () -> [%Announcement{}]
+    // Oldest first.
+    const list = function () {
+        const announcements = [];
+
+        storage.forEach(function (id, value) {
+            if (value) {
+                announcements.push(value);
+            }
+        });
+
+        return announcements.sort(function (lhs, rhs) {
+            return lhs.id - rhs.id;
+        });
+    };
+
+    // Says the announcements due in the current minute that weren't
+    // said yet.
+    // () -> ()
+    const tick = function () {
+        const minute = Math.floor(now() / MINUTE) * MINUTE;
+
+        list().forEach(function (announcement) {
+            const cron = crons[announcement.id];
+
+            if (!cron || !Times.cronMatches(cron, minute, timeZone)) {
+                return;
+            }
+
+            if (announcement.lastRun && Date.parse(announcement.lastRun) >= minute) {
+                return;
+            }
+
+            announcement.lastRun = new Date(minute).toISOString();
+            storage.set(String(announcement.id), announcement);
+            announce(announcement);
+        });
+    };
+
+    // Waits until the start of the next minute, then ticks.
+    const wait = function () {
+        timer = setTimeout(function () {
+            tick();
+            wait();
+        }, MINUTE - now() % MINUTE);
+
+        if (timer.unref) {
+            timer.unref();
+        }
+    };
+
+    return {
+        // (%Announcement{} without id or lastRun) -> Result<Number, "bad-cron">
+        add: function (announcement) {
+            return Times.parseCron(announcement.cron)
+            .map(function (cron) {
+                const id = nextId;
+                nextId += 1;
+
+                announcement.id = id;
+                crons[id] = cron;
+                storage.set(String(id), announcement);
+
+                return id;
+            });
+        },
+
+        // Number -> Result<%Announcement{}, "no-announcement">
+        remove: function (id) {
+            const announcement = storage.get(String(id));
+
+            if (!announcement) {
+                return Fail("no-announcement");
+            }
+
+            delete crons[id];
+            storage.delete(String(id));
+            return Ok(announcement);
+        },
+
+        list: list,
+        tick: tick,
+
+        // Starts checking for announcements every minute.
+        start: function () {
+            if (!timer) {
+                wait();
+            }
+        },
+
+        stop: function () {
+            clearTimeout(timer);
+            timer = undefined;
+        }
+    };
+};
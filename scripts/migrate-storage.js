@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/**
+ * Copies a replies database from one storage adapter to another.
+ *
+ *   node scripts/migrate-storage.js [--force] from-type from-location to-type to-location
+ *
+ * e.g. to move the Dirty database `replies.db` (and its history in
+ * `replies.db.history`) into a SQLite database:
+ *
+ *   node scripts/migrate-storage.js dirty replies.db sqlite replies.sqlite
+ *
+ * For Dirty databases, the history is expected to be at the location with
+ * `.history` appended, as it is when `replies-history-database` isn't set.
+ *
+ * The plugin keeps its moderation queue, usage counts, audit log and
+ * schedule in stores of their own, next to the replies database (see
+ * EXTRA_STORES). Those that exist are copied too, to the new location
+ * with the same ending. Stores configured to be somewhere else have to
+ * be copied on their own.
+ *
+ * The destinations must be empty, so that two databases aren't merged by
+ * accident. With `--force`, replies in the destination are overwritten
+ * by the ones being copied, and revisions are added after its own.
+ **/
+
+const fs = require('fs');
+const Storage = require('../storage');
+const format = require('util').format;
+
+// What the plugin appends to `replies-database` for the locations of its
+// other stores, when they aren't configured. See plugin.js.
+const EXTRA_STORES = [".pending", ".stats", ".audit", ".schedule"];
+
+// (String, String, String?) -> %Storage{}
+const open = function (type, location, historyLocation) {
+    return Storage.create(type, {
+        location: location,
+        historyLocation: historyLocation
+    });
+};
+
+const force = process.argv.indexOf("--force") !== -1;
+const args = process.argv.slice(2).filter(function (arg) {
+    return arg !== "--force";
+});
+
+if (args.length !== 4) {
+    console.error("Usage: migrate-storage.js [--force] from-type from-location to-type to-location");
+    console.error(format("Storage types: %s", Storage.types.join(", ")));
+    process.exit(1);
+}
+
+// [{name: String, from: %Storage{}, to: %Storage{}}]
+const stores = [{
+    name: args[3],
+    from: open(args[0], args[1], args[1] + ".history"),
+    to: open(args[2], args[3], args[3] + ".history")
+}].concat(EXTRA_STORES.filter(function (ending) {
+    // Opening a store that isn't there would make an empty one.
+    return fs.existsSync(args[1] + ending);
+}).map(function (ending) {
+    return {
+        name: args[3] + ending,
+        from: open(args[0], args[1] + ending),
+        to: open(args[2], args[3] + ending)
+    };
+}));
+
+// Calls the function once every storage has loaded, or been flushed.
+// (String, [%Storage{}], () -> ()) -> ()
+const every = function (method, storages, fn) {
+    var waiting = storages.length;
+
+    storages.forEach(function (storage) {
+        storage[method](function () {
+            waiting -= 1;
+
+            if (waiting === 0) {
+                fn();
+            }
+        });
+    });
+};
+
+const storages = stores.reduce(function (storages, store) {
+    return storages.concat([store.from, store.to]);
+}, []);
+
+every("onLoad", storages, function () {
+    const full = stores.filter(function (store) {
+        return !Storage.isEmpty(store.to);
+    });
+
+    if (!force && full.length !== 0) {
+        full.forEach(function (store) {
+            console.error(format("%s already has something in it.", store.name));
+        });
+        console.error("Use --force to copy into them anyways.");
+        process.exit(1);
+    }
+
+    stores.forEach(function (store) {
+        const counts = Storage.copy(store.from, store.to);
+        console.log(format("Copied %s entries and %s revisions into %s.", counts.replies, counts.revisions, store.name));
+    });
+
+    every("flush", stores.map(function (store) { return store.to; }), function () {
+        process.exit(0);
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * Dirty DB is an append only database that emulates a JSON object.
+ *
+ * Replies are kept in the database at `location`, and revisions in the
+ * one at `historyLocation`, keyed by `<revision number>:<key>`.
+ * Without locations, the databases are only kept in memory.
+ **/
+
+const Dirty = require('dirty');
+
+// String -> {revision: Number, key: String}
+const parseHistoryKey = function (historyKey) {
+    const colonIx = historyKey.indexOf(":");
+
+    return {
+        revision: Number(historyKey.slice(0, colonIx)),
+        key: historyKey.slice(colonIx + 1)
+    };
+};
+
+module.exports = function (options) {
+    const db = Dirty(options.location);
+    const historyDb = Dirty(options.historyLocation);
+    // Map<Key, Number>
+    var revisionCounts = Object.create(null);
+    // Both databases load asynchronously, and are loaded when this is 0.
+    var loading = 2;
+    const onLoadFns = [];
+    // Writes are also asynchronous.
+    var pendingWrites = 0;
+    var onFlushFns = [];
+
+    const written = function () {
+        pendingWrites -= 1;
+
+        if (pendingWrites === 0) {
+            const fns = onFlushFns;
+            onFlushFns = [];
+            fns.forEach(function (fn) { fn(); });
+        }
+    };
+
+    // (Dirty, String, Any) -> ()
+    const write = function (database, key, value) {
+        pendingWrites += 1;
+        database.set(key, value, written);
+    };
+
+    const loaded = function () {
+        loading -= 1;
+
+        if (loading === 0) {
+            onLoadFns.forEach(function (fn) { fn(); });
+        }
+    };
+
+    db.on("load", loaded);
+
+    historyDb.on("load", function () {
+        revisionCounts = Object.create(null);
+        historyDb.forEach(function (historyKey) {
+            const parsed = parseHistoryKey(historyKey);
+            revisionCounts[parsed.key] = Math.max(revisionCounts[parsed.key] || 0, parsed.revision);
+        });
+
+        loaded();
+    });
+
+    return {
+        get: function (key) {
+            return db.get(key);
+        },
+
+        set: function (key, value) {
+            write(db, key, value);
+        },
+
+        delete: function (key) {
+            write(db, key, undefined);
+        },
+
+        forEach: function (fn) {
+            db.forEach(function (key, value) {
+                fn(key, value);
+            });
+        },
+
+        onLoad: function (fn) {
+            if (loading === 0) {
+                fn();
+            } else {
+                onLoadFns.push(fn);
+            }
+        },
+
+        appendRevision: function (key, revision) {
+            const number = (revisionCounts[key] || 0) + 1;
+            revisionCounts[key] = number;
+
+            revision.revision = number;
+            write(historyDb, number + ":" + key, revision);
+
+            return number;
+        },
+
+        getRevision: function (key, number) {
+            return historyDb.get(number + ":" + key);
+        },
+
+        revisionCount: function (key) {
+            return revisionCounts[key] || 0;
+        },
+
+        forEachRevision: function (fn) {
+            historyDb.forEach(function (historyKey, revision) {
+                fn(parseHistoryKey(historyKey).key, revision);
+            });
+        },
+
+        flush: function (fn) {
+            if (pendingWrites === 0) {
+                fn();
+            } else {
+                onFlushFns.push(fn);
+            }
+        }
+    };
+};
@@ -0,0 +1,102 @@
+/**
+ * Storage adapters hold the replies database and the history of each reply.
+ *
+ * Every adapter is a factory taking an options object and returning
+ *
+ * %Storage{
+ *   get: Key -> %Reply{} | undefined
+ *   set: (Key, %Reply{}) -> ()
+ *   delete: Key -> ()
+ *   forEach: ((Key, %Reply{}) -> ()) -> ()
+ *   onLoad: (() -> ()) -> ()
+ *     Calls the function once the stored replies can be read.
+ *
+ *   appendRevision: (Key, %Revision{}) -> Number
+ *     Stores the revision as the key's next revision, returning its number.
+ *   getRevision: (Key, Number) -> %Revision{} | undefined
+ *   revisionCount: Key -> Number
+ *   forEachRevision: ((Key, %Revision{}) -> ()) -> ()
+ *
+ *   flush: (() -> ()) -> ()
+ *     Calls the function once everything set so far has been saved.
+ * }
+ *
+ * Keys here are the keys replies.js stores replies under, with namespaces
+ * already applied. All of the functions are synchronous, since replies are
+ * looked up for every message the bot sees.
+ *
+ * The adapters are:
+ *
+ *   dirty:  Dirty DB files at `location` and `historyLocation`.
+ *   memory: Nothing is saved. Mostly useful for testing.
+ *   sqlite: A SQLite database at `location`. Needs `better-sqlite3`.
+ **/
+
+const adapters = {
+    dirty: function (options) { return require('./dirty')(options); },
+    memory: function (options) { return require('./memory')(options); },
+    sqlite: function (options) { return require('./sqlite')(options); }
+};
+
+// (String, Object) -> %Storage{}
+const create = function (type, options) {
+    if (!Object.prototype.hasOwnProperty.call(adapters, type)) {
+        throw new Error("Unknown replies storage type: " + type);
+    }
+
+    return adapters[type](options || {});
+};
+
+// Copies every reply and revision from one storage to another.
+// Deleted and frozen-only replies are copied as they are.
+// Both storages must already be loaded.
+// (%Storage{}, %Storage{}) -> {replies: Number, revisions: Number}
+const copy = function (from, to) {
+    const counts = { replies: 0, revisions: 0 };
+
+    from.forEach(function (key, value) {
+        to.set(key, value);
+        counts.replies += 1;
+    });
+
+    // Revisions are copied in order so that they keep their numbers.
+    const revisions = [];
+    from.forEachRevision(function (key, revision) {
+        revisions.push({ key: key, revision: revision });
+    });
+
+    revisions.sort(function (lhs, rhs) {
+        return lhs.revision.revision - rhs.revision.revision;
+    })
+    .forEach(function (entry) {
+        to.appendRevision(entry.key, entry.revision);
+        counts.revisions += 1;
+    });
+
+    return counts;
+};
+
+// Whether a storage has no replies or revisions. It must already be loaded.
+// %Storage{} -> Boolean
+const isEmpty = function (storage) {
+    var empty = true;
+
+    storage.forEach(function (key, value) {
+        if (value !== undefined) {
+            empty = false;
+        }
+    });
+
+    storage.forEachRevision(function () {
+        empty = false;
+    });
+
+    return empty;
+};
+
+module.exports = {
+    create: create,
+    copy: copy,
+    isEmpty: isEmpty,
+    types: Object.keys(adapters)
+};
@@ -0,0 +1,65 @@
+/**
+ * Keeps replies and revisions in memory only. Nothing survives a restart.
+ **/
+
+module.exports = function (options) {
+    // Map<Key, %Reply{}>
+    const replies = Object.create(null);
+    // Map<Key, [%Revision{}]>
+    const revisions = Object.create(null);
+
+    return {
+        get: function (key) {
+            return replies[key];
+        },
+
+        set: function (key, value) {
+            replies[key] = value;
+        },
+
+        delete: function (key) {
+            delete replies[key];
+        },
+
+        forEach: function (fn) {
+            Object.keys(replies).forEach(function (key) {
+                fn(key, replies[key]);
+            });
+        },
+
+        onLoad: function (fn) {
+            fn();
+        },
+
+        appendRevision: function (key, revision) {
+            if (!revisions[key]) {
+                revisions[key] = [];
+            }
+
+            revisions[key].push(revision);
+            revision.revision = revisions[key].length;
+
+            return revision.revision;
+        },
+
+        getRevision: function (key, number) {
+            return revisions[key] && revisions[key][number - 1];
+        },
+
+        revisionCount: function (key) {
+            return revisions[key] ? revisions[key].length : 0;
+        },
+
+        forEachRevision: function (fn) {
+            Object.keys(revisions).forEach(function (key) {
+                revisions[key].forEach(function (revision) {
+                    fn(key, revision);
+                });
+            });
+        },
+
+        flush: function (fn) {
+            fn();
+        }
+    };
+};
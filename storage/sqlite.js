@@ -0,0 +1,95 @@
+/**
+ * Keeps replies and revisions in a SQLite database at `location`.
+ *
+ * Values are stored as JSON, so the tables are simple:
+ *
+ *   replies (key, value)
+ *   revisions (key, revision, value)
+ *
+ * Revisions are kept in the same database as the replies, so unlike the
+ * Dirty adapter, `historyLocation` isn't used. That way a reply and its
+ * revisions are always moved, backed up, and restored together.
+ *
+ * This needs the `better-sqlite3` package, which is an optional dependency
+ * of this plugin since it has to be compiled.
+ **/
+
+module.exports = function (options) {
+    const Database = require('better-sqlite3');
+    const db = new Database(options.location || ":memory:");
+
+    db.exec([
+        "CREATE TABLE IF NOT EXISTS replies (key TEXT PRIMARY KEY, value TEXT NOT NULL);",
+        "CREATE TABLE IF NOT EXISTS revisions (",
+        "    key TEXT NOT NULL,",
+        "    revision INTEGER NOT NULL,",
+        "    value TEXT NOT NULL,",
+        "    PRIMARY KEY (key, revision)",
+        ");"
+    ].join("\n"));
+
+    const statements = {
+        get: db.prepare("SELECT value FROM replies WHERE key = ?"),
+        set: db.prepare("INSERT OR REPLACE INTO replies (key, value) VALUES (?, ?)"),
+        delete: db.prepare("DELETE FROM replies WHERE key = ?"),
+        all: db.prepare("SELECT key, value FROM replies"),
+        getRevision: db.prepare("SELECT value FROM revisions WHERE key = ? AND revision = ?"),
+        setRevision: db.prepare("INSERT INTO revisions (key, revision, value) VALUES (?, ?, ?)"),
+        revisionCount: db.prepare("SELECT COALESCE(MAX(revision), 0) AS count FROM revisions WHERE key = ?"),
+        allRevisions: db.prepare("SELECT key, value FROM revisions ORDER BY revision")
+    };
+
+    const revisionCount = function (key) {
+        return statements.revisionCount.get(key).count;
+    };
+
+    const appendRevision = db.transaction(function (key, revision) {
+        revision.revision = revisionCount(key) + 1;
+        statements.setRevision.run(key, revision.revision, JSON.stringify(revision));
+        return revision.revision;
+    });
+
+    return {
+        get: function (key) {
+            const row = statements.get.get(key);
+            return row ? JSON.parse(row.value) : undefined;
+        },
+
+        set: function (key, value) {
+            statements.set.run(key, JSON.stringify(value));
+        },
+
+        delete: function (key) {
+            statements.delete.run(key);
+        },
+
+        forEach: function (fn) {
+            statements.all.all().forEach(function (row) {
+                fn(row.key, JSON.parse(row.value));
+            });
+        },
+
+        onLoad: function (fn) {
+            fn();
+        },
+
+        appendRevision: appendRevision,
+
+        getRevision: function (key, number) {
+            const row = statements.getRevision.get(key, number);
+            return row ? JSON.parse(row.value) : undefined;
+        },
+
+        revisionCount: revisionCount,
+
+        forEachRevision: function (fn) {
+            statements.allRevisions.all().forEach(function (row) {
+                fn(row.key, JSON.parse(row.value));
+            });
+        },
+
+        flush: function (fn) {
+            fn();
+        }
+    };
+};
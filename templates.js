@@ -0,0 +1,181 @@
+/**
+ * Reply messages may contain placeholders that are filled in when the
+ * reply is said:
+ *
+ *   {nick}            Nickname of whoever triggered the reply.
+ *   {displayname}     Their display name, on Twitch, or else {nick}.
+ *   {channel}         Channel the reply is being said in.
+ *   {target}          The `@ nick` the reply is directed at, or {nick}.
+ *   {args}            Whatever was said after the key.
+ *   {date}            Today's date, as YYYY-MM-DD in UTC.
+ *   {random:a|b|c}    One of the options, picked at random.
+ *   {reply:other key} The message of another reply.
+ *   {lbrace}          A `{`.
+ *
+ * Braces that don't start a placeholder are left alone, so messages
+ * such as `function () {}` are not affected. Placeholders cannot be
+ * nested inside of each other.
+ *
+ * What people say, such as the arguments of parameterized replies, is
+ * escaped before it's put into a message, so that it can't add
+ * placeholders, such as including replies it shouldn't.
+ **/
+
+const Result = require('r-result');
+const Ok = Result.Ok;
+const Fail = Result.Fail;
+
+// Map<Name, Boolean> of whether the placeholder takes an argument.
+const placeholders = {
+    nick: false,
+    displayname: false,
+    channel: false,
+    target: false,
+    args: false,
+    date: false,
+    random: true,
+    reply: true,
+    lbrace: false
+};
+
+// String -> Result<[String | %Placeholder{name, argument}], String>
+const parse = function (message) {
+    const parts = [];
+    var text = "";
+    var ix = 0;
+
+    while (ix < message.length) {
+        const head = /^\{([a-z]+)([:}])/.exec(message.slice(ix));
+
+        if (!head || !Object.prototype.hasOwnProperty.call(placeholders, head[1])) {
+            text += message[ix];
+            ix += 1;
+            continue;
+        }
+
+        const name = head[1];
+        const closeIx = message.indexOf("}", ix);
+
+        if (closeIx === -1) {
+            return Fail("bad-template-unclosed");
+        }
+
+        const argument = head[2] === ":" ? message.slice(ix + name.length + 2, closeIx) : undefined;
+
+        if (placeholders[name] !== (argument !== undefined) || (argument !== undefined && (argument === "" || argument.indexOf("{") !== -1))) {
+            return Fail("bad-template-argument");
+        }
+
+        if (text) {
+            parts.push(text);
+            text = "";
+        }
+
+        parts.push({ name: name, argument: argument });
+        ix = closeIx + 1;
+    }
+
+    if (text) {
+        parts.push(text);
+    }
+
+    return Ok(parts);
+};
+
+// %Reply{} -> Result<%Reply{}, String>
+// For use as a beforeUpdate hook. Checks every message of the reply.
+const validate = function (reply) {
+    if (reply.intent === "alias") {
+        return Ok(reply);
+    }
+
+    return [reply.message].concat(reply.alternatives || []).reduce(function (result, message) {
+        return result.and(parse(message));
+    }, Ok()).map(function () {
+        return reply;
+    });
+};
+
+// Renders a message, filling in its placeholders.
+//
+// The context has the `nick`, `displayName`, `channel`, `target`, `args`, and `date`
+// to fill in, and a `lookup` function from keys to
+// Result<%Tennu.Message{}, String> for including other replies.
+//
+// Inclusion can only go `maxDepth` replies deep, and a reply that
+// includes itself, directly or not, is an error.
+//
+// (String, Object, Number, [String]?) -> Result<String, String>
+const render = function (message, context, maxDepth, including) {
+    including = including || [];
+
+    return parse(message).andThen(function (parts) {
+        var rendered = "";
+
+        for (var ix = 0; ix < parts.length; ix++) {
+            const part = parts[ix];
+
+            if (typeof part === "string") {
+                rendered += part;
+                continue;
+            }
+
+            const filled = fill(part, context, maxDepth, including);
+
+            if (filled.isFail()) {
+                return filled;
+            }
+
+            rendered += filled.ok();
+        }
+
+        return Ok(rendered);
+    });
+};
+
+// (%Placeholder{}, Object, Number, [String]) -> Result<String, String>
+const fill = function (placeholder, context, maxDepth, including) {
+    switch (placeholder.name) {
+        case "nick": return Ok(context.nick || "");
+        case "displayname": return Ok(context.displayName || context.nick || "");
+        case "channel": return Ok(context.channel || "");
+        case "target": return Ok(context.target || context.nick || "");
+        case "args": return Ok(context.args || "");
+        case "date": return Ok((context.date || new Date()).toISOString().slice(0, 10));
+        case "lbrace": return Ok("{");
+        case "random":
+            const options = placeholder.argument.split("|");
+            return Ok(options[Math.floor(Math.random() * options.length)]);
+        case "reply":
+            const key = placeholder.argument.trim().toLowerCase();
+
+            if (including.indexOf(key) !== -1) {
+                return Fail("template-include-cycle");
+            }
+
+            if (including.length >= maxDepth) {
+                return Fail("max-alias-depth-reached");
+            }
+
+            return context.lookup(key)
+            .mapFail(function (failureReason) {
+                return failureReason === "no-reply" ? "template-include-missing" : failureReason;
+            })
+            .andThen(function (response) {
+                return render(response.message, context, maxDepth, including.concat([key]));
+            });
+    }
+};
+
+// Makes text render as itself, by escaping the braces that could start placeholders.
+// String -> String
+const escape = function (text) {
+    return text.replace(/\{/g, "{lbrace}");
+};
+
+module.exports = {
+    escape: escape,
+    parse: parse,
+    validate: validate,
+    render: render
+};
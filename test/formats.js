@@ -0,0 +1,37 @@
+const assert = require("better-assert");
+const equal = require("deep-eql");
+
+const Formats = require("../formats");
+
+describe("Formats", function () {
+    const entries = [
+        { key: "pipes", namespace: "", intent: "say", message: "a | b", alternatives: ["ends in \\", "\\|", "x\\ny"] },
+        { key: "wave", namespace: "#channel", intent: "act", message: "waves |o|" }
+    ];
+
+    Formats.types.forEach(function (type) {
+        it("keeps messages with | and \\ in " + type, function () {
+            const text = Formats.serialize(type, entries).ok();
+            const parsed = Formats.parse(type, text).ok();
+
+            assert(equal(parsed.map(function (entry) {
+                return [entry.key, entry.namespace, entry.intent, entry.message, entry.alternatives || []];
+            }), entries.map(function (entry) {
+                return [entry.key, entry.namespace, entry.intent, entry.message, entry.alternatives || []];
+            })));
+        });
+    });
+
+    it("reads alternatives separated by | in factoids", function () {
+        const parsed = Formats.parse("factoid", "hi is <reply>hello|<reply>hey").ok();
+
+        assert(parsed[0].message === "hello");
+        assert(equal(parsed[0].alternatives, ["hey"]));
+    });
+
+    it("rejects JSON entries of the wrong types", function () {
+        assert(Formats.parse("json", JSON.stringify([{ key: "a", message: 5 }])).fail() === "bad-import-json");
+        assert(Formats.parse("json", JSON.stringify([{ key: "a", message: "b", alternatives: [1] }])).fail() === "bad-import-json");
+        assert(Formats.parse("json", JSON.stringify([null])).fail() === "bad-import-json");
+    });
+});
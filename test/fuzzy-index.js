@@ -0,0 +1,65 @@
+const assert = require("better-assert");
+const equal = require("deep-eql");
+
+const FuzzyIndex = require("../fuzzy-index");
+
+describe("FuzzyIndex", function () {
+    var index;
+
+    // (String, [Namespace]?, Number?) -> [String]
+    const suggest = function (key, namespaces, limit) {
+        return index.suggest(key, namespaces || [""], limit || 3).map(function (suggestion) {
+            return suggestion.key;
+        });
+    };
+
+    beforeEach(function () {
+        index = FuzzyIndex();
+        ["install", "uninstall", "rules", "python docs", "docs"].forEach(function (key) {
+            index.add(key, "");
+        });
+    });
+
+    it("suggests keys a typo away", function () {
+        assert(suggest("instal")[0] === "install");
+        assert(suggest("insatll")[0] === "install");
+        assert(equal(suggest("rulse"), ["rules"]));
+    });
+
+    it("suggests keys the key is the start of, and keys sharing words", function () {
+        assert(suggest("uninst").indexOf("uninstall") !== -1);
+        assert(suggest("docs for python")[0] === "python docs");
+    });
+
+    it("doesn't suggest dissimilar keys, or the key itself", function () {
+        assert(equal(suggest("weather"), []));
+        assert(suggest("rules").indexOf("rules") === -1);
+    });
+
+    it("gives the most similar keys first, up to the limit", function () {
+        const suggestions = index.suggest("instal", [""], 1);
+
+        assert(suggestions.length === 1);
+        assert(suggestions[0].key === "install");
+        assert(suggestions[0].similarity >= 0.6 && suggestions[0].similarity < 1);
+    });
+
+    it("only suggests keys in the namespaces asked for", function () {
+        index.add("channel rules", "#chan");
+
+        assert(suggest("channel rule", ["#other", ""]).indexOf("channel rules") === -1);
+        assert(suggest("channel rule", ["#chan", ""]).indexOf("channel rules") !== -1);
+    });
+
+    it("forgets keys once they're removed from every namespace", function () {
+        index.add("rules", "#chan");
+        index.remove("rules", "");
+        assert(equal(suggest("rulse", ["#chan"]), ["rules"]));
+
+        index.remove("rules", "#chan");
+        assert(equal(suggest("rulse", ["#chan", ""]), []));
+
+        index.clear();
+        assert(equal(suggest("instal"), []));
+    });
+});
@@ -0,0 +1,109 @@
+// A Tennu client that records what the plugin says, for tests.
+
+const Plugin = require("../../plugin");
+
+// The admin plugin, where hostmasks containing "@admin" are admins.
+const ADMIN_ROLE = {
+    requiresAdmin: function (fn) {
+        return fn;
+    },
+
+    isAdmin: function (hostmask) {
+        return Promise.resolve(hostmask.indexOf("@admin") !== -1);
+    }
+};
+
+// Config that keeps everything in memory and limits nothing.
+const DEFAULT_CONFIG = {
+    "command-trigger": "!",
+    "replies-storage": "memory",
+    "replies-passive-limits": { "key-cooldown": 0, "user-limit": 0, "channel-cooldown": 0 },
+    "replies-command-limits": { "key-cooldown": 0, "user-limit": 0 }
+};
+
+// Every client made, until they're closed.
+const clients = [];
+
+// Object? -> Client & {said: [[String]], plugin: Plugin}
+const Client = function (config) {
+    const merged = {};
+
+    [DEFAULT_CONFIG, config || {}].forEach(function (values) {
+        Object.keys(values).forEach(function (name) {
+            merged[name] = values[name];
+        });
+    });
+
+    const said = [];
+
+    const client = {
+        said: said,
+        config: function (name) { return merged[name]; },
+        getRole: function (role) { return role === "admin" ? ADMIN_ROLE : undefined; },
+        nickname: function () { return "bot"; },
+        note: function () {},
+        debug: function () {},
+        warn: function () {},
+        error: function () { throw new Error(Array.prototype.join.call(arguments, " ")); },
+        say: function (target, message) { said.push(["say", target, message]); },
+        act: function (target, message) { said.push(["act", target, message]); },
+        notice: function (target, message) { said.push(["notice", target, message]); },
+        ctcpRequest: function (target, type, message) { said.push(["ctcp", target, type, message]); }
+    };
+
+    client.plugin = Plugin.init(client, {});
+    clients.push(client);
+    return client;
+};
+
+// A privmsg in a channel. Tags are IRCv3 tags, as Twitch sends.
+// (String, String, Object?) -> Privmsg
+Client.privmsg = function (hostmask, message, tags) {
+    const nickname = hostmask.split("!")[0];
+
+    return {
+        message: message,
+        channel: "#chan",
+        nickname: nickname,
+        hostmask: hostmask,
+        hostname: hostmask.split("@")[1],
+        isQuery: false,
+        tags: tags
+    };
+};
+
+// The command a privmsg starting with the command trigger is.
+// Privmsg -> Command
+Client.command = function (privmsg) {
+    const command = Object.create(privmsg);
+    const words = privmsg.message.split(" ");
+
+    command.command = words[0].slice(1);
+    command.args = words.slice(1);
+    return command;
+};
+
+// Gives a message to the plugin's handlers, the way Tennu would: the
+// command handler, then the privmsg handler.
+// (Client, Privmsg) -> Promise<String | [String] | undefined> of the command's response.
+Client.send = function (client, privmsg) {
+    const handler = privmsg.message[0] === "!" && client.plugin.handlers[privmsg.message.split(" ")[0]];
+
+    return Promise.resolve(handler ? handler(Client.command(privmsg)) : undefined)
+    .then(function (response) {
+        client.plugin.handlers.privmsg(privmsg);
+        return response;
+    });
+};
+
+// Closes the plugins of every client, such as after each test.
+// () -> Promise
+Client.closeAll = function () {
+    return Promise.all(clients.splice(0).map(function (client) {
+        return new Promise(function (resolve) {
+            client.plugin.exports.close(resolve);
+        });
+    }));
+};
+
+module.exports = Client;
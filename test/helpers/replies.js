@@ -0,0 +1,25 @@
+// Replies kept in memory, for tests.
+
+const Result = require("r-result");
+
+const Replies = require("../../replies");
+const Storage = require("../../storage");
+
+// Object? -> Replies
+module.exports = function (options) {
+    options = options || {};
+
+    return Replies({
+        storage: options.storage || Storage.create("memory"),
+        permissions: options.permissions,
+        auditLog: options.auditLog,
+        usageStats: options.usageStats,
+        pendingQueue: options.pendingQueue,
+        now: options.now,
+        maxAliasDepth: options.maxAliasDepth || 3,
+        beforeUpdate: options.beforeUpdate || Result.Ok,
+        isEditorAdmin: options.isEditorAdmin || function (hostmask) {
+            return Promise.resolve(hostmask.indexOf("@admin") !== -1);
+        }
+    });
+};
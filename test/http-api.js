@@ -0,0 +1,107 @@
+const assert = require("better-assert");
+const http = require("http");
+
+const HttpApi = require("../http-api");
+const Replies = require("./helpers/replies");
+
+const TOKEN = "secret";
+const ADMIN = "root!r@admin";
+
+// (http.Server, String, String, Object?) -> Promise<{status: Number, body: Object}>
+const request = function (server, method, path, body) {
+    return new Promise(function (resolve, reject) {
+        const json = body === undefined ? "" : JSON.stringify(body);
+        const req = http.request({
+            host: "127.0.0.1",
+            port: server.address().port,
+            method: method,
+            path: path,
+            headers: { "Authorization": "Bearer " + TOKEN, "Content-Length": Buffer.byteLength(json) }
+        }, function (response) {
+            const chunks = [];
+            response.on("data", function (chunk) { chunks.push(chunk); });
+            response.on("end", function () {
+                resolve({ status: response.statusCode, body: JSON.parse(Buffer.concat(chunks).toString("utf8")) });
+            });
+        });
+
+        req.on("error", reject);
+        req.end(json);
+    });
+};
+
+describe("HttpApi", function () {
+    var replies;
+    var server;
+
+    beforeEach(function (done) {
+        const tokens = {};
+        tokens[TOKEN] = ADMIN;
+
+        replies = Replies();
+        server = HttpApi({ replies: replies, tokens: tokens });
+        server.listen(0, "127.0.0.1", done);
+    });
+
+    afterEach(function (done) {
+        server.close(done);
+    });
+
+    describe("in a channel scope", function () {
+        beforeEach(function () {
+            return replies.set("hi", { intent: "say", message: "hello", editor: ADMIN });
+        });
+
+        it("learns a key that only exists globally", function () {
+            return request(server, "POST", "/replies?scope=%23chan", { key: "hi", message: "hey" })
+            .then(function (response) {
+                assert(response.status === 200);
+                assert(replies.scope("#chan").info("hi").ok().message === "hey");
+                assert(replies.info("hi").ok().message === "hello");
+            });
+        });
+
+        it("doesn't change a key that only exists globally", function () {
+            return request(server, "PUT", "/replies/hi?scope=%23chan", { message: "hey" })
+            .then(function (response) {
+                assert(response.status === 404);
+                assert(replies.scope("#chan").info("hi").ok().namespace === "");
+            });
+        });
+
+        it("refuses to learn a key that exists in the channel", function () {
+            return request(server, "POST", "/replies?scope=%23chan", { key: "hi", message: "hey" })
+            .then(function () {
+                return request(server, "POST", "/replies?scope=%23chan", { key: "hi", message: "hey again" });
+            })
+            .then(function (response) {
+                assert(response.status === 409);
+            });
+        });
+
+        it("gives the history of a global reply found from the channel", function () {
+            return replies.scope("#chan").set("other", { intent: "say", message: "hey", editor: ADMIN })
+            .then(function () {
+                return request(server, "GET", "/replies/hi?scope=%23chan");
+            })
+            .then(function (response) {
+                assert(response.status === 200);
+                assert(response.body.reply.namespace === "");
+                assert(response.body.history.length === 1);
+                assert(response.body.history[0].message === "hello");
+            });
+        });
+
+        it("refuses scopes that aren't channels", function () {
+            return request(server, "GET", "/replies/hi?scope=chan")
+            .then(function (response) {
+                assert(response.status === 400);
+                assert(response.body.error === "bad-request");
+                return request(server, "GET", "/replies?scope=%23a&scope=%23b");
+            })
+            .then(function (response) {
+                assert(response.status === 400);
+            });
+        });
+    });
+});
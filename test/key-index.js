@@ -0,0 +1,54 @@
+const assert = require("better-assert");
+const equal = require("deep-eql");
+
+const KeyIndex = require("../key-index");
+
+describe("KeyIndex", function () {
+    var index;
+
+    beforeEach(function () {
+        index = KeyIndex();
+    });
+
+    it("finds keys of several words, however they're spaced or cased", function () {
+        index.add("good morning", "");
+        index.add("hi", "");
+
+        assert(equal(index.find("well  GOOD morning and hi", [""]), ["good morning", "hi"]));
+        assert(equal(index.find("hi and good   morning", [""]), ["hi", "good morning"]));
+        assert(equal(index.find("good evening", [""]), []));
+    });
+
+    it("prefers the longest key, without overlapping matches", function () {
+        index.add("good", "");
+        index.add("good morning", "");
+        index.add("morning coffee", "");
+
+        assert(equal(index.find("good morning coffee", [""]), ["good morning"]));
+        assert(equal(index.find("good coffee", [""]), ["good"]));
+    });
+
+    it("only finds keys in the namespaces asked for, the first one winning", function () {
+        index.add("hi", "#chan");
+        index.add("hi", "");
+        index.add("bye", "#other");
+
+        assert(equal(index.find("hi bye", ["#chan", ""]), ["hi"]));
+        assert(equal(index.find("bye", [""]), []));
+        assert(index.has("hi", "#chan"));
+        assert(!index.has("bye", "#chan"));
+    });
+
+    it("forgets removed keys, keeping the keys they share words with", function () {
+        index.add("good", "");
+        index.add("good morning", "");
+        index.remove("good morning", "");
+        index.remove("nothing here", "");
+
+        assert(!index.has("good morning", ""));
+        assert(equal(index.find("good morning", [""]), ["good"]));
+
+        index.clear();
+        assert(equal(index.find("good", [""]), []));
+    });
+});
@@ -0,0 +1,115 @@
+const assert = require("better-assert");
+const equal = require("deep-eql");
+
+const LoopGuard = require("../loop-guard");
+
+const MINUTE = 60 * 1000;
+
+describe("LoopGuard", function () {
+    var time;
+
+    // Object -> LoopGuard
+    const guard = function (options) {
+        options.now = function () { return time; };
+        options.nickname = function () { return "bot"; };
+        return LoopGuard(options);
+    };
+
+    // (Nickname, String) -> Privmsg
+    const privmsg = function (nickname, message) {
+        return {
+            nickname: nickname,
+            hostmask: nickname + "!u@example.com",
+            channel: "#chan",
+            message: message,
+            isQuery: false
+        };
+    };
+
+    beforeEach(function () {
+        time = Date.UTC(2025, 2, 3);
+    });
+
+    describe("check", function () {
+        it("ignores the bot and nicknames or hostmasks on the ignore list", function () {
+            const loopGuard = guard({ ignore: ["OtherBot", "*!*@bots.example.com"] });
+
+            assert(loopGuard.check(privmsg("bot", "hi")).fail() === "own-message");
+            assert(loopGuard.check(privmsg("otherbot", "hi")).fail() === "ignored");
+            assert(loopGuard.check({ nickname: "x", hostmask: "x!y@bots.example.com", channel: "#chan", message: "hi" }).fail() === "ignored");
+            assert(loopGuard.check(privmsg("alice", "hi")).isOk());
+        });
+
+        it("ignores what the bot said recently, however it's spaced or cased", function () {
+            const loopGuard = guard({ echoWindow: MINUTE });
+
+            loopGuard.said("#CHAN", "Hello  there");
+            assert(loopGuard.check(privmsg("alice", "hello there ")).fail() === "echo");
+            assert(loopGuard.check(privmsg("alice", "hello")).isOk());
+
+            time += MINUTE;
+            assert(loopGuard.check(privmsg("alice", "hello there")).isOk());
+        });
+
+        it("only reads relay prefixes on messages from the relays", function () {
+            const loopGuard = guard({
+                relays: ["Bridge"],
+                relayPrefixes: [/^<([^>\s]+)>\s*/],
+                echoWindow: MINUTE
+            });
+
+            loopGuard.said("#chan", "hello there");
+            assert(loopGuard.check(privmsg("bridge", "<bot> anything")).fail() === "own-message");
+            assert(loopGuard.check(privmsg("bridge", "<alice> hello there")).fail() === "echo");
+            assert(loopGuard.check(privmsg("bridge", "<alice> hi")).isOk());
+            assert(loopGuard.check(privmsg("alice", "<bot> anything")).isOk());
+        });
+    });
+
+    describe("circuit breaker", function () {
+        it("mutes a channel for the mute duration after too many replies", function () {
+            const loopGuard = guard({ burstLimit: 3, burstWindow: MINUTE, muteDuration: 10 * MINUTE });
+
+            assert(loopGuard.replied("#chan").isOk());
+            assert(loopGuard.replied("#chan").isOk());
+            assert(loopGuard.replied("#chan").fail() === "burst");
+            assert(loopGuard.isMuted("#CHAN"));
+            assert(!loopGuard.isMuted("#other"));
+            assert(equal(loopGuard.muted(), [{ channel: "#chan", until: time + 10 * MINUTE }]));
+
+            time += 10 * MINUTE;
+            assert(!loopGuard.isMuted("#chan"));
+        });
+
+        it("only counts replies within the window", function () {
+            const loopGuard = guard({ burstLimit: 2, burstWindow: MINUTE, muteDuration: MINUTE });
+
+            assert(loopGuard.replied("#chan").isOk());
+            time += MINUTE;
+            assert(loopGuard.replied("#chan").isOk());
+            assert(!loopGuard.isMuted("#chan"));
+        });
+
+        it("never mutes without a mute duration", function () {
+            const loopGuard = guard({ burstLimit: 2, burstWindow: MINUTE, muteDuration: 0 });
+
+            assert(loopGuard.replied("#chan").isOk());
+            assert(loopGuard.replied("#chan").isOk());
+            assert(loopGuard.replied("#chan").isOk());
+            assert(!loopGuard.isMuted("#chan"));
+        });
+    });
+
+    describe("mute", function () {
+        it("mutes until unmuted without a duration", function () {
+            const loopGuard = guard({});
+
+            loopGuard.mute("#Chan");
+            time += 365 * 24 * 60 * MINUTE;
+            assert(loopGuard.isMuted("#chan"));
+            assert(equal(loopGuard.muted(), [{ channel: "#chan", until: Infinity }]));
+            assert(loopGuard.unmute("#CHAN"));
+            assert(!loopGuard.unmute("#chan"));
+        });
+    });
+});
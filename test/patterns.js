@@ -0,0 +1,79 @@
+const assert = require("better-assert");
+const equal = require("deep-eql");
+
+const Patterns = require("../patterns");
+
+// A line as long as the server lets through.
+const LONG_LINE = new Array(601).join("a");
+
+describe("Patterns", function () {
+    describe("compile", function () {
+        it("compiles regexps case insensitively", function () {
+            const regexp = Patterns.compile("re:^how do i (\\w+)").ok();
+
+            assert(equal(Array.prototype.slice.call(Patterns.exec(regexp, "How do I quit")), ["How do I quit", "quit"]));
+        });
+
+        it("compiles globs that match the whole text", function () {
+            const regexp = Patterns.compile("glob:*is down*").ok();
+
+            assert(Patterns.exec(regexp, "the site is down again") !== null);
+            assert(Patterns.exec(regexp, "is it down") === null);
+        });
+
+        it("rejects invalid regexps", function () {
+            assert(Patterns.compile("re:(abc").fail() === "bad-pattern-regexp");
+        });
+
+        it("rejects nested repetition and backreferences", function () {
+            assert(Patterns.compile("re:(a+)+b").fail() === "unsafe-pattern-regexp");
+            assert(Patterns.compile("re:(a|a)*b").fail() === "unsafe-pattern-regexp");
+            assert(Patterns.compile("re:(a)\\1").fail() === "unsafe-pattern-regexp");
+        });
+
+        it("counts ? and {n,m} as quantifiers", function () {
+            assert(Patterns.compile("re:(a?){30}a{30}").fail() === "unsafe-pattern-regexp");
+            assert(Patterns.compile("re:(a{1,3})+b").fail() === "unsafe-pattern-regexp");
+            assert(Patterns.compile("re:a?b?c?").fail() === "unsafe-pattern-regexp");
+        });
+
+        it("doesn't count lazy modifiers, group syntax or literal braces as quantifiers", function () {
+            assert(Patterns.compile("re:^(?:say|tell) (.+?)$").isOk());
+            assert(Patterns.compile("re:^{a,b} x+$").isOk());
+        });
+
+        it("rejects patterns with polynomial backtracking", function () {
+            assert(Patterns.compile("re:.*.*.*z").fail() === "unsafe-pattern-regexp");
+            assert(Patterns.compile("re:[a-z]*[a-z]*[a-z]*!").fail() === "unsafe-pattern-regexp");
+            assert(Patterns.compile("glob:*a*a*b").fail() === "unsafe-pattern-regexp");
+        });
+    });
+
+    describe("exec", function () {
+        this.timeout(1000);
+
+        it("gives up on slow matches on long lines", function () {
+            const patterns = ["re:.*.*z", "re:[a-z]*[a-z]*!", "glob:*a*b"];
+
+            patterns.forEach(function (pattern) {
+                const regexp = Patterns.compile(pattern).ok();
+                const start = Date.now();
+
+                assert(Patterns.exec(regexp, LONG_LINE) === null);
+                assert(Date.now() - start < 200);
+            });
+        });
+
+        it("still matches safe patterns on long lines", function () {
+            const regexp = Patterns.compile("re:a+$").ok();
+
+            assert(Patterns.exec(regexp, LONG_LINE) !== null);
+        });
+    });
+
+    describe("substitute", function () {
+        it("replaces captures, and $$ with $", function () {
+            assert(Patterns.substitute("$1 costs $$5, not $2", ["x", "tea"]) === "tea costs $5, not ");
+        });
+    });
+});
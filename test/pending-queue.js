@@ -0,0 +1,20 @@
+const assert = require("better-assert");
+
+const PendingQueue = require("../pending-queue");
+const Storage = require("../storage");
+
+describe("PendingQueue", function () {
+    it("doesn't give out ids again after a restart", function () {
+        const storage = Storage.create("memory");
+        const queue = PendingQueue(storage);
+
+        assert(queue.add({ action: "set", key: "a" }) === 1);
+        assert(queue.add({ action: "set", key: "b" }) === 2);
+        queue.remove(2);
+
+        const restarted = PendingQueue(storage);
+
+        assert(restarted.add({ action: "set", key: "c" }) === 3);
+        assert(restarted.list().map(function (pending) { return pending.id; }).join(",") === "1,3");
+    });
+});
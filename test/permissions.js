@@ -0,0 +1,157 @@
+const assert = require("better-assert");
+
+const Permissions = require("../permissions");
+
+const ADMIN = "root!r@admin";
+const ALICE = "alice!a@alice.example.com";
+const STAFF = "staff!s@staff.example.org";
+const TROLL = "troll!t@bad.example.com";
+
+describe("Permissions", function () {
+    // (%Settings{}, Object?) -> Permissions
+    const permissions = function (settings, options) {
+        options = options || {};
+
+        return Permissions({
+            isAdmin: function (hostmask) {
+                return Promise.resolve(hostmask.indexOf("@admin") !== -1);
+            },
+            accountOf: options.accountOf,
+            roleOf: options.roleOf,
+            settings: settings
+        });
+    };
+
+    // (Permissions, [Action], Hostmask, %Reply{}?, Namespace?) -> Promise<Result>
+    const check = function (policy, actions, editor, reply, namespace) {
+        return policy.check({ actions: actions, editor: editor, reply: reply, namespace: namespace || "" });
+    };
+
+    it("lets everyone do everything but locking by default", function () {
+        const policy = permissions({});
+
+        return check(policy, ["learn", "edit", "forget", "alias"], ALICE)
+        .then(function (result) {
+            assert(result.isOk());
+            return check(policy, ["lock"], ALICE);
+        })
+        .then(function (result) {
+            assert(result.fail() === "lock-not-permitted");
+            return check(policy, ["lock"], ADMIN);
+        })
+        .then(function (result) {
+            assert(result.isOk());
+        });
+    });
+
+    it("gives hostmask patterns the trusted or banned role", function () {
+        const policy = permissions({
+            learn: "trusted",
+            hostmasks: { "*!*@staff.example.org": "trusted", "*!*@*.example.com": "banned" }
+        });
+
+        return check(policy, ["learn"], STAFF)
+        .then(function (result) {
+            assert(result.isOk());
+            return check(policy, ["learn"], "other!o@elsewhere.example.net");
+        })
+        .then(function (result) {
+            assert(result.fail() === "learn-not-permitted");
+            return check(policy, ["edit"], TROLL);
+        })
+        .then(function (result) {
+            assert(result.fail() === "banned");
+        });
+    });
+
+    it("asks NickServ only when the registered role is needed", function () {
+        var asked = [];
+        const policy = permissions({ edit: "registered", requireAccount: true }, {
+            accountOf: function (nickname) {
+                asked.push(nickname);
+                return Promise.resolve(nickname === "alice" ? "alice" : undefined);
+            }
+        });
+
+        return check(policy, ["edit"], ALICE)
+        .then(function (result) {
+            assert(result.isOk());
+            return check(policy, ["learn"], TROLL);
+        })
+        .then(function (result) {
+            assert(result.fail() === "account-required");
+            return check(policy, ["edit"], ADMIN);
+        })
+        .then(function (result) {
+            assert(result.isOk());
+            assert(asked.join(",") === "alice,troll");
+        });
+    });
+
+    it("takes roles from elsewhere, such as Twitch badges", function () {
+        const policy = permissions({ learn: "trusted", lock: "admin" }, {
+            roleOf: function (hostmask) {
+                return hostmask === ALICE ? "trusted" : undefined;
+            }
+        });
+
+        return check(policy, ["learn"], ALICE)
+        .then(function (result) {
+            assert(result.isOk());
+            return check(policy, ["lock"], ALICE);
+        })
+        .then(function (result) {
+            assert(result.fail() === "lock-not-permitted");
+        });
+    });
+
+    it("lets owners change their own replies until they're locked", function () {
+        const policy = permissions({ edit: "admin", forget: "admin" });
+        const reply = { intent: "say", message: "hi", owner: Permissions.ownerOf(ALICE) };
+
+        return check(policy, ["edit", "forget"], "alicealt!a@alice.example.com", reply)
+        .then(function (result) {
+            assert(result.isOk());
+            return check(policy, ["edit"], STAFF, reply);
+        })
+        .then(function (result) {
+            assert(result.fail() === "edit-not-permitted");
+            reply.frozen = true;
+            return check(policy, ["edit"], ALICE, reply);
+        })
+        .then(function (result) {
+            assert(result.fail() === "locked");
+            return check(policy, ["edit"], ADMIN, reply);
+        })
+        .then(function (result) {
+            assert(result.isOk());
+        });
+    });
+
+    it("merges the settings of a channel over the global ones", function () {
+        const policy = permissions({
+            learn: "trusted",
+            channels: { "#Open": { learn: "everyone", hostmasks: { "*!*@alice.example.com": "banned" } } }
+        });
+
+        return check(policy, ["learn"], STAFF, undefined, "#open")
+        .then(function (result) {
+            assert(result.isOk());
+            return check(policy, ["learn"], ALICE, undefined, "#open");
+        })
+        .then(function (result) {
+            assert(result.fail() === "banned");
+            return check(policy, ["learn"], STAFF);
+        })
+        .then(function (result) {
+            assert(result.fail() === "learn-not-permitted");
+        });
+    });
+
+    it("matches hostmask patterns case insensitively", function () {
+        assert(Permissions.hostmaskMatches("*!*@Staff.example.org", STAFF));
+        assert(Permissions.hostmaskMatches("sta?f!*@*", STAFF));
+        assert(!Permissions.hostmaskMatches("*!*@staff.example.org", "x!y@staff.example.org.evil"));
+        assert(Permissions.ownerOf(ALICE) === "*!a@alice.example.com");
+    });
+});
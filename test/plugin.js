@@ -0,0 +1,732 @@
+const assert = require("better-assert");
+const equal = require("deep-eql");
+const Promise = require("bluebird");
+const Result = require("r-result");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const Client = require("./helpers/client");
+
+const ADMIN = "root!r@admin";
+const ALICE = "alice!a@alice.example.com";
+
+describe("Plugin", function () {
+    afterEach(Client.closeAll);
+
+    describe("saying replies", function () {
+        var client;
+
+        beforeEach(function () {
+            client = Client({
+                "replies-line-delay": 0,
+                "replies-passive-channels": [],
+                "replies-validation": { "max-lines": 2 }
+            });
+        });
+
+        // [[Hostmask, String]] -> Promise
+        const sendAll = function (messages) {
+            return Promise.each(messages, function (message) {
+                return Client.send(client, Client.privmsg(message[0], message[1]));
+            })
+            .then(function () {
+                // Multi-line replies are said a line at a time.
+                return Promise.delay(10);
+            });
+        };
+
+        it("fills in placeholders and includes other replies", function () {
+            return sendAll([
+                [ADMIN, "!learn name = the bot"],
+                [ADMIN, "!learn greet = hi {nick}, I'm {reply:name}"],
+                [ADMIN, "!learn loop = {reply:loop}"],
+                [ALICE, "!reply greet"]
+            ])
+            .then(function () {
+                assert(equal(client.said, [["say", "#chan", "hi alice, I'm the bot"]]));
+                return Client.send(client, Client.privmsg(ALICE, "!reply loop"));
+            })
+            .then(function (response) {
+                assert(response === "Error: Reply includes itself.");
+                return Client.send(client, Client.privmsg(ADMIN, "!learn bad = {reply:name"));
+            })
+            .then(function (response) {
+                assert(response === "Invalid template. A placeholder is missing its closing '}'.");
+            });
+        });
+
+        it("says alternatives in turn when rotating", function () {
+            return sendAll([
+                [ADMIN, "!learn hi = a"],
+                [ADMIN, "!learn hi |= b"],
+                [ADMIN, "!replies selection hi rotate"],
+                [ALICE, "!reply hi"],
+                [ALICE, "!reply hi"],
+                [ALICE, "!reply hi"]
+            ])
+            .then(function () {
+                assert(equal(client.said, [["say", "#chan", "a"], ["say", "#chan", "b"], ["say", "#chan", "a"]]));
+                return Client.send(client, Client.privmsg(ALICE, "!replies alternatives hi"));
+            })
+            .then(function (response) {
+                assert(equal(response, ["1. a", "2. b"]));
+                return Client.send(client, Client.privmsg(ADMIN, "!replies selection hi rotate 1 2"));
+            })
+            .then(function (response) {
+                assert(response === "Invalid weights. Only weighted selection takes weights, and it needs one for each alternative.");
+            });
+        });
+
+        it("lists, searches, and gives info on replies", function () {
+            return sendAll([
+                [ADMIN, "!learn hi = hello"],
+                [ADMIN, "!learn greeting @= hi"],
+                [ADMIN, "!lock hi"]
+            ])
+            .then(function () {
+                return Promise.reduce(["!replies list", "!replies list g", "!replies search HELLO", "!replies info greeting", "!replies info nothing"], function (responses, message) {
+                    return Client.send(client, Client.privmsg(ALICE, message))
+                    .then(function (response) {
+                        return responses.concat([response]);
+                    });
+                }, []);
+            })
+            .then(function (responses) {
+                assert(equal(responses[0], ["greeting, hi"]));
+                assert(equal(responses[1], ["greeting"]));
+                assert(equal(responses[2], ["hi: hello"]));
+                assert(responses[3][0] === "'greeting': [alias] hi");
+                assert(responses[3][2] === "Alias of hi.");
+                assert(responses[4] === "No such reply 'nothing' found.");
+            });
+        });
+
+        it("sends long lists by private message", function () {
+            const learns = [];
+
+            for (var ix = 10; ix < 45; ix++) {
+                learns.push([ADMIN, "!learn key" + ix + " = value"]);
+            }
+
+            return sendAll(learns)
+            .then(function () {
+                return Client.send(client, Client.privmsg(ALICE, "!replies list"));
+            })
+            .then(function (response) {
+                assert(response === "Sent page 1 of 1 of replies by private message.");
+                assert(client.said[0][1] === "alice");
+                assert(client.said[0][2].length === 4);
+            });
+        });
+
+        it("removes control characters that arguments add", function () {
+            return sendAll([
+                [ADMIN, "!learn echo $1 = you said $1"],
+                [ALICE, "!reply echo \x01DCC\x01"]
+            ])
+            .then(function () {
+                assert(equal(client.said, [["say", "#chan", "you said DCC"]]));
+            });
+        });
+
+        it("doesn't fill in placeholders that arguments add", function () {
+            return sendAll([
+                [ADMIN, "!learn secret = the password"],
+                [ADMIN, "!learn echo $1 = you said $1"],
+                [ADMIN, "!learn ^say (.+)$ /= you said $1"],
+                [ALICE, "!reply echo {reply:secret}"],
+                [ALICE, "!reply say {nick}"]
+            ])
+            .then(function () {
+                assert(equal(client.said, [["say", "#chan", "you said {reply:secret}"], ["say", "#chan", "you said {nick}"]]));
+            });
+        });
+
+        it("says at most the maximum lines when arguments add more", function () {
+            return sendAll([
+                [ADMIN, "!learn lines $1 &= first\\n$1"],
+                [ALICE, "!reply lines second\\nthird\\nfourth"]
+            ])
+            .then(function () {
+                assert(equal(client.said, [["say", "#chan", "first"], ["say", "#chan", "second"]]));
+            });
+        });
+    });
+
+    describe("passive replies", function () {
+        var client;
+
+        // (Hostmask, String) -> Promise<String | [String] | undefined>
+        const send = function (hostmask, message) {
+            return Client.send(client, Client.privmsg(hostmask, message));
+        };
+
+        beforeEach(function () {
+            client = Client({ "replies-line-delay": 0 });
+        });
+
+        it("are said for keys of several words anywhere in a message", function () {
+            return send(ADMIN, "!learn good morning = morning!")
+            .then(function () {
+                client.said.length = 0;
+                return send(ALICE, "well GOOD   morning everyone");
+            })
+            .then(function () {
+                assert(equal(client.said, [["say", "#chan", "morning!"]]));
+            });
+        });
+    });
+
+    describe("namespaces", function () {
+        var client;
+
+        // (Hostmask, String, Channel?) -> Promise<String | [String] | undefined>
+        const send = function (hostmask, message, channel) {
+            const privmsg = Client.privmsg(hostmask, message);
+            privmsg.channel = channel || privmsg.channel;
+            return Client.send(client, privmsg);
+        };
+
+        beforeEach(function () {
+            client = Client({ "replies-passive-channels": [] });
+        });
+
+        it("learn replies for a channel that are said there instead of global ones", function () {
+            return Promise.each([
+                [ADMIN, "!learn hi = hello"],
+                [ADMIN, "!learn #chan hi = hey"],
+                [ALICE, "!reply hi", "#chan"],
+                [ALICE, "!reply hi", "#other"]
+            ], function (message) {
+                return send(message[0], message[1], message[2]);
+            })
+            .then(function () {
+                assert(equal(client.said, [["say", "#chan", "hey"], ["say", "#other", "hello"]]));
+            });
+        });
+
+        it("forget a channel's reply without forgetting the global one", function () {
+            return Promise.each([
+                [ADMIN, "!learn hi = hello"],
+                [ADMIN, "!learn #chan hi = hey"],
+                [ADMIN, "!forget #chan hi"],
+                [ALICE, "!reply hi", "#chan"]
+            ], function (message) {
+                return send(message[0], message[1], message[2]);
+            })
+            .then(function () {
+                assert(equal(client.said, [["say", "#chan", "hello"]]));
+            });
+        });
+    });
+
+    describe("history", function () {
+        var client;
+
+        // [[Hostmask, String]] -> Promise<[String | [String] | undefined]> of the responses.
+        const sendAll = function (messages) {
+            return Promise.reduce(messages, function (responses, message) {
+                return Client.send(client, Client.privmsg(message[0], message[1]))
+                .then(function (response) {
+                    return responses.concat([response]);
+                });
+            }, []);
+        };
+
+        beforeEach(function () {
+            client = Client({
+                "replies-passive-channels": [],
+                "replies-now": function () { return Date.UTC(2025, 2, 3); }
+            });
+        });
+
+        it("lists the latest changes and reverts to one", function () {
+            return sendAll([
+                [ALICE, "!learn hi = hello"],
+                [ALICE, "!learn hi = hey"],
+                [ALICE, "!history hi 1"],
+                [ADMIN, "!revert hi 1"],
+                [ADMIN, "!history hi"],
+                [ADMIN, "!revert hi"],
+                [ADMIN, "!revert hi 7"]
+            ])
+            .then(function (responses) {
+                assert(equal(responses[2], ["#2 2025-03-03T00:00:00.000Z by " + ALICE + " (set): [say] hey"]));
+                assert(responses[3] === "Reverted 'hi' to revision 1.");
+                assert(equal(responses[4], [
+                    "#3 2025-03-03T00:00:00.000Z by " + ADMIN + " (revert): [say] hello",
+                    "#2 2025-03-03T00:00:00.000Z by " + ALICE + " (set): [say] hey",
+                    "#1 2025-03-03T00:00:00.000Z by " + ALICE + " (set): [say] hello"
+                ]));
+                assert(responses[5] === "Invalid format. Use !revert reply-name revision.");
+                assert(responses[6] === "Cannot revert 'hi'. Revision 7 does not exist.");
+            });
+        });
+    });
+
+    describe("permissions", function () {
+        var client;
+
+        // [[Hostmask, String]] -> Promise<[String | [String] | undefined]> of the responses.
+        const sendAll = function (messages) {
+            return Promise.reduce(messages, function (responses, message) {
+                return Client.send(client, Client.privmsg(message[0], message[1]))
+                .then(function (response) {
+                    return responses.concat([response]);
+                });
+            }, []);
+        };
+
+        beforeEach(function () {
+            client = Client({
+                "replies-passive-channels": [],
+                "replies-permissions": {
+                    edit: "trusted",
+                    hostmasks: { "*!*@bad.example.com": "banned" }
+                }
+            });
+        });
+
+        it("let owners edit their replies until an admin locks them", function () {
+            return sendAll([
+                [ALICE, "!learn hi = hello"],
+                ["bob!b@bob.example.com", "!learn hi = hey"],
+                [ALICE, "!learn hi = hi there"],
+                [ALICE, "!lock hi"],
+                [ADMIN, "!lock hi"],
+                [ALICE, "!learn hi = hello again"],
+                ["troll!t@bad.example.com", "!learn other = spam"]
+            ])
+            .then(function (responses) {
+                assert(responses[1] === "You are not allowed to edit replies here.");
+                assert(responses[3] === "You are not allowed to lock or unlock replies here.");
+                assert(responses[4] === "Locked reply 'hi'.");
+                assert(responses[5] === "Cannot edit 'hi'. Reply is locked.");
+                assert(responses[6] === "You are not allowed to change replies.");
+
+                return Client.send(client, Client.privmsg(ALICE, "!reply hi"));
+            })
+            .then(function () {
+                assert(equal(client.said, [["say", "#chan", "hi there"]]));
+            });
+        });
+    });
+
+    describe("validation", function () {
+        it("refuses replies that break the configured rules, and rules added through the role", function () {
+            const client = Client({
+                "replies-passive-channels": [],
+                "replies-validation": {
+                    "max-length": 10,
+                    "blocked-words": ["darn"],
+                    rules: [{ pattern: "^free\\b", reason: "free-stuff", message: "No giveaways." }]
+                }
+            });
+
+            client.plugin.exports.addValidator(function (reply) {
+                return reply.message.indexOf("?") === -1 ? Result.Ok(reply) : Result.Fail("question");
+            }, { question: "No questions." });
+
+            return Promise.reduce([
+                "!learn a = darn it",
+                "!learn a = this is far too long",
+                "!learn a = FREE pizza",
+                "!learn a = why?",
+                "!learn a = fine",
+                "!learn a |= darn"
+            ], function (responses, message) {
+                return Client.send(client, Client.privmsg(ADMIN, message))
+                .then(function (response) {
+                    return responses.concat([response]);
+                });
+            }, [])
+            .then(function (responses) {
+                assert(responses[0] === "Disallowed! Reply message contains a blocked word.");
+                assert(responses[1] === "Disallowed! Reply message is longer than 10 bytes.");
+                assert(responses[2] === "No giveaways.");
+                assert(responses[3] === "No questions.");
+                assert(responses[4] === "Learned reply 'a'.");
+                assert(responses[5] === "Disallowed! Reply message contains a blocked word.");
+            });
+        });
+    });
+
+    describe("renaming and copying", function () {
+        var client;
+
+        // [[Hostmask, String]] -> Promise<[String | [String] | undefined]> of the responses.
+        const sendAll = function (messages) {
+            return Promise.reduce(messages, function (responses, message) {
+                return Client.send(client, Client.privmsg(message[0], message[1]))
+                .then(function (response) {
+                    return responses.concat([response]);
+                });
+            }, []);
+        };
+
+        beforeEach(function () {
+            client = Client({ "replies-passive-channels": [] });
+        });
+
+        it("renames a reply, pointing its aliases at the new key and saying which it couldn't", function () {
+            return sendAll([
+                [ALICE, "!learn hi = hello"],
+                [ALICE, "!learn hey @= hi"],
+                [ALICE, "!learn yo @= hi"],
+                [ADMIN, "!lock yo"],
+                [ALICE, "!replies rename hi = greeting"],
+                [ALICE, "!reply hey"],
+                [ALICE, "!history greeting 1"]
+            ])
+            .then(function (responses) {
+                assert(equal(responses[4], [
+                    "Renamed 'hi' to 'greeting'. Alias 'hey' now points at 'greeting'.",
+                    "Alias 'yo' was not changed: Reply is locked."
+                ]));
+                assert(equal(client.said, [["say", "#chan", "hello"]]));
+                assert(/ \(rename\): \[say\] hello$/.test(responses[6][0]));
+            });
+        });
+
+        it("leaves an alias behind with @=, and copies without changing the original", function () {
+            return sendAll([
+                [ALICE, "!learn hi = hello"],
+                [ALICE, "!replies rename hi @= greeting"],
+                [ALICE, "!replies copy greeting = welcome"],
+                [ALICE, "!replies copy greeting = hi"],
+                [ALICE, "!replies rename nothing = something"],
+                [ALICE, "!replies info hi"]
+            ])
+            .then(function (responses) {
+                assert(responses[1] === "Renamed 'hi' to 'greeting'. 'hi' is now an alias of it.");
+                assert(responses[2] === "Copied 'greeting' to 'welcome'.");
+                assert(responses[3] === "Cannot copy 'greeting' to 'hi'. 'hi' already exists or is locked.");
+                assert(responses[4] === "Cannot rename 'nothing'. Reply does not exist.");
+                assert(responses[5][0] === "'hi': [alias] greeting");
+            });
+        });
+    });
+
+    describe("suggestions", function () {
+        // (Client, Hostmask, String) -> Promise<String | [String] | undefined>
+        const send = function (client, hostmask, message) {
+            return Client.send(client, Client.privmsg(hostmask, message));
+        };
+
+        it("suggest keys like one that doesn't exist", function () {
+            const client = Client({ "replies-passive-channels": [] });
+
+            return send(client, ADMIN, "!learn install = see the docs")
+            .then(function () {
+                return send(client, ADMIN, "!learn uninstall = don't");
+            })
+            .then(function () {
+                return send(client, ALICE, "!reply instal");
+            })
+            .then(function (response) {
+                assert(response === "No such reply 'instal' found. Did you mean 'install', 'uninstall'?");
+                return send(client, ALICE, "!reply weather");
+            })
+            .then(function (response) {
+                assert(response === "No such reply 'weather' found.");
+                assert(client.said.length === 0);
+            });
+        });
+
+        it("look up the only similar key when auto-resolving, and can be turned off", function () {
+            const resolving = Client({ "replies-passive-channels": [], "replies-suggestions": { "auto-resolve": true } });
+            const quiet = Client({ "replies-passive-channels": [], "replies-suggestions": { max: 0 } });
+
+            return Promise.each([resolving, quiet], function (client) {
+                return send(client, ADMIN, "!learn install = see the docs");
+            })
+            .then(function () {
+                return send(resolving, ALICE, "!reply instal");
+            })
+            .then(function () {
+                assert(equal(resolving.said, [["say", "#chan", "see the docs"]]));
+                return send(quiet, ALICE, "!reply instal");
+            })
+            .then(function (response) {
+                assert(response === "No such reply 'instal' found.");
+            });
+        });
+    });
+
+    describe("time", function () {
+        // Monday, 08:00 UTC.
+        const START = Date.UTC(2025, 2, 3, 8, 0);
+        const HOUR = 60 * 60 * 1000;
+        var time;
+        var client;
+
+        // [[Hostmask, String]] -> Promise<[String | undefined]> of the responses.
+        const sendAll = function (messages) {
+            return Promise.reduce(messages, function (responses, message) {
+                return Client.send(client, Client.privmsg(message[0], message[1]))
+                .then(function (response) {
+                    return responses.concat([response]);
+                });
+            }, []);
+        };
+
+        beforeEach(function () {
+            time = START;
+            client = Client({ "replies-now": function () { return time; } });
+        });
+
+        it("forgets replies once they expire", function () {
+            return sendAll([
+                [ADMIN, "!learn hi = hello"],
+                [ADMIN, "!replies expire hi = 1h"],
+                [ALICE, "!reply hi"]
+            ])
+            .then(function () {
+                assert(equal(client.said.pop(), ["say", "#chan", "hello"]));
+                client.said.length = 0;
+                time = START + 2 * HOUR;
+                return sendAll([[ALICE, "!reply hi"]]);
+            })
+            .then(function (responses) {
+                assert(responses[0] === "No such reply 'hi' found.");
+                assert(client.said.length === 0);
+            });
+        });
+
+        it("says replies passively only in their active hours", function () {
+            return sendAll([
+                [ADMIN, "!learn hi = hello"],
+                [ADMIN, "!replies hours hi = mon-fri 9-17"]
+            ])
+            .then(function () {
+                client.said.length = 0;
+                return sendAll([[ALICE, "hi there"]]);
+            })
+            .then(function () {
+                assert(client.said.length === 0);
+                time = START + 2 * HOUR;
+                return sendAll([[ALICE, "hi again"]]);
+            })
+            .then(function () {
+                assert(equal(client.said, [["say", "#chan", "hello"]]));
+            });
+        });
+
+        it("fills in the date", function () {
+            return sendAll([
+                [ADMIN, "!learn today = it is {date}"],
+                [ALICE, "!reply today"]
+            ])
+            .then(function () {
+                assert(equal(client.said.pop(), ["say", "#chan", "it is 2025-03-03"]));
+            });
+        });
+    });
+
+    describe("loop protection", function () {
+        var client;
+
+        // (Hostmask, String) -> Promise<String | [String] | undefined>
+        const send = function (hostmask, message) {
+            return Client.send(client, Client.privmsg(hostmask, message));
+        };
+
+        beforeEach(function () {
+            client = Client({
+                "replies-line-delay": 0,
+                "replies-loop-protection": { "burst-limit": 2, "mute-duration": 0 }
+            });
+        });
+
+        it("takes the first argument of mute as the duration unless it's a channel", function () {
+            return send(ADMIN, "!replies mute 30m")
+            .then(function (response) {
+                assert(response === "Passive replies in #chan are muted for 30m.");
+                return send(ADMIN, "!replies mute #other");
+            })
+            .then(function (response) {
+                assert(response === "Passive replies in #other are muted until unmuted.");
+                return send(ADMIN, "!replies mute 30m 1h");
+            })
+            .then(function (response) {
+                assert(response === "Invalid format. Use !replies mute [#channel] [duration].");
+                return send(ADMIN, "!replies unmute #other");
+            })
+            .then(function (response) {
+                assert(response === "Passive replies in #other are unmuted.");
+                return send(ADMIN, "!replies unmute");
+            })
+            .then(function (response) {
+                assert(response === "Passive replies in #chan are unmuted.");
+            });
+        });
+
+        it("doesn't mute channels on its own when the mute duration is 0", function () {
+            return send(ADMIN, "!learn hi = hello")
+            .then(function () {
+                client.said.length = 0;
+                return Promise.each(["hi", "hi again", "oh hi"], function (message) {
+                    return send(ALICE, message);
+                });
+            })
+            .then(function () {
+                assert(client.said.length === 3);
+            });
+        });
+    });
+
+    describe("role", function () {
+        var client;
+        var role;
+
+        beforeEach(function () {
+            client = Client({ "replies-passive-channels": [], "replies-validation": { "blocked-words": ["darn"] } });
+            role = client.plugin.exports;
+        });
+
+        it("changes replies the same as commands, checking permissions and rules", function () {
+            return role.set("hi", { intent: "say", message: "hello", editor: ALICE })
+            .then(function (result) {
+                assert(result.isOk());
+                assert(equal(role.get("hi").ok(), { intent: "say", message: "hello" }));
+                return role.set("hi", { intent: "say", message: "darn", editor: ALICE });
+            })
+            .then(function (result) {
+                assert(result.fail() === "blocked-word");
+                return role.freeze("hi", ALICE);
+            })
+            .then(function (result) {
+                assert(result.fail() === "lock-not-permitted");
+                return role.freeze("hi", ADMIN);
+            })
+            .then(function (result) {
+                assert(result.isOk());
+                return role.delete("hi", ALICE);
+            })
+            .then(function (result) {
+                assert(result.fail() === "locked");
+                return role.unfreeze("hi", ADMIN);
+            })
+            .then(function () {
+                return role.delete("hi", ALICE);
+            })
+            .then(function (result) {
+                assert(result.isOk());
+                assert(role.get("hi").fail() === "no-reply");
+            });
+        });
+
+        it("changes the replies of a channel when scoped to it", function () {
+            const chan = role.scope("#chan");
+
+            return chan.set("hi", { intent: "say", message: "hello #chan", editor: ALICE })
+            .then(function () {
+                assert(chan.get("hi").ok().message === "hello #chan");
+                assert(chan.info("hi").ok().namespace === "#chan");
+                assert(role.get("hi").fail() === "no-reply");
+                assert(role.scope("#other").get("hi").fail() === "no-reply");
+            });
+        });
+
+        it("emits replies being learned, forgotten, and said", function () {
+            const events = [];
+
+            ["replyLearned", "replyForgotten", "replyTriggered"].forEach(function (name) {
+                role.on(name, function (event) {
+                    events.push([name, event.key, event.namespace, event.action || event.kind]);
+                });
+            });
+
+            return role.set("hi", { intent: "say", message: "hello", editor: ALICE })
+            .then(function () {
+                return Client.send(client, Client.privmsg(ALICE, "!reply hi"));
+            })
+            .then(function () {
+                return role.delete("hi", ALICE);
+            })
+            .then(function () {
+                assert(equal(events, [
+                    ["replyLearned", "hi", "", "set"],
+                    ["replyTriggered", "hi", "", "command"],
+                    ["replyForgotten", "hi", "", "delete"]
+                ]));
+            });
+        });
+
+        it("saves usage counts when flushed", function () {
+            return role.set("hi", { intent: "say", message: "hello", editor: ALICE })
+            .then(function () {
+                return Client.send(client, Client.privmsg(ALICE, "!reply hi"));
+            })
+            .then(function () {
+                return new Promise(function (resolve) {
+                    role.flush(resolve);
+                });
+            })
+            .then(function () {
+                return client.plugin.handlers["!replies"](Client.command(Client.privmsg(ADMIN, "!replies stats hi")));
+            })
+            .then(function (response) {
+                assert(response[0] === "'hi' was said 1 times: 0 passively and 1 by request.");
+            });
+        });
+    });
+
+    describe("HTTP API", function () {
+        it("stops listening when the plugin is closed", function () {
+            const client = Client({ "replies-http": { tokens: { secret: ADMIN }, port: 0 } });
+            const server = client.plugin.exports.httpServer;
+
+            return new Promise(function (resolve) {
+                server.once("listening", resolve);
+            })
+            .then(Client.closeAll)
+            .then(function () {
+                assert(!server.listening);
+            });
+        });
+    });
+
+    describe("saving", function () {
+        const location = path.join(os.tmpdir(), ["tennu-replies-plugin-test", process.pid].join("-"));
+
+        afterEach(function () {
+            return Client.closeAll()
+            .then(function () {
+                fs.readdirSync(os.tmpdir()).filter(function (file) {
+                    return file.indexOf(path.basename(location)) === 0;
+                }).forEach(function (file) {
+                    fs.unlinkSync(path.join(os.tmpdir(), file));
+                });
+            });
+        });
+
+        // () -> Promise<Client> once its storage has loaded.
+        const open = function () {
+            const client = Client({ "replies-storage": "dirty", "replies-database": location, "replies-passive-channels": [] });
+            return Promise.delay(50).return(client);
+        };
+
+        it("saves the usage counts when the server closes the connection", function () {
+            return open()
+            .then(function (client) {
+                return Promise.each([[ADMIN, "!learn hi = hello"], [ALICE, "!reply hi"]], function (message) {
+                    return Client.send(client, Client.privmsg(message[0], message[1]));
+                })
+                .then(function () {
+                    // What the server sends before closing the connection.
+                    client.plugin.handlers.error({ command: "error", message: "Closing Link" });
+                    return Promise.delay(50);
+                });
+            })
+            .then(open)
+            .then(function (restarted) {
+                return restarted.plugin.handlers["!replies"](Client.command(Client.privmsg(ADMIN, "!replies stats hi")));
+            })
+            .then(function (response) {
+                assert(response[0] === "'hi' was said 1 times: 0 passively and 1 by request.");
+            });
+        });
+    });
+});
@@ -0,0 +1,81 @@
+const assert = require("better-assert");
+
+const RateLimiter = require("../rate-limiter");
+
+describe("RateLimiter", function () {
+    var time;
+
+    // Object -> RateLimiter, with time only passing when tests say so.
+    const limiter = function (options) {
+        options.now = function () { return time; };
+        return RateLimiter(options);
+    };
+
+    // (String, String, String?) -> %Trigger{}
+    const trigger = function (channel, key, user) {
+        return { channel: channel, key: key, user: user || "alice" };
+    };
+
+    beforeEach(function () {
+        time = 1000;
+    });
+
+    it("limits nothing by default", function () {
+        const limits = limiter({});
+
+        for (var ix = 0; ix < 10; ix++) {
+            assert(limits.attempt(trigger("#chan", "hi")).isOk());
+        }
+
+        assert(limits.maxPerMessage === 1);
+        assert(limiter({ maxPerMessage: 0 }).maxPerMessage === 0);
+    });
+
+    it("waits out the cooldown of each channel, whatever its case", function () {
+        const limits = limiter({ channelCooldown: 100 });
+
+        assert(limits.attempt(trigger("#Chan", "hi")).isOk());
+        assert(limits.attempt(trigger("#chan", "bye")).fail() === "channel-cooldown");
+        assert(limits.attempt(trigger("#other", "hi")).isOk());
+
+        time += 100;
+        assert(limits.attempt(trigger("#chan", "bye")).isOk());
+    });
+
+    it("waits out the cooldown of each key in each channel", function () {
+        const limits = limiter({ keyCooldown: 100 });
+
+        assert(limits.attempt(trigger("#chan", "hi")).isOk());
+        assert(limits.attempt(trigger("#chan", "hi")).fail() === "key-cooldown");
+        assert(limits.attempt(trigger("#chan", "bye")).isOk());
+        assert(limits.attempt(trigger("#other", "hi")).isOk());
+
+        time += 100;
+        assert(limits.attempt(trigger("#chan", "hi")).isOk());
+    });
+
+    it("limits how many replies a channel or a user gets within their window", function () {
+        const limits = limiter({ channelLimit: 2, channelWindow: 100, userLimit: 1, userWindow: 50 });
+
+        assert(limits.attempt(trigger("#chan", "a", "alice")).isOk());
+        assert(limits.attempt(trigger("#chan", "b", "alice")).fail() === "user-flood");
+        assert(limits.attempt(trigger("#chan", "b", "bob")).isOk());
+        assert(limits.attempt(trigger("#chan", "c", "carol")).fail() === "channel-flood");
+
+        time += 50;
+        assert(limits.attempt(trigger("#other", "a", "alice")).isOk());
+
+        time += 50;
+        assert(limits.attempt(trigger("#chan", "c", "carol")).isOk());
+    });
+
+    it("only records triggers that are attempted or recorded, not checked", function () {
+        const limits = limiter({ keyCooldown: 100 });
+
+        assert(limits.check(trigger("#chan", "hi")).isOk());
+        assert(limits.check(trigger("#chan", "hi")).isOk());
+
+        limits.record(trigger("#chan", "hi"));
+        assert(limits.check(trigger("#chan", "hi")).fail() === "key-cooldown");
+    });
+});
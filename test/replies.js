@@ -0,0 +1,594 @@
+const assert = require("better-assert");
+const equal = require("deep-eql");
+
+const Replies = require("./helpers/replies");
+const PendingQueue = require("../pending-queue");
+const AuditLog = require("../audit-log");
+const UsageStats = require("../usage-stats");
+const Storage = require("../storage");
+
+const ALICE = "alice!a@alice.example.com";
+const ADMIN = "root!r@admin";
+
+describe("Replies", function () {
+    // Sets each [key, intent, message, editor] in turn.
+    // (Replies, [[String]]) -> Promise<[Result]>
+    const setAll = function (replies, changes) {
+        return changes.reduce(function (previous, change) {
+            return previous.then(function (results) {
+                return replies.set(change[0], { intent: change[1], message: change[2], editor: change[3] })
+                .then(function (result) {
+                    return results.concat([result]);
+                });
+            });
+        }, Promise.resolve([]));
+    };
+
+    describe("import", function () {
+        it("records the importer as the owner", function () {
+            const replies = Replies();
+            const text = JSON.stringify([{ key: "hi", intent: "say", message: "hello" }]);
+
+            return replies.import("json", text, { editor: ALICE })
+            .then(function (result) {
+                assert(equal(result.ok().added, ["hi"]));
+                assert(replies.info("hi").ok().owner === "*!a@alice.example.com");
+            });
+        });
+
+        it("writes nothing when an entry is invalid", function () {
+            const replies = Replies();
+            const text = JSON.stringify([
+                { key: "first", intent: "say", message: "fine" },
+                { key: "second", intent: "say", message: { not: "a string" } }
+            ]);
+
+            return replies.import("json", text, { editor: ALICE })
+            .then(function (result) {
+                assert(result.fail() === "bad-import-json");
+                assert(replies.get("first").fail() === "no-reply");
+            });
+        });
+
+        it("leaves out entries with bad weights or active times", function () {
+            const replies = Replies();
+            const text = JSON.stringify([
+                { key: "fine", intent: "say", message: "a", alternatives: ["b"], selection: "weighted", weights: [1, 2] },
+                { key: "short", intent: "say", message: "a", alternatives: ["b"], selection: "weighted", weights: [1] },
+                { key: "negative", intent: "say", message: "a", weights: [-1] },
+                { key: "days", intent: "say", message: "a", active: { days: 5 } },
+                { key: "empty", intent: "say", message: "a", active: {} },
+                { key: "mode", intent: "say", message: "a", selection: "sometimes" }
+            ]);
+
+            return replies.import("json", text, { editor: ALICE })
+            .then(function (result) {
+                assert(equal(result.ok().added, ["fine"]));
+                assert(equal(result.ok().invalid, [
+                    ["short", "bad-selection-weights"],
+                    ["negative", "bad-selection-weights"],
+                    ["days", "bad-active-times"],
+                    ["empty", "bad-active-times"],
+                    ["mode", "bad-selection-mode"]
+                ]));
+                assert(replies.get("days").fail() === "no-reply");
+                assert(replies.isActive("fine"));
+            });
+        });
+
+        it("checks aliases against the replies imported with them", function () {
+            const replies = Replies();
+            const text = JSON.stringify([
+                { key: "target", intent: "say", message: "hello" },
+                { key: "alias", intent: "alias", message: "target" },
+                { key: "loop-a", intent: "alias", message: "loop-b" },
+                { key: "loop-b", intent: "alias", message: "loop-a" },
+                { key: "dangling", intent: "alias", message: "nothing" },
+                { key: "deeper", intent: "alias", message: "alias" },
+                { key: "too-deep", intent: "alias", message: "deeper" }
+            ]);
+
+            return replies.set("loop-b", { intent: "say", message: "hi", editor: ALICE })
+            .then(function () {
+                return replies.import("json", text, { editor: ALICE, conflict: "overwrite", dryRun: true });
+            })
+            .then(function (result) {
+                assert(equal(result.ok().added, ["target", "alias", "loop-a", "deeper"]));
+                assert(equal(result.ok().invalid, [
+                    ["loop-b", "alias-cycle"],
+                    ["dangling", "alias-target-missing"],
+                    ["too-deep", "alias-too-deep"]
+                ]));
+                assert(replies.get("target").fail() === "no-reply");
+
+                return replies.import("json", text, { editor: ALICE, conflict: "overwrite" });
+            })
+            .then(function (result) {
+                assert(result.ok().invalid.length === 3);
+                assert(replies.get("deeper").ok().message === "hello");
+                assert(replies.get("loop-a").ok().message === "hi");
+            });
+        });
+    });
+
+    describe("namespaces", function () {
+        it("look up a channel's replies before global ones", function () {
+            const replies = Replies();
+            const channel = replies.scope("#Chan");
+
+            return setAll(replies, [["hi", "say", "hello", ALICE], ["bye", "say", "goodbye", ALICE]])
+            .then(function () {
+                return channel.set("hi", { intent: "say", message: "hey", editor: ALICE });
+            })
+            .then(function () {
+                assert(channel.get("hi").ok().message === "hey");
+                assert(channel.get("bye").ok().message === "goodbye");
+                assert(channel.info("bye").ok().namespace === "");
+                assert(replies.get("hi").ok().message === "hello");
+                assert(replies.scope("#other").get("hi").ok().message === "hello");
+                assert(replies.scope("#chan").info("hi").ok().namespace === "#chan");
+                assert(equal(channel.list(), ["bye", "hi"]));
+            });
+        });
+
+        it("show the global reply again once the channel's is forgotten", function () {
+            const replies = Replies();
+            const channel = replies.scope("#chan");
+
+            return setAll(replies, [["hi", "say", "hello", ALICE]])
+            .then(function () {
+                return channel.set("hi", { intent: "say", message: "hey", editor: ALICE });
+            })
+            .then(function () {
+                return channel.delete("hi", ALICE);
+            })
+            .then(function (result) {
+                assert(result.isOk());
+                assert(channel.get("hi").ok().message === "hello");
+                return channel.delete("bye", ALICE);
+            })
+            .then(function (result) {
+                assert(result.fail() === "dne");
+            });
+        });
+
+        it("follow aliases from the namespace they're looked up from", function () {
+            const replies = Replies();
+            const channel = replies.scope("#chan");
+
+            return setAll(replies, [["hi", "say", "hello", ALICE], ["greeting", "alias", "hi", ALICE]])
+            .then(function () {
+                return channel.set("hi", { intent: "say", message: "hey", editor: ALICE });
+            })
+            .then(function () {
+                assert(channel.get("greeting").ok().message === "hey");
+                assert(replies.get("greeting").ok().message === "hello");
+            });
+        });
+    });
+
+    describe("history", function () {
+        // [%Revision{}] -> [[Number, String, String | undefined]]
+        const summarize = function (revisions) {
+            return revisions.map(function (revision) {
+                return [revision.revision, revision.action, revision.message];
+            });
+        };
+
+        it("keeps every change, oldest first, including forgetting", function () {
+            const replies = Replies();
+
+            return setAll(replies, [["hi", "say", "hello", ALICE], ["hi", "say", "hey", ADMIN]])
+            .then(function () {
+                return replies.delete("hi", ADMIN);
+            })
+            .then(function () {
+                const history = replies.history("hi");
+
+                assert(equal(summarize(history), [[1, "set", "hello"], [2, "set", "hey"], [3, "delete", undefined]]));
+                assert(history[1].editor === ADMIN);
+                assert(equal(replies.history("bye"), []));
+            });
+        });
+
+        it("reverts to a revision as a new revision", function () {
+            const replies = Replies();
+
+            return setAll(replies, [["hi", "say", "hello", ALICE], ["hi", "say", "hey", ALICE]])
+            .then(function () {
+                return replies.revert("hi", 1, ADMIN);
+            })
+            .then(function (result) {
+                assert(result.ok().message === "hello");
+                assert(replies.get("hi").ok().message === "hello");
+                assert(equal(summarize(replies.history("hi")), [[1, "set", "hello"], [2, "set", "hey"], [3, "revert", "hello"]]));
+            });
+        });
+
+        it("forgets the reply when reverting to where it was forgotten", function () {
+            const replies = Replies();
+
+            return setAll(replies, [["hi", "say", "hello", ALICE]])
+            .then(function () {
+                return replies.delete("hi", ALICE);
+            })
+            .then(function () {
+                return replies.revert("hi", 1, ALICE);
+            })
+            .then(function () {
+                assert(replies.get("hi").ok().message === "hello");
+                return replies.revert("hi", 2, ALICE);
+            })
+            .then(function (result) {
+                assert(result.isOk());
+                assert(replies.get("hi").fail() === "no-reply");
+                return replies.revert("hi", 2, ALICE);
+            })
+            .then(function (result) {
+                assert(result.fail() === "dne");
+                return replies.revert("hi", 9, ALICE);
+            })
+            .then(function (result) {
+                assert(result.fail() === "no-revision");
+            });
+        });
+
+        it("leaves locked replies locked, and only lets admins revert them", function () {
+            const replies = Replies();
+
+            return setAll(replies, [["hi", "say", "hello", ALICE], ["hi", "say", "hey", ALICE]])
+            .then(function () {
+                return replies.freeze("hi", ADMIN);
+            })
+            .then(function () {
+                return replies.revert("hi", 1, ALICE);
+            })
+            .then(function (result) {
+                assert(result.fail() === "locked");
+                return replies.revert("hi", 1, ADMIN);
+            })
+            .then(function (result) {
+                assert(result.isOk());
+                assert(replies.info("hi").ok().frozen);
+            });
+        });
+    });
+
+    describe("alternatives", function () {
+        // (Replies, String, Number) -> [String] of the messages said.
+        const getMany = function (replies, key, times) {
+            const messages = [];
+
+            for (var ix = 0; ix < times; ix++) {
+                messages.push(replies.get(key).ok().message);
+            }
+
+            return messages;
+        };
+
+        // Replies with `hi` having the messages `a`, `b`, and `c`.
+        // () -> Promise<Replies>
+        const withAlternatives = function () {
+            const replies = Replies();
+
+            return setAll(replies, [["hi", "say", "a", ALICE]])
+            .then(function () {
+                return replies.addAlternative("hi", "b", ALICE);
+            })
+            .then(function () {
+                return replies.addAlternative("hi", "c", ALICE);
+            })
+            .then(function () {
+                return replies;
+            });
+        };
+
+        it("are picked at random by default", function () {
+            return withAlternatives()
+            .then(function (replies) {
+                const said = getMany(replies, "hi", 60);
+
+                assert(equal(replies.messages("hi").ok(), ["a", "b", "c"]));
+                assert(said.indexOf("a") !== -1 && said.indexOf("b") !== -1 && said.indexOf("c") !== -1);
+            });
+        });
+
+        it("are said in turn when rotating", function () {
+            return withAlternatives()
+            .then(function (replies) {
+                return replies.setSelection("hi", "rotate", undefined, ALICE)
+                .then(function (result) {
+                    assert(result.isOk());
+                    assert(equal(getMany(replies, "hi", 4), ["a", "b", "c", "a"]));
+                });
+            });
+        });
+
+        it("are picked by their weights", function () {
+            return withAlternatives()
+            .then(function (replies) {
+                return replies.setSelection("hi", "weighted", [0, 1, 0], ALICE)
+                .then(function () {
+                    assert(equal(getMany(replies, "hi", 10), ["b", "b", "b", "b", "b", "b", "b", "b", "b", "b"]));
+                    return replies.removeAlternative("hi", 1, ALICE);
+                })
+                .then(function (result) {
+                    assert(equal(result.ok().weights, [1, 0]));
+                    assert(equal(getMany(replies, "hi", 3), ["b", "b", "b"]));
+                });
+            });
+        });
+
+        it("need a known selection mode and a weight for each message", function () {
+            return withAlternatives()
+            .then(function (replies) {
+                return replies.setSelection("hi", "sometimes", undefined, ALICE)
+                .then(function (result) {
+                    assert(result.fail() === "bad-selection-mode");
+                    return replies.setSelection("hi", "weighted", [1, 2], ALICE);
+                })
+                .then(function (result) {
+                    assert(result.fail() === "bad-selection-weights");
+                    return replies.setSelection("hi", "weighted", [1, -1, 2], ALICE);
+                })
+                .then(function (result) {
+                    assert(result.fail() === "bad-selection-weights");
+                });
+            });
+        });
+
+        it("can't remove the last message, or be added to aliases", function () {
+            const replies = Replies();
+
+            return setAll(replies, [["hi", "say", "a", ALICE], ["hello", "alias", "hi", ALICE]])
+            .then(function () {
+                return replies.removeAlternative("hi", 1, ALICE);
+            })
+            .then(function (result) {
+                assert(result.fail() === "no-message-left");
+                return replies.removeAlternative("hi", 2, ALICE);
+            })
+            .then(function (result) {
+                assert(result.fail() === "no-alternative");
+                return replies.addAlternative("hello", "b", ALICE);
+            })
+            .then(function (result) {
+                assert(result.fail() === "alias-alternative");
+            });
+        });
+    });
+
+    describe("browsing", function () {
+        it("lists keys, optionally by prefix, with the channel's hiding global ones", function () {
+            const replies = Replies();
+            const channel = replies.scope("#chan");
+
+            return setAll(replies, [["hi", "say", "hello", ALICE], ["hey", "say", "hello", ALICE], ["bye", "say", "goodbye", ALICE]])
+            .then(function () {
+                return channel.set("hi", { intent: "say", message: "hey there", editor: ALICE });
+            })
+            .then(function () {
+                assert(equal(replies.list(), ["bye", "hey", "hi"]));
+                assert(equal(replies.list("H"), ["hey", "hi"]));
+                assert(equal(channel.list("hi"), ["hi"]));
+                assert(equal(channel.search("hi").map(function (entry) { return entry.namespace; }), ["#chan"]));
+            });
+        });
+
+        it("searches keys and every message, case insensitively", function () {
+            const replies = Replies();
+
+            return setAll(replies, [["hi", "say", "hello", ALICE], ["bye", "say", "goodbye", ALICE]])
+            .then(function () {
+                return replies.addAlternative("bye", "See you LATER", ALICE);
+            })
+            .then(function () {
+                assert(equal(replies.search("later").map(function (entry) { return entry.key; }), ["bye"]));
+                assert(equal(replies.search("HI").map(function (entry) { return entry.key; }), ["hi"]));
+                assert(equal(replies.search("nothing"), []));
+            });
+        });
+
+        it("gives info on a reply and the aliases to it", function () {
+            const replies = Replies();
+
+            return setAll(replies, [["hi", "say", "hello", ALICE], ["greeting", "alias", "hi", ALICE]])
+            .then(function () {
+                const info = replies.info("greeting").ok();
+
+                assert(info.key === "greeting");
+                assert(info.intent === "alias");
+                assert(info.editor === ALICE);
+                assert(equal(info.aliasChain, ["greeting", "hi"]));
+                assert(info.aliasFailure === undefined);
+                assert(replies.info("nothing").fail() === "dne");
+            });
+        });
+    });
+
+    describe("aliases", function () {
+        it("give up at the same depth for every lookup", function () {
+            const storage = Storage.create("memory");
+            const deeper = Replies({ storage: storage, maxAliasDepth: 4 });
+            const chain = [["d", "say", "hello"], ["c", "alias", "d"], ["b", "alias", "c"], ["a", "alias", "b"]];
+
+            return chain.reduce(function (previous, link) {
+                return previous.then(function () {
+                    return deeper.set(link[0], { intent: link[1], message: link[2], editor: ADMIN });
+                });
+            }, Promise.resolve())
+            .then(function () {
+                const replies = Replies({ storage: storage, maxAliasDepth: 3 });
+
+                assert(deeper.get("a").ok().message === "hello");
+                assert(replies.get("b").ok().message === "hello");
+                assert(replies.resolve("b").found.value.message === "hello");
+                assert(replies.get("a").fail() === "max-alias-depth-reached");
+                assert(replies.resolve("a").failure === "max-alias-depth-reached");
+                assert(replies.info("a").ok().aliasFailure === "max-alias-depth-reached");
+            });
+        });
+    });
+
+    describe("lastChangeBy", function () {
+        it("doesn't find changes by others behind the same gateway", function () {
+            const replies = Replies({ auditLog: AuditLog(Storage.create("memory")) });
+            const bob = "bob!~irc@gateway.example.com";
+            const eve = "eve!~irc@gateway.example.com";
+
+            return replies.set("hi", { intent: "say", message: "hello", editor: bob })
+            .then(function () {
+                assert(replies.lastChangeBy(eve) === undefined);
+                assert(replies.lastChangeBy("BOB!~irc@gateway.example.com").key === "hi");
+            });
+        });
+    });
+
+    describe("parameters", function () {
+        it("are only filled in by request, never found in text", function () {
+            const replies = Replies();
+
+            return setAll(replies, [["ban $1", "say", "banned $1", ALICE], ["hi", "say", "hello", ALICE]])
+            .then(function () {
+                assert(equal(replies.find("ban $1 and hi"), ["hi"]));
+                assert(equal(replies.find("ban bob"), []));
+                assert(replies.getWithArguments("ban bob").ok().message === "banned bob");
+            });
+        });
+    });
+
+    describe("rename", function () {
+        it("moves the history and usage counts to the new key", function () {
+            const replies = Replies({ usageStats: UsageStats(Storage.create("memory"), { flushInterval: 0 }) });
+
+            return setAll(replies, [["hi", "say", "hello", ALICE], ["hi", "say", "hey", ALICE]])
+            .then(function () {
+                replies.recordHit("hi", "command", "#chan", "bob");
+                return replies.rename("hi", "greeting", ALICE, false);
+            })
+            .then(function (result) {
+                assert(result.isOk());
+                assert(replies.get("hi").fail() === "no-reply");
+                assert(replies.get("greeting").ok().message === "hey");
+                assert(equal(replies.history("greeting").map(function (revision) { return revision.action; }), ["set", "set", "rename"]));
+                assert(replies.usage("greeting").ok().command === 1);
+            });
+        });
+
+        it("points the aliases of the old key at the new key", function () {
+            const replies = Replies();
+
+            return setAll(replies, [["hi", "say", "hello", ALICE], ["hello", "alias", "hi", ALICE]])
+            .then(function () {
+                return replies.rename("hi", "greeting", ALICE, false);
+            })
+            .then(function (result) {
+                assert(equal(result.ok().changed, [{ key: "hello", namespace: "" }]));
+                assert(replies.info("hello").ok().message === "greeting");
+                assert(replies.get("hello").ok().message === "hello");
+            });
+        });
+
+        it("doesn't change aliases the editor may not", function () {
+            const replies = Replies();
+
+            return setAll(replies, [["hi", "say", "hello", ALICE], ["hello", "alias", "hi", ADMIN]])
+            .then(function () {
+                return replies.freeze("hello", ADMIN);
+            })
+            .then(function () {
+                return replies.rename("hi", "greeting", ALICE, true);
+            })
+            .then(function (result) {
+                assert(result.ok().changed.length === 0);
+                assert(result.ok().failed[0].key === "hello");
+                assert(result.ok().failed[0].reason === "locked");
+                assert(replies.info("hello").ok().message === "hi");
+                assert(replies.get("hello").ok().message === "hello");
+            });
+        });
+
+        it("keeps the old key locked", function () {
+            const replies = Replies();
+
+            return setAll(replies, [["hi", "say", "hello", ADMIN]])
+            .then(function () {
+                return replies.freeze("hi", ADMIN);
+            })
+            .then(function () {
+                return replies.rename("hi", "greeting", ADMIN, false);
+            })
+            .then(function () {
+                return replies.set("hi", { intent: "say", message: "vandalized", editor: ALICE });
+            })
+            .then(function (result) {
+                assert(result.fail() === "locked");
+            });
+        });
+    });
+
+    describe("copy", function () {
+        it("copies the history, but not the usage counts or the lock", function () {
+            const replies = Replies({ usageStats: UsageStats(Storage.create("memory"), { flushInterval: 0 }) });
+
+            return setAll(replies, [["hi", "say", "hello", ADMIN], ["hi", "say", "hey", ADMIN]])
+            .then(function () {
+                replies.recordHit("hi", "command", "#chan", "bob");
+                return replies.freeze("hi", ADMIN);
+            })
+            .then(function () {
+                return replies.copy("hi", "greeting", ALICE);
+            })
+            .then(function (result) {
+                assert(result.ok().owner === "*!a@alice.example.com");
+                assert(replies.get("hi").ok().message === "hey");
+                assert(replies.get("greeting").ok().message === "hey");
+                assert(equal(replies.history("greeting").map(function (revision) { return revision.action; }), ["set", "set", "copy"]));
+                assert(replies.info("greeting").ok().frozen === false);
+                assert(replies.usage("greeting").isFail() || replies.usage("greeting").ok().command === 0);
+            });
+        });
+    });
+
+    describe("approve", function () {
+        // Replies where every change by somebody who isn't an admin needs approval.
+        const moderatedReplies = function () {
+            return Replies({ pendingQueue: PendingQueue(Storage.create("memory")) });
+        };
+
+        it("makes the pending change", function () {
+            const replies = moderatedReplies();
+
+            return replies.set("hi", { intent: "say", message: "hello", editor: ALICE })
+            .then(function (result) {
+                assert(result.ok().pending === 1);
+                assert(replies.get("hi").fail() === "no-reply");
+                return replies.approve(1);
+            })
+            .then(function (result) {
+                assert(result.ok().key === "hi");
+                assert(replies.get("hi").ok().message === "hello");
+                assert(replies.pending().length === 0);
+            });
+        });
+
+        it("doesn't overwrite replies locked since the change was queued", function () {
+            const replies = moderatedReplies();
+
+            return replies.set("hi", { intent: "say", message: "hello", editor: ADMIN })
+            .then(function () {
+                return replies.set("hi", { intent: "say", message: "vandalized", editor: ALICE });
+            })
+            .then(function () {
+                return replies.freeze("hi", ADMIN);
+            })
+            .then(function () {
+                return replies.approve(1);
+            })
+            .then(function (result) {
+                assert(result.fail() === "locked");
+                assert(replies.get("hi").ok().message === "hello");
+            });
+        });
+    });
+});
@@ -0,0 +1,69 @@
+const assert = require("better-assert");
+const equal = require("deep-eql");
+
+const Schedule = require("../schedule");
+const Storage = require("../storage");
+
+// Monday, 08:59 UTC.
+const START = Date.UTC(2026, 9, 19, 8, 59);
+const MINUTE = 60 * 1000;
+
+describe("Schedule", function () {
+    var time;
+    var announced;
+    var storage;
+
+    // () -> Schedule
+    const schedule = function () {
+        return Schedule(storage, {
+            now: function () { return time; },
+            announce: function (announcement) { announced.push(announcement.id); }
+        });
+    };
+
+    beforeEach(function () {
+        time = START;
+        announced = [];
+        storage = Storage.create("memory");
+    });
+
+    it("says announcements once in the minutes their cron matches", function () {
+        const weekdays = schedule();
+
+        weekdays.add({ key: "standup", channel: "#chan", cron: "0 9 * * mon-fri", editor: "root!r@admin" });
+
+        weekdays.tick();
+        assert(announced.length === 0);
+
+        time = START + MINUTE;
+        weekdays.tick();
+        time = START + MINUTE + 30 * 1000;
+        weekdays.tick();
+        assert(equal(announced, [1]));
+
+        time = START + 2 * MINUTE;
+        weekdays.tick();
+        assert(equal(announced, [1]));
+    });
+
+    it("doesn't say announcements again after a restart in the same minute", function () {
+        schedule().add({ key: "standup", channel: "#chan", cron: "0 9 * * *", editor: "root!r@admin" });
+
+        time = START + MINUTE;
+        schedule().tick();
+        schedule().tick();
+
+        assert(equal(announced, [1]));
+    });
+
+    it("doesn't say announcements on days their cron doesn't match", function () {
+        const weekends = schedule();
+
+        weekends.add({ key: "brunch", channel: "#chan", cron: "0 9 * * sat,sun", editor: "root!r@admin" });
+
+        time = START + MINUTE;
+        weekends.tick();
+
+        assert(announced.length === 0);
+    });
+});
@@ -0,0 +1,242 @@
+const assert = require("better-assert");
+const childProcess = require("child_process");
+const equal = require("deep-eql");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const Storage = require("../storage");
+
+const hasSqlite = (function () {
+    try {
+        require("better-sqlite3");
+        return true;
+    } catch (err) {
+        return false;
+    }
+}());
+
+var fileCount = 0;
+
+// A location in the temporary directory that nothing is at yet.
+// () -> String
+const temporaryLocation = function () {
+    fileCount += 1;
+    return path.join(os.tmpdir(), ["tennu-replies-test", process.pid, fileCount].join("-"));
+};
+
+const removeFiles = function (locations) {
+    locations.forEach(function (location) {
+        [location, location + ".history", location + ".stats", location + ".stats.history"].forEach(function (file) {
+            if (fs.existsSync(file)) {
+                fs.unlinkSync(file);
+            }
+        });
+    });
+};
+
+// (String, String?) -> Promise<%Storage{}>
+const open = function (type, location) {
+    return new Promise(function (resolve) {
+        const storage = Storage.create(type, {
+            location: location,
+            historyLocation: location && location + ".history"
+        });
+
+        storage.onLoad(function () {
+            resolve(storage);
+        });
+    });
+};
+
+// %Storage{} -> Promise
+const flush = function (storage) {
+    return new Promise(function (resolve) {
+        storage.flush(resolve);
+    });
+};
+
+const reply = function (message) {
+    return { intent: "say", message: message, editor: "a!b@c", time: "2026-10-19T00:00:00.000Z" };
+};
+
+// The same tests run against every adapter, since replies.js can't tell
+// them apart. `persistent` adapters are also checked to survive reopening.
+const adapters = [
+    { type: "memory", persistent: false },
+    { type: "dirty", persistent: true },
+    { type: "sqlite", persistent: true, skip: !hasSqlite }
+];
+
+adapters.forEach(function (adapter) {
+    (adapter.skip ? describe.skip : describe)("Storage: " + adapter.type, function () {
+        var locations;
+        var storage;
+
+        beforeEach(function () {
+            locations = [temporaryLocation()];
+
+            return open(adapter.type, adapter.persistent ? locations[0] : undefined)
+            .then(function (opened) {
+                storage = opened;
+            });
+        });
+
+        afterEach(function () {
+            return flush(storage).then(function () {
+                removeFiles(locations);
+            });
+        });
+
+        it("gets what was set", function () {
+            storage.set("key", reply("value"));
+            storage.set("key@#channel", reply("channel value"));
+
+            assert(equal(storage.get("key"), reply("value")));
+            assert(equal(storage.get("key@#channel"), reply("channel value")));
+            assert(storage.get("missing") === undefined);
+        });
+
+        it("overwrites and deletes", function () {
+            storage.set("key", reply("first"));
+            storage.set("key", reply("second"));
+            assert(storage.get("key").message === "second");
+
+            storage.delete("key");
+            assert(storage.get("key") === undefined);
+        });
+
+        it("iterates over every reply that isn't deleted", function () {
+            const seen = {};
+
+            storage.set("one", reply("1"));
+            storage.set("two", reply("2"));
+            storage.set("gone", reply("3"));
+            storage.delete("gone");
+
+            storage.forEach(function (key, value) {
+                if (value) {
+                    seen[key] = value.message;
+                }
+            });
+
+            assert(equal(seen, { one: "1", two: "2" }));
+        });
+
+        it("numbers revisions per key from 1", function () {
+            assert(storage.revisionCount("key") === 0);
+            assert(storage.appendRevision("key", reply("first")) === 1);
+            assert(storage.appendRevision("key", reply("second")) === 2);
+            assert(storage.appendRevision("other", reply("other")) === 1);
+
+            assert(storage.revisionCount("key") === 2);
+            assert(storage.getRevision("key", 1).message === "first");
+            assert(storage.getRevision("key", 2).revision === 2);
+            assert(storage.getRevision("key", 3) === undefined);
+        });
+
+        it("iterates over every revision", function () {
+            const seen = [];
+
+            storage.appendRevision("key", reply("first"));
+            storage.appendRevision("other", reply("other"));
+            storage.appendRevision("key", reply("second"));
+
+            storage.forEachRevision(function (key, revision) {
+                seen.push(key + " " + revision.revision + " " + revision.message);
+            });
+
+            assert(equal(seen.sort(), ["key 1 first", "key 2 second", "other 1 other"]));
+        });
+
+        it("is empty until something is stored", function () {
+            assert(Storage.isEmpty(storage));
+            storage.appendRevision("key", reply("first"));
+            assert(!Storage.isEmpty(storage));
+        });
+
+        it("copies everything into another storage, keeping revision numbers", function () {
+            storage.set("key", reply("second"));
+            storage.appendRevision("key", reply("first"));
+            storage.appendRevision("key", reply("second"));
+
+            return open("memory").then(function (copy) {
+                assert(equal(Storage.copy(storage, copy), { replies: 1, revisions: 2 }));
+                assert(copy.get("key").message === "second");
+                assert(copy.revisionCount("key") === 2);
+                assert(copy.getRevision("key", 1).message === "first");
+            });
+        });
+
+        if (adapter.persistent) {
+            it("keeps replies and revisions when reopened", function () {
+                storage.set("key", reply("value"));
+                storage.set("gone", reply("value"));
+                storage.delete("gone");
+                storage.appendRevision("key", reply("value"));
+
+                return flush(storage)
+                .then(function () {
+                    return open(adapter.type, locations[0]);
+                })
+                .then(function (reopened) {
+                    assert(equal(reopened.get("key"), reply("value")));
+                    assert(reopened.get("gone") === undefined);
+                    assert(reopened.revisionCount("key") === 1);
+                    assert(reopened.appendRevision("key", reply("next")) === 2);
+
+                    return flush(reopened);
+                });
+            });
+        }
+    });
+});
+
+describe("scripts/migrate-storage.js", function () {
+    const script = path.join(__dirname, "..", "scripts", "migrate-storage.js");
+    var from, to;
+
+    // [String] -> {status: Number, stdout: String, stderr: String}
+    const migrate = function (args) {
+        return childProcess.spawnSync(process.execPath, [script].concat(args), { encoding: "utf8" });
+    };
+
+    beforeEach(function () {
+        from = temporaryLocation();
+        to = temporaryLocation();
+
+        return Promise.all([open("dirty", from), open("dirty", from + ".stats")])
+        .then(function (storages) {
+            storages[0].set("key", reply("value"));
+            storages[0].appendRevision("key", reply("value"));
+            storages[1].set("key", { passive: 1, requested: 2 });
+
+            return Promise.all(storages.map(flush));
+        });
+    });
+
+    afterEach(function () {
+        removeFiles([from, to]);
+    });
+
+    it("copies the replies, their history and the stores next to them", function () {
+        const result = migrate(["dirty", from, "dirty", to]);
+        assert(result.status === 0);
+
+        return Promise.all([open("dirty", to), open("dirty", to + ".stats")])
+        .then(function (storages) {
+            assert(storages[0].get("key").message === "value");
+            assert(storages[0].revisionCount("key") === 1);
+            assert(equal(storages[1].get("key"), { passive: 1, requested: 2 }));
+        });
+    });
+
+    it("won't copy into a database that has something in it without --force", function () {
+        assert(migrate(["dirty", from, "dirty", to]).status === 0);
+
+        const result = migrate(["dirty", from, "dirty", to]);
+        assert(result.status === 1);
+        assert(result.stderr.indexOf("Use --force") !== -1);
+        assert(migrate(["--force", "dirty", from, "dirty", to]).status === 0);
+    });
+});
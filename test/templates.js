@@ -0,0 +1,79 @@
+const assert = require("better-assert");
+const equal = require("deep-eql");
+const Result = require("r-result");
+
+const Templates = require("../templates");
+
+describe("Templates", function () {
+    // Map<String, String> -> String -> Result<%Tennu.Message{}, String>
+    const lookupIn = function (messages) {
+        return function (key) {
+            return messages[key] === undefined ? Result.Fail("no-reply") : Result.Ok({ intent: "say", message: messages[key] });
+        };
+    };
+
+    const context = {
+        nick: "alice",
+        channel: "#chan",
+        args: "some words",
+        date: new Date(Date.UTC(2025, 2, 3, 12)),
+        lookup: lookupIn({ name: "the bot", greeting: "hi {nick}", loop: "{reply:loop}" })
+    };
+
+    // String -> Result<String, String>
+    const render = function (message) {
+        return Templates.render(message, context, 3, ["key"]);
+    };
+
+    describe("render", function () {
+        it("fills in who said it, where, and what else they said", function () {
+            assert(render("{nick} in {channel} said {args}").ok() === "alice in #chan said some words");
+            assert(render("hi {target}, {displayname}").ok() === "hi alice, alice");
+            assert(Templates.render("hi {target}", { nick: "alice", target: "bob" }, 3).ok() === "hi bob");
+            assert(render("today is {date}").ok() === "today is 2025-03-03");
+        });
+
+        it("leaves braces that aren't placeholders alone", function () {
+            assert(render("function () {} {unknown} {lbrace}nick}").ok() === "function () {} {unknown} {nick}");
+        });
+
+        it("picks one of the random options", function () {
+            const seen = {};
+
+            for (var ix = 0; ix < 50; ix++) {
+                seen[render("{random:a|b}").ok()] = true;
+            }
+
+            assert(equal(Object.keys(seen).sort(), ["a", "b"]));
+        });
+
+        it("includes other replies, filling in their placeholders", function () {
+            assert(render("I'm {reply:name}. {reply:Greeting}").ok() === "I'm the bot. hi alice");
+            assert(render("{reply:nothing}").fail() === "template-include-missing");
+            assert(render("{reply:loop}").fail() === "template-include-cycle");
+            assert(render("{reply:key}").fail() === "template-include-cycle");
+        });
+
+        it("gives up on including replies too deep", function () {
+            const deep = { lookup: lookupIn({ a: "{reply:b}", b: "{reply:c}", c: "{reply:d}", d: "end" }) };
+
+            assert(Templates.render("{reply:a}", deep, 4).ok() === "end");
+            assert(Templates.render("{reply:a}", deep, 3).fail() === "max-alias-depth-reached");
+        });
+    });
+
+    describe("validate", function () {
+        it("rejects unclosed placeholders and bad arguments in any message", function () {
+            assert(Templates.validate({ intent: "say", message: "{reply:name" }).fail() === "bad-template-unclosed");
+            assert(Templates.validate({ intent: "say", message: "ok", alternatives: ["{random:}"] }).fail() === "bad-template-argument");
+            assert(Templates.validate({ intent: "say", message: "{nick:x}" }).fail() === "bad-template-argument");
+            assert(Templates.validate({ intent: "alias", message: "{reply:name" }).isOk());
+        });
+    });
+
+    describe("escape", function () {
+        it("makes text render as itself", function () {
+            assert(render(Templates.escape("{nick} {reply:name}")).ok() === "{nick} {reply:name}");
+        });
+    });
+});
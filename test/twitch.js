@@ -0,0 +1,105 @@
+const assert = require("better-assert");
+const equal = require("deep-eql");
+const Promise = require("bluebird");
+
+const Client = require("./helpers/client");
+
+// Twitch users, with the tags Twitch sends with their messages.
+const MODERATOR = { hostmask: "mod!mod@mod.tmi.twitch.tv", tags: { "badges": "moderator/1", "display-name": "Mod" } };
+const SUBSCRIBER = { hostmask: "sub!sub@sub.tmi.twitch.tv", tags: { "badges": "subscriber/12", "display-name": "Sub" } };
+const VIEWER = { hostmask: "viewer!viewer@viewer.tmi.twitch.tv", tags: { "badges": "", "display-name": "ViEwEr" } };
+
+// Object? -> Client
+const twitchClient = function (config) {
+    const twitchConfig = { "daemon": "twitch", "replies-passive-channels": [] };
+
+    Object.keys(config || {}).forEach(function (name) {
+        twitchConfig[name] = config[name];
+    });
+
+    return Client(twitchConfig);
+};
+
+// (Client, [[User, String]]) -> Promise<[String | undefined]> of the responses.
+const sendAll = function (client, messages) {
+    return Promise.reduce(messages, function (responses, message) {
+        return Client.send(client, Client.privmsg(message[0].hostmask, message[1], message[0].tags))
+        .then(function (response) {
+            return responses.concat([response]);
+        });
+    }, []);
+};
+
+describe("Twitch", function () {
+    afterEach(Client.closeAll);
+
+    describe("badges", function () {
+        it("let subscribers change replies that need the registered role", function () {
+            const client = twitchClient({ "replies-permissions": { learn: "registered" } });
+
+            return sendAll(client, [
+                [VIEWER, "!learn hi = hello"],
+                [SUBSCRIBER, "!learn hi = hello"]
+            ])
+            .then(function (responses) {
+                assert(responses[0] === "You are not allowed to learn new replies here.");
+                assert(responses[1] === "Learned reply 'hi'.");
+            });
+        });
+
+        it("don't make moderators admins by default", function () {
+            const client = twitchClient();
+
+            return sendAll(client, [
+                [MODERATOR, "!learn hi = hello"],
+                [MODERATOR, "!lock hi"]
+            ])
+            .then(function (responses) {
+                assert(responses[1] === "You are not allowed to lock or unlock replies here.");
+            });
+        });
+
+        it("make moderators admins when configured to", function () {
+            const client = twitchClient({ "replies-twitch": { badges: { moderator: "admin" } } });
+
+            return sendAll(client, [
+                [MODERATOR, "!learn hi = hello"],
+                [MODERATOR, "!lock hi"]
+            ])
+            .then(function (responses) {
+                assert(responses[1] === "Locked reply 'hi'.");
+            });
+        });
+    });
+
+    describe("chat commands", function () {
+        it("look up replies with the display name of who asked", function () {
+            const client = twitchClient();
+
+            return sendAll(client, [
+                [SUBSCRIBER, "!learn hi = Hello {displayname}!"],
+                [VIEWER, "!hi"]
+            ])
+            .then(function () {
+                assert(equal(client.said, [["say", "#chan", "Hello ViEwEr!"]]));
+            });
+        });
+
+        it("don't count commands for other bots against the rate limit", function () {
+            const client = twitchClient({
+                "replies-command-limits": { "key-cooldown": 0, "user-limit": 2, "user-window": 60 * 1000 }
+            });
+
+            return sendAll(client, [
+                [SUBSCRIBER, "!learn hi = hello"],
+                [VIEWER, "!uptime"],
+                [VIEWER, "!so someone"],
+                [VIEWER, "!hi"],
+                [VIEWER, "!hi"]
+            ])
+            .then(function () {
+                assert(equal(client.said, [["say", "#chan", "hello"], ["say", "#chan", "hello"]]));
+            });
+        });
+    });
+});
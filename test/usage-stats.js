@@ -0,0 +1,72 @@
+const assert = require("better-assert");
+const equal = require("deep-eql");
+
+const UsageStats = require("../usage-stats");
+const Storage = require("../storage");
+
+// Memory storage that loads when `load` is called, like the Dirty adapter
+// loading its file.
+const slowStorage = function () {
+    const storage = Storage.create("memory");
+    const onLoadFns = [];
+
+    storage.onLoad = function (fn) {
+        onLoadFns.push(fn);
+    };
+
+    storage.load = function () {
+        onLoadFns.forEach(function (fn) { fn(); });
+    };
+
+    return storage;
+};
+
+describe("UsageStats", function () {
+    it("adds counts made before loading to the stored counts", function () {
+        const storage = slowStorage();
+        storage.set("hits:hi", { passive: 2, command: 1, channels: { "#a": 2 }, last: "2020-01-01T00:00:00.000Z", lastChannel: "#a" });
+        storage.set("edits:*!a@example.com", 3);
+
+        const stats = UsageStats(storage, { flushInterval: 0, now: function () { return Date.UTC(2021, 0, 1); } });
+
+        stats.hit("hi", "passive", "#B");
+        stats.edit("*!a@example.com");
+        storage.load();
+
+        assert(equal(stats.usage("hi"), {
+            passive: 3,
+            command: 1,
+            channels: { "#a": 2, "#b": 1 },
+            last: "2021-01-01T00:00:00.000Z",
+            lastChannel: "#B"
+        }));
+        assert(stats.edits()["*!a@example.com"] === 4);
+    });
+
+    it("doesn't write counts until the storage loads", function () {
+        const storage = slowStorage();
+        storage.set("hits:hi", { passive: 2, command: 0, channels: {} });
+
+        const stats = UsageStats(storage, { flushInterval: 0 });
+
+        stats.hit("hi", "command");
+        stats.flush();
+        assert(storage.get("hits:hi").passive === 2);
+
+        storage.load();
+        stats.flush();
+        assert(storage.get("hits:hi").passive === 2);
+        assert(storage.get("hits:hi").command === 1);
+    });
+
+    it("calls back once what changed is saved", function (done) {
+        const storage = Storage.create("memory");
+        const stats = UsageStats(storage, { flushInterval: 0 });
+
+        stats.hit("hi", "command");
+        stats.flush(function () {
+            assert(storage.get("hits:hi").command === 1);
+            done();
+        });
+    });
+});
@@ -0,0 +1,114 @@
+const assert = require("better-assert");
+const Result = require("r-result");
+
+const Validation = require("../validation");
+
+const rules = Validation.rules;
+
+// (String, [String]?, String?) -> %Reply{}
+const reply = function (message, alternatives, intent) {
+    return { intent: intent || "say", message: message, alternatives: alternatives, editor: "a!b@c" };
+};
+
+describe("Validation", function () {
+    describe("rules", function () {
+        it("limit how long every message is, in bytes", function () {
+            const rule = rules.maxLength(4);
+
+            assert(rule(reply("abcd")).isOk());
+            assert(rule(reply("abcd", ["abcde"])).fail() === "message-too-long");
+            assert(rule(reply("äää")).fail() === "message-too-long");
+        });
+
+        it("block whole words, case insensitively", function () {
+            const rule = rules.blockedWords(["darn"]);
+
+            assert(rule(reply("DARN it")).fail() === "blocked-word");
+            assert(rule(reply("well, darn.")).fail() === "blocked-word");
+            assert(rule(reply("darned")).isOk());
+            assert(rules.blockedWords([])(reply("darn")).isOk());
+        });
+
+        it("block links to domains and their subdomains", function () {
+            const rule = rules.blockedDomains([".bad.example"]);
+
+            assert(rule(reply("see https://www.bad.example/page")).fail() === "blocked-domain");
+            assert(rule(reply("fine", ["bad.example"])).fail() === "blocked-domain");
+            assert(rule(reply("notbad.example.org and goodbad.example")).isOk());
+        });
+
+        it("reject CTCP and control characters, but not formatting", function () {
+            const rule = rules.noControlCharacters();
+
+            assert(rule(reply("\x01VERSION\x01")).fail() === "ctcp-injection");
+            assert(rule(reply("hi\r\nQUIT")).fail() === "control-characters");
+            assert(rule(reply("\x02bold\x02 \x0304red\x03")).isOk());
+            assert(Validation.stripControlCharacters("a\x01b\r\nc\x02d") === "abc\x02d");
+        });
+
+        it("limit how many nicknames a message mentions", function () {
+            const rule = rules.maxHighlights(2, function () { return ["alice", "Bob", "carol"]; });
+
+            assert(rule(reply("alice bob alice")).isOk());
+            assert(rule(reply("alice, bob: ping CAROL")).fail() === "highlight-spam");
+        });
+
+        it("limit the lines of multi-line replies, and check each line", function () {
+            assert(rules.maxLines(2)(reply("a\\nb\\nc", undefined, "multiline")).fail() === "too-many-lines");
+            assert(rules.maxLines(2)(reply("a\\nb\\nc")).isOk());
+            assert(rules.maxLength(2)(reply("ab\\ncd", undefined, "multiline")).isOk());
+            assert(rules.maxLength(2)(reply("ab\\ncd")).fail() === "message-too-long");
+        });
+
+        it("need CTCP replies to have a type other than DCC", function () {
+            const rule = rules.ctcpType();
+
+            assert(rule(reply("VERSION bot 1.0", undefined, "ctcp")).isOk());
+            assert(rule(reply("DCC SEND file", undefined, "ctcp")).fail() === "bad-ctcp-type");
+            assert(rule(reply("1234", undefined, "ctcp")).fail() === "bad-ctcp-type");
+            assert(rule(reply("DCC SEND file")).isOk());
+        });
+
+        it("keep Twitch commands out of what's said, but not actions", function () {
+            const rule = rules.noTwitchCommands();
+
+            assert(rule(reply("/ban someone")).fail() === "maybe-twitch-command");
+            assert(rule(reply("hi", ["!points"])).fail() === "maybe-twitch-command");
+            assert(rule(reply("/me waves", undefined, "act")).isOk());
+        });
+    });
+
+    describe("pipeline", function () {
+        it("runs its rules in order, stopping at the first failure", function () {
+            const validation = Validation();
+            const ran = [];
+
+            validation.add(function (value) {
+                ran.push("first");
+                return value.message === "bad" ? Result.Fail("first-rule") : Result.Ok(value);
+            }, { "first-rule": "Breaks the first rule." });
+            validation.add(function (value) {
+                ran.push("second");
+                return Result.Fail("second-rule");
+            });
+
+            assert(validation.validate(reply("bad")).fail() === "first-rule");
+            assert(ran.join(",") === "first");
+            assert(validation.validate(reply("good")).fail() === "second-rule");
+            assert(validation.describe("first-rule") === "Breaks the first rule.");
+            assert(validation.describe("second-rule") === undefined);
+        });
+
+        it("only takes functions as rules", function () {
+            var threw = false;
+
+            try {
+                Validation().add("rule");
+            } catch (err) {
+                threw = true;
+            }
+
+            assert(threw);
+        });
+    });
+});
@@ -0,0 +1,357 @@
+/**
+ * Times for replies that are only said some of the time. See replies.js
+ * and schedule.js.
+ *
+ * Times of day are in a time zone, named as in the IANA database, such
+ * as "Europe/Berlin". The default is "UTC".
+ *
+ * %ActiveTimes{
+ *   days: [Number] of the days of the week, 0 being Sunday. ^1
+ *   hours: [from, to] of the hours from 0 to 24, including `from` but not
+ *          `to`. When `from` is after `to`, the hours go past midnight. ^1
+ * }
+ *
+ * 1: Optional. Missing means every day, or every hour.
+ *
+ * Written as days and hours, e.g. `mon-fri 9-17`, `sat,sun`, or `22-6`.
+ *
+ * Schedules are cron expressions of five fields: minute, hour, day of
+ * the month, month, and day of the week. Each field is `*`, a number, a
+ * range such as `1-5`, or a list of those such as `1,3,10-12`, and any
+ * of them can take a step such as `*\/15`. Months and days of the week
+ * can also be names, such as `jan` and `mon`, and both 0 and 7 are Sunday.
+ * As with cron, when both kinds of day are given, either one can match.
+ *
+ * Durations are numbers of weeks, days, hours, and minutes, such as
+ * `2h`, `1d12h`, or `30m`.
+ **/
+
+const Result = require('r-result');
+const Ok = Result.Ok;
+const Fail = Result.Fail;
+
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+const DURATION_UNITS = {
+    w: 7 * 24 * 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    h: 60 * 60 * 1000,
+    m: 60 * 1000
+};
+
+// The fields of a cron expression, in order.
+const CRON_FIELDS = [
+    { name: "minute", min: 0, max: 59 },
+    { name: "hour", min: 0, max: 23 },
+    { name: "day", min: 1, max: 31 },
+    { name: "month", min: 1, max: 12, names: MONTH_NAMES, firstName: 1 },
+    { name: "weekday", min: 0, max: 7, names: DAY_NAMES, firstName: 0 }
+];
+
+// Map<TimeZone, Intl.DateTimeFormat>
+const formatters = Object.create(null);
+
+// TimeZone -> Intl.DateTimeFormat
+const formatterFor = function (timeZone) {
+    if (!formatters[timeZone]) {
+        formatters[timeZone] = new Intl.DateTimeFormat("en-US", {
+            timeZone: timeZone,
+            hourCycle: "h23",
+            month: "numeric",
+            day: "numeric",
+            hour: "numeric",
+            minute: "numeric",
+            weekday: "short"
+        });
+    }
+
+    return formatters[timeZone];
+};
+
+// String -> Boolean
+const isTimeZone = function (timeZone) {
+    try {
+        formatterFor(timeZone);
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+// The time of day and date of a time in a time zone.
+// (Number, TimeZone?) -> {minute, hour, day, month, weekday: Number}
+const localTime = function (time, timeZone) {
+    const local = {};
+
+    formatterFor(timeZone || "UTC").formatToParts(new Date(time)).forEach(function (part) {
+        if (part.type === "weekday") {
+            local.weekday = DAY_NAMES.indexOf(part.value.toLowerCase());
+        } else if (part.type !== "literal") {
+            local[part.type] = Number(part.value);
+        }
+    });
+
+    return local;
+};
+
+// String -> Result<Number, "bad-duration">
+// In milliseconds.
+const parseDuration = function (text) {
+    const regexp = /(\d+)([wdhm])/g;
+    var duration = 0;
+    var match;
+
+    if (!/^(\d+[wdhm])+$/.test(text)) {
+        return Fail("bad-duration");
+    }
+
+    while ((match = regexp.exec(text)) !== null) {
+        duration += Number(match[1]) * DURATION_UNITS[match[2]];
+    }
+
+    return duration > 0 ? Ok(duration) : Fail("bad-duration");
+};
+
+// A duration from now, or a date such as `2026-10-20T15:00Z`.
+// (String, Number) -> Result<Number, "bad-time">
+const parseTime = function (text, now) {
+    text = text.toLowerCase();
+
+    return parseDuration(text)
+    .map(function (duration) {
+        return now + duration;
+    })
+    .orElse(function () {
+        const time = /^\d{4}-\d\d-\d\d/.test(text) ? Date.parse(text.toUpperCase()) : NaN;
+        return isNaN(time) ? Fail("bad-time") : Ok(time);
+    });
+};
+
+// A duration before now, or a date such as `2026-10-20T15:00Z`.
+// (String, Number) -> Result<Number, "bad-time">
+const parseTimeAgo = function (text, now) {
+    return parseDuration(text.toLowerCase())
+    .map(function (duration) {
+        return now - duration;
+    })
+    .orElse(function () {
+        return parseTime(text, now);
+    });
+};
+
+// A day of the week by name or number, with 7 being Sunday.
+// String -> Number | undefined
+const parseDay = function (text) {
+    const day = /^[0-7]$/.test(text) ? Number(text) % 7 : DAY_NAMES.indexOf(text);
+    return day === -1 ? undefined : day;
+};
+
+// String -> Result<%ActiveTimes{}, "bad-active-times">
+const parseActiveTimes = function (text) {
+    const active = {};
+    const words = text.toLowerCase().split(/\s+/).filter(function (word) {
+        return word !== "";
+    });
+
+    for (var ix = 0; ix < words.length; ix++) {
+        const hours = /^(\d\d?)-(\d\d?)$/.exec(words[ix]);
+
+        if (hours && !active.hours && Number(hours[1]) <= 24 && Number(hours[2]) <= 24 && hours[1] !== hours[2]) {
+            active.hours = [Number(hours[1]) % 24, Number(hours[2]) % 24];
+            continue;
+        }
+
+        if (active.days) {
+            return Fail("bad-active-times");
+        }
+
+        const days = [];
+        const valid = words[ix].split(",").every(function (part) {
+            const range = part.split("-").map(parseDay);
+
+            if (range.length > 2 || range.some(function (day) { return day === undefined; })) {
+                return false;
+            }
+
+            // Ranges like `fri-mon` go around the end of the week.
+            for (var day = range[0]; ; day = (day + 1) % 7) {
+                if (days.indexOf(day) === -1) {
+                    days.push(day);
+                }
+
+                if (day === range[range.length - 1]) {
+                    return true;
+                }
+            }
+        });
+
+        if (!valid) {
+            return Fail("bad-active-times");
+        }
+
+        active.days = days.sort(function (lhs, rhs) {
+            return lhs - rhs;
+        });
+    }
+
+    return Object.keys(active).length === 0 ? Fail("bad-active-times") : Ok(active);
+};
+
+// Checks active times that weren't made by parseActiveTimes, such as
+// those of imported replies.
+// Any -> Result<%ActiveTimes{}, "bad-active-times">
+const validateActiveTimes = function (active) {
+    const isHour = function (hour) {
+        return typeof hour === "number" && hour % 1 === 0 && hour >= 0 && hour < 24;
+    };
+
+    if (!active || typeof active !== "object" || Array.isArray(active) || (!active.days && !active.hours)) {
+        return Fail("bad-active-times");
+    }
+
+    if (active.days && !(Array.isArray(active.days) && active.days.length !== 0 && active.days.every(function (day) {
+        return typeof day === "number" && day % 1 === 0 && day >= 0 && day < 7;
+    }))) {
+        return Fail("bad-active-times");
+    }
+
+    if (active.hours && !(Array.isArray(active.hours) && active.hours.length === 2 &&
+        active.hours.every(isHour) && active.hours[0] !== active.hours[1])) {
+        return Fail("bad-active-times");
+    }
+
+    return Ok(active);
+};
+
+// (%ActiveTimes{}, Number, TimeZone?) -> Boolean
+const isActive = function (active, time, timeZone) {
+    const local = localTime(time, timeZone);
+
+    if (active.days && active.days.indexOf(local.weekday) === -1) {
+        return false;
+    }
+
+    if (!active.hours) {
+        return true;
+    }
+
+    const from = active.hours[0];
+    const to = active.hours[1];
+
+    return from < to
+        ? local.hour >= from && local.hour < to
+        : local.hour >= from || local.hour < to;
+};
+
+// %ActiveTimes{} -> String
+const describeActiveTimes = function (active) {
+    const parts = [];
+
+    if (active.days) {
+        parts.push(active.days.map(function (day) {
+            return DAY_NAMES[day];
+        }).join(","));
+    }
+
+    if (active.hours) {
+        parts.push(active.hours.join("-"));
+    }
+
+    return parts.join(" ");
+};
+
+// Parses one field of a cron expression into the values it matches.
+// (String, Object) -> Map<Number, Boolean> | undefined
+const parseCronField = function (text, field) {
+    const values = Object.create(null);
+
+    // String -> Number | undefined
+    const parseValue = function (value) {
+        if (/^\d+$/.test(value)) {
+            return Number(value);
+        }
+
+        const ix = field.names ? field.names.indexOf(value) : -1;
+        return ix === -1 ? undefined : ix + field.firstName;
+    };
+
+    const valid = text.split(",").every(function (part) {
+        const stepped = part.split("/");
+        const step = stepped.length === 2 ? Number(stepped[1]) : 1;
+        const range = stepped[0] === "*" ? [field.min, field.max] : stepped[0].split("-").map(parseValue);
+        const from = range[0];
+        const to = range.length === 2 ? range[1] : (stepped.length === 2 ? field.max : from);
+
+        if (stepped.length > 2 || range.length > 2 || !(step >= 1) || Math.floor(step) !== step ||
+            from === undefined || to === undefined || from < field.min || to > field.max || from > to) {
+            return false;
+        }
+
+        for (var value = from; value <= to; value += step) {
+            values[value] = true;
+        }
+
+        return true;
+    });
+
+    return valid ? values : undefined;
+};
+
+// %Cron{} is a parsed cron expression, with the values each field matches.
+// String -> Result<%Cron{}, "bad-cron">
+const parseCron = function (text) {
+    const parts = text.toLowerCase().split(/\s+/).filter(function (part) {
+        return part !== "";
+    });
+
+    if (parts.length !== CRON_FIELDS.length) {
+        return Fail("bad-cron");
+    }
+
+    const cron = {
+        anyDay: parts[2][0] === "*",
+        anyWeekday: parts[4][0] === "*"
+    };
+
+    for (var ix = 0; ix < CRON_FIELDS.length; ix++) {
+        const values = parseCronField(parts[ix], CRON_FIELDS[ix]);
+
+        if (!values) {
+            return Fail("bad-cron");
+        }
+
+        cron[CRON_FIELDS[ix].name] = values;
+    }
+
+    if (cron.weekday[7]) {
+        cron.weekday[0] = true;
+    }
+
+    return Ok(cron);
+};
+
+// Whether the minute a time is in matches a cron expression.
+// (%Cron{}, Number, TimeZone?) -> Boolean
+const cronMatches = function (cron, time, timeZone) {
+    const local = localTime(time, timeZone);
+    const dayMatches = cron.anyDay || cron.anyWeekday
+        ? cron.day[local.day] && cron.weekday[local.weekday]
+        : cron.day[local.day] || cron.weekday[local.weekday];
+
+    return Boolean(cron.minute[local.minute] && cron.hour[local.hour] && cron.month[local.month] && dayMatches);
+};
+
+module.exports = {
+    isTimeZone: isTimeZone,
+    localTime: localTime,
+    parseDuration: parseDuration,
+    parseTime: parseTime,
+    parseTimeAgo: parseTimeAgo,
+    parseActiveTimes: parseActiveTimes,
+    validateActiveTimes: validateActiveTimes,
+    isActive: isActive,
+    describeActiveTimes: describeActiveTimes,
+    parseCron: parseCron,
+    cronMatches: cronMatches
+};
@@ -0,0 +1,105 @@
+/**
+ * The Twitch profile, used when the `daemon` config is "twitch".
+ *
+ * Twitch sends IRCv3 tags with every message. Of them, the profile uses:
+ *
+ *   badges:       The badges of whoever sent it, e.g. `moderator/1,subscriber/12`.
+ *   display-name: How their name is shown in chat, e.g. `CoolViewer`.
+ *
+ * Badges give roles for changing replies (see permissions.js). A user's
+ * badges are remembered from the last message they sent, since commands
+ * only know the hostmask of whoever gave them. Twitch has no NickServ,
+ * so on Twitch, the `registered` role means subscribers, by default.
+ *
+ * Chat commands on Twitch look like `!discord`, so keys can also be
+ * looked up with the command prefix instead of the `replies-trigger`.
+ *
+ * %TwitchSettings{
+ *   badges: Map<Badge, Role> of the role each badge gives. ^1
+ *   commandPrefix: Prefix for looking up replies like commands, or
+ *                  false to not. Defaults to "!".
+ * }
+ *
+ * 1: Merged over DEFAULT_BADGE_ROLES. A badge given null gives no role.
+ **/
+
+const Permissions = require('./permissions');
+
+// No badge gives the admin role unless configured to, so that moderating
+// a stream isn't enough to lock replies or change locked ones.
+const DEFAULT_BADGE_ROLES = {
+    broadcaster: "trusted",
+    moderator: "trusted",
+    vip: "trusted",
+    subscriber: "registered",
+    founder: "registered"
+};
+
+// Twitch drops messages from users who aren't moderators that are sent
+// less than a second apart, and lets them send 20 every 30 seconds.
+const RATE_LIMITS = {
+    channelCooldown: 1000,
+    channelLimit: 20,
+    channelWindow: 30 * 1000
+};
+
+// Tags -> [Badge]
+const badgesOf = function (tags) {
+    if (!tags || !tags.badges) {
+        return [];
+    }
+
+    return tags.badges.split(",").map(function (badge) {
+        return badge.split("/")[0];
+    }).filter(function (badge) {
+        return badge !== "";
+    });
+};
+
+// (Privmsg) -> String
+const displayNameOf = function (privmsg) {
+    return (privmsg.tags && privmsg.tags["display-name"]) || privmsg.nickname;
+};
+
+// %TwitchSettings{}, all of it optional.
+module.exports = function (settings) {
+    settings = settings || {};
+
+    const badgeRoles = {};
+    // Map<Nickname, [Badge]>
+    const badgesByNickname = Object.create(null);
+
+    [DEFAULT_BADGE_ROLES, settings.badges || {}].forEach(function (roles) {
+        Object.keys(roles).forEach(function (badge) {
+            badgeRoles[badge] = roles[badge];
+        });
+    });
+
+    return {
+        commandPrefix: settings.commandPrefix === undefined ? "!" : settings.commandPrefix,
+
+        // Remembers the badges of whoever sent a message.
+        // Privmsg -> ()
+        remember: function (privmsg) {
+            if (privmsg.tags) {
+                badgesByNickname[privmsg.nickname.toLowerCase()] = badgesOf(privmsg.tags);
+            }
+        },
+
+        // The most privileged role the editor's badges give them.
+        // Hostmask -> Role | undefined
+        roleOf: function (hostmask) {
+            const badges = badgesByNickname[Permissions.nicknameOf(hostmask).toLowerCase()] || [];
+
+            return badges.reduce(function (best, badge) {
+                const role = badgeRoles[badge];
+                return Permissions.ROLES.indexOf(role) > Permissions.ROLES.indexOf(best) ? role : best;
+            }, undefined);
+        }
+    };
+};
+
+module.exports.DEFAULT_BADGE_ROLES = DEFAULT_BADGE_ROLES;
+module.exports.RATE_LIMITS = RATE_LIMITS;
+module.exports.badgesOf = badgesOf;
+module.exports.displayNameOf = displayNameOf;
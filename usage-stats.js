@@ -0,0 +1,169 @@
+/**
+ * Counts how often replies are said, and how often people edit them.
+ *
+ * For each reply, by the key it's stored under:
+ *
+ * %Usage{
+ *   passive: Number of times it was said because its key was in a message.
+ *   command: Number of times it was looked up, e.g. with !reply.
+ *   channels: Map<Channel, Number> of times it was said in each channel.
+ *   last: Time it was last said, as an ISO string.
+ *   lastChannel: Channel it was last said in.
+ * }
+ *
+ * And for each editor, as a hostmask pattern that ignores their nickname,
+ * the number of changes they've made.
+ *
+ * Counts are kept in a storage adapter (see storage/index.js) of their
+ * own, so that replies aren't rewritten every time they're said. Counts
+ * are only written every `flushInterval` milliseconds, and only for what
+ * changed since the last write, since the Dirty adapter appends every
+ * write to its file.
+ **/
+
+const HITS_PREFIX = "hits:";
+const EDITS_PREFIX = "edits:";
+
+const startsWith = function (string, prefix) {
+    return string.indexOf(prefix) === 0;
+};
+
+// (%Usage{}, %Usage{}) -> %Usage{}
+const mergeUsage = function (lhs, rhs) {
+    const latest = (lhs.last || "") > (rhs.last || "") ? lhs : rhs;
+    const channels = {};
+
+    [lhs.channels, rhs.channels].forEach(function (counts) {
+        Object.keys(counts || {}).forEach(function (channel) {
+            channels[channel] = (channels[channel] || 0) + counts[channel];
+        });
+    });
+
+    return {
+        passive: lhs.passive + rhs.passive,
+        command: lhs.command + rhs.command,
+        channels: channels,
+        last: latest.last,
+        lastChannel: latest.lastChannel
+    };
+};
+
+// Options:
+//   now:           () -> Number of milliseconds since the epoch.
+//   flushInterval: Milliseconds between writes. Defaults to a minute.
+//                  0 means only writing when `flush` is called.
+module.exports = function (storage, options) {
+    options = options || {};
+
+    const now = options.now || Date.now;
+    const flushInterval = options.flushInterval === undefined ? 60 * 1000 : options.flushInterval;
+
+    // Map<StorageKey, %Usage{}>
+    var hits = Object.create(null);
+    // Map<HostmaskPattern, Number>
+    var edits = Object.create(null);
+    // Map<StoredKey, Boolean> of what changed since the last write.
+    var changed = Object.create(null);
+
+    // Counts made before the storage loaded are only written after.
+    var loaded = false;
+
+    // Counts made before the storage loaded are added to the stored ones.
+    storage.onLoad(function () {
+        storage.forEach(function (key, value) {
+            if (!value) {
+                return;
+            }
+
+            if (startsWith(key, HITS_PREFIX)) {
+                const name = key.slice(HITS_PREFIX.length);
+                hits[name] = hits[name] ? mergeUsage(value, hits[name]) : value;
+            } else if (startsWith(key, EDITS_PREFIX)) {
+                const name = key.slice(EDITS_PREFIX.length);
+                edits[name] = value + (edits[name] || 0);
+            }
+        });
+
+        loaded = true;
+    });
+
+    // Writes what changed, calling the function, if any, once it's saved.
+    // (() -> ())? -> ()
+    const flush = function (fn) {
+        fn = fn || function () {};
+
+        if (!loaded) {
+            return fn();
+        }
+
+        Object.keys(changed).forEach(function (key) {
+            if (startsWith(key, HITS_PREFIX)) {
+                const usage = hits[key.slice(HITS_PREFIX.length)];
+                return usage ? storage.set(key, usage) : storage.delete(key);
+            }
+
+            storage.set(key, edits[key.slice(EDITS_PREFIX.length)]);
+        });
+
+        changed = Object.create(null);
+        storage.flush(fn);
+    };
+
+    if (flushInterval) {
+        const timer = setInterval(function () { flush(); }, flushInterval);
+
+        if (timer.unref) {
+            timer.unref();
+        }
+    }
+
+    return {
+        // (StorageKey, "passive" | "command", Channel | undefined) -> ()
+        hit: function (key, kind, channel) {
+            const usage = hits[key] || { passive: 0, command: 0, channels: {} };
+
+            usage[kind] += 1;
+            usage.last = new Date(now()).toISOString();
+            usage.lastChannel = channel;
+
+            if (channel) {
+                channel = channel.toLowerCase();
+                usage.channels[channel] = (usage.channels[channel] || 0) + 1;
+            }
+
+            hits[key] = usage;
+            changed[HITS_PREFIX + key] = true;
+        },
+
+        // HostmaskPattern -> ()
+        edit: function (editor) {
+            edits[editor] = (edits[editor] || 0) + 1;
+            changed[EDITS_PREFIX + editor] = true;
+        },
+
+        // Moves the counts of a reply to another key, e.g. when it's renamed.
+        // (StorageKey, StorageKey) -> ()
+        move: function (from, to) {
+            if (!hits[from]) {
+                return;
+            }
+
+            hits[to] = hits[from];
+            delete hits[from];
+            changed[HITS_PREFIX + from] = true;
+            changed[HITS_PREFIX + to] = true;
+        },
+
+        // StorageKey -> %Usage{} | undefined
+        usage: function (key) {
+            return hits[key];
+        },
+
+        // () -> Map<HostmaskPattern, Number>
+        edits: function () {
+            return edits;
+        },
+
+        flush: flush
+    };
+};
@@ -0,0 +1,239 @@
+/**
+ * Checks what replies say before they're saved.
+ *
+ * A rule is a function from the %Reply{} being saved to either Ok of
+ * the reply or Fail of a reason naming what's wrong with it, the same
+ * as a beforeUpdate hook. Rules see every message of the reply,
+ * including alternatives, and the key being aliased for aliases. Each
+ * line of a multi-line reply is a message of its own.
+ *
+ * The pipeline runs its rules in the order they were added, stopping at
+ * the first failure. Each rule is added along with what to tell users
+ * for each of its failure reasons.
+ **/
+
+const Result = require('r-result');
+const Ok = Result.Ok;
+const Fail = Result.Fail;
+const LINE_BREAK = require('./replies').LINE_BREAK;
+
+// %Reply{} -> [String]
+const messagesOf = function (reply) {
+    const messages = [reply.message].concat(reply.alternatives || []);
+
+    if (reply.intent !== "multiline") {
+        return messages;
+    }
+
+    return messages.reduce(function (lines, message) {
+        return lines.concat(message.split(LINE_BREAK));
+    }, []);
+};
+
+// Makes a rule that fails with the reason when any message fails the check.
+// (String -> Boolean, String) -> Rule
+const everyMessage = function (check, reason) {
+    return function (reply) {
+        return messagesOf(reply).every(check) ? Ok(reply) : Fail(reason);
+    };
+};
+
+// String -> String
+const escapeRegExp = function (string) {
+    return string.replace(/[\\^$.*+?()[\]{}|\/-]/g, "\\$&");
+};
+
+// Characters IRC clients use for formatting: bold, colour, hex colour,
+// reset, monospace, reverse, italics, strikethrough, and underline.
+const FORMATTING_CHARACTERS = "\x02\x03\x04\x0f\x11\x16\x1d\x1e\x1f";
+
+// Control characters other than those for formatting, including CTCP (\x01).
+// String -> Boolean
+const isControlCharacter = function (char) {
+    const code = char.charCodeAt(0);
+    return (code < 0x20 || code === 0x7f) && FORMATTING_CHARACTERS.indexOf(char) === -1;
+};
+
+// Characters that can be in a nickname.
+const NICKNAME_WORD = /[a-z0-9\[\]\\`_^{|}-]+/gi;
+
+const rules = {
+    // Messages longer than `maxBytes` could be cut off, since an IRC line
+    // is at most 512 bytes, including who it's from and who it's to.
+    // Number -> Rule
+    maxLength: function (maxBytes) {
+        return everyMessage(function (message) {
+            return Buffer.byteLength(message, "utf8") <= maxBytes;
+        }, "message-too-long");
+    },
+
+    // Words are matched whole and case insensitively.
+    // [String] -> Rule
+    blockedWords: function (words) {
+        if (words.length === 0) {
+            return function (reply) { return Ok(reply); };
+        }
+
+        const regexp = new RegExp("(^|[^a-z0-9])(" + words.map(escapeRegExp).join("|") + ")($|[^a-z0-9])", "i");
+
+        return everyMessage(function (message) {
+            return !regexp.test(message);
+        }, "blocked-word");
+    },
+
+    // Blocks links to the domains and their subdomains.
+    // [String] -> Rule
+    blockedDomains: function (domains) {
+        domains = domains.map(function (domain) {
+            return domain.toLowerCase().replace(/^\./, "");
+        });
+
+        const isBlocked = function (hostname) {
+            return domains.some(function (domain) {
+                return hostname === domain || hostname.slice(-domain.length - 1) === "." + domain;
+            });
+        };
+
+        return everyMessage(function (message) {
+            // Anything that looks like a hostname, with or without a scheme.
+            const hostnames = message.toLowerCase().match(/[a-z0-9-]+(\.[a-z0-9-]+)+/g) || [];
+            return !hostnames.some(isBlocked);
+        }, "blocked-domain");
+    },
+
+    // Rejects CTCP (\x01), which could make the bot send CTCP requests,
+    // and every other control character that isn't for formatting, such
+    // as line breaks that could be used to send extra IRC commands.
+    // () -> Rule
+    noControlCharacters: function () {
+        const ctcp = everyMessage(function (message) {
+            return message.indexOf("\x01") === -1;
+        }, "ctcp-injection");
+
+        const control = everyMessage(function (message) {
+            return !message.split("").some(isControlCharacter);
+        }, "control-characters");
+
+        return function (reply) {
+            return ctcp(reply).andThen(control);
+        };
+    },
+
+    // Rejects messages that mention more than `max` different nicknames
+    // that `nicknames` gives, e.g. the nicknames in the bot's channels.
+    // (Number, () -> [String]) -> Rule
+    maxHighlights: function (max, nicknames) {
+        return everyMessage(function (message) {
+            const known = Object.create(null);
+            nicknames().forEach(function (nickname) {
+                known[nickname.toLowerCase()] = true;
+            });
+
+            const mentioned = Object.create(null);
+            (message.match(NICKNAME_WORD) || []).forEach(function (word) {
+                if (known[word.toLowerCase()]) {
+                    mentioned[word.toLowerCase()] = true;
+                }
+            });
+
+            return Object.keys(mentioned).length <= max;
+        }, "highlight-spam");
+    },
+
+    // Multi-line replies are said a line at a time, so each message
+    // can only have so many lines.
+    // Number -> Rule
+    maxLines: function (max) {
+        return function (reply) {
+            if (reply.intent !== "multiline") {
+                return Ok(reply);
+            }
+
+            return [reply.message].concat(reply.alternatives || []).every(function (message) {
+                return message.split(LINE_BREAK).length <= max;
+            }) ? Ok(reply) : Fail("too-many-lines");
+        };
+    },
+
+    // CTCP replies start with their CTCP type, which must be a word.
+    // DCC is never allowed, since it makes clients open connections.
+    // () -> Rule
+    ctcpType: function () {
+        const rule = everyMessage(function (message) {
+            const type = message.split(" ")[0].toUpperCase();
+            return /^[A-Z]+$/.test(type) && type !== "DCC";
+        }, "bad-ctcp-type");
+
+        return function (reply) {
+            return reply.intent === "ctcp" ? rule(reply) : Ok(reply);
+        };
+    },
+
+    // Rejects messages the regexp matches with the reason.
+    // (RegExp, String) -> Rule
+    matching: function (regexp, reason) {
+        return everyMessage(function (message) {
+            return !regexp.test(message);
+        }, reason);
+    },
+
+    // On Twitch, messages starting with `!` or `/` could be commands.
+    // Actions are said with `/me`, so they're fine.
+    // () -> Rule
+    noTwitchCommands: function () {
+        const rule = everyMessage(function (message) {
+            return message[0] !== "!" && message[0] !== "/";
+        }, "maybe-twitch-command");
+
+        return function (reply) {
+            return reply.intent === "say" || reply.intent === "multiline" ? rule(reply) : Ok(reply);
+        };
+    }
+};
+
+module.exports = function () {
+    // [Rule]
+    const pipeline = [];
+    // Map<Reason, String>
+    const descriptions = Object.create(null);
+
+    return {
+        // Adds a rule to the end of the pipeline, with a description
+        // for users of each of the reasons it can fail with.
+        // (Rule, Map<Reason, String>?) -> ()
+        add: function (rule, ruleDescriptions) {
+            if (typeof rule !== "function") {
+                throw new Error("A validation rule must be a function.");
+            }
+
+            pipeline.push(rule);
+
+            Object.keys(ruleDescriptions || {}).forEach(function (reason) {
+                descriptions[reason] = ruleDescriptions[reason];
+            });
+        },
+
+        // %Reply{} -> Result<%Reply{}, Reason>
+        validate: function (reply) {
+            return pipeline.reduce(function (result, rule) {
+                return result.andThen(rule);
+            }, Ok(reply));
+        },
+
+        // Reason -> String | undefined
+        describe: function (reason) {
+            return descriptions[reason];
+        }
+    };
+};
+
+module.exports.rules = rules;
+
+// Removes the characters noControlCharacters rejects, for text that
+// isn't validated, such as what placeholders are filled in with.
+// String -> String
+module.exports.stripControlCharacters = function (text) {
+    return text.split("").filter(function (char) {
+        return !isControlCharacter(char);
+    }).join("");
+};